@@ -0,0 +1,64 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// Bookkeeping fields that change along with everything else and aren't worth recording
+const IGNORED_FIELDS = [
+  'id', 'rank', 'version', 'subtasks', 'attachments', 'commentCount', 'nextOccurrenceId', 'createdAt', 'updatedAt', 'createdBy',
+  'completedAt', 'archivedAt'
+];
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Field-level differences between two versions of an item
+ * Returns [{ field, from, to }] for every field that was added, removed or changed.
+ */
+export function diffFields(before, after, ignoredFields = IGNORED_FIELDS) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  return [...fields]
+    .filter(field => !ignoredFields.includes(field) && !isEqual(before[field], after[field]))
+    .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+}
+
+/**
+ * Task activity log
+ * Records an entry for every change to a task - who made it, when, and which
+ * fields changed from what to what. Entries outlive the task they belong to.
+ */
+export function createActivityLog({ activity }) {
+  function record({ taskId, userId, action, changes = [], subtaskId = null }) {
+    const entry = {
+      id: uuidv4(),
+      taskId,
+      subtaskId,
+      userId,
+      action,
+      changes,
+      createdAt: new Date().toISOString()
+    };
+
+    activity.insert(entry);
+    return entry;
+  }
+
+  // Record the difference between two versions of a task, if there is any
+  function recordTaskChange(before, after, userId) {
+    const changes = diffFields(before, after);
+    if (changes.length === 0) return null;
+
+    const archiveChange = changes.find(change => change.field === 'archived');
+    const action = archiveChange
+      ? (archiveChange.to ? 'archived' : 'unarchived')
+      : (changes.some(change => change.field === 'status') ? 'status_changed' : 'updated');
+    return record({ taskId: after.id, userId, action, changes });
+  }
+
+  // Entries of a task, oldest first
+  function getTaskActivity(taskId) {
+    return activity
+      .findAll(entry => entry.taskId === taskId)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  return { record, recordTaskChange, getTaskActivity };
+}
@@ -0,0 +1,80 @@
+import fs from 'fs';
+import path from 'path';
+import multer from 'multer';
+import { v4 as uuidv4 } from 'uuid';
+import { MAX_ATTACHMENT_SIZE, isAllowedAttachmentType } from '../src/utils/validation.js';
+
+const MAX_FILES_PER_UPLOAD = 10;
+
+/**
+ * Local disk storage for task attachments
+ * Files are saved under their attachment id, so user supplied names never
+ * reach the file system. Only the types in ATTACHMENT_TYPES are accepted.
+ */
+export function createAttachmentStorage(directory) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  const upload = multer({
+    storage: multer.diskStorage({
+      destination: directory,
+      filename: (req, file, cb) => cb(null, uuidv4())
+    }),
+    limits: { fileSize: MAX_ATTACHMENT_SIZE, files: MAX_FILES_PER_UPLOAD },
+    // Non-ASCII file names arrive as UTF-8
+    defParamCharset: 'utf8',
+    fileFilter: (req, file, cb) => {
+      if (isAllowedAttachmentType(file.mimetype)) {
+        cb(null, true);
+      } else {
+        const error = new Error(`Files of type "${file.mimetype}" can't be attached`);
+        error.code = 'UNSUPPORTED_TYPE';
+        cb(error);
+      }
+    }
+  }).array('files', MAX_FILES_PER_UPLOAD);
+
+  function getFilePath(attachment) {
+    return path.join(directory, attachment.id);
+  }
+
+  function removeFiles(attachments = []) {
+    attachments.forEach(attachment => {
+      fs.rm(getFilePath(attachment), { force: true }, error => {
+        if (error) console.error(`Failed to remove attachment ${attachment.id}:`, error);
+      });
+    });
+  }
+
+  // Multipart middleware answering invalid uploads with a JSON error
+  function handleUpload(req, res, next) {
+    upload(req, res, error => {
+      // Multer removes the files it already saved when an upload fails
+      if (!error) return next();
+
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: `Files can be at most ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB` });
+      }
+      if (error.code === 'UNSUPPORTED_TYPE') {
+        return res.status(415).json({ error: error.message });
+      }
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({ error: error.message });
+      }
+      next(error);
+    });
+  }
+
+  // Attachment metadata for an uploaded file
+  function toAttachment(file, userId) {
+    return {
+      id: file.filename,
+      name: file.originalname,
+      size: file.size,
+      mimeType: file.mimetype,
+      uploadedBy: userId,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  return { handleUpload, getFilePath, removeFiles, toAttachment };
+}
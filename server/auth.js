@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { isNotEmpty, isEmail, hasMinLength } from '../src/utils/validation.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'sid';
+const SESSION_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MIN_PASSWORD_LENGTH = 8;
+
+// Passwords are stored as "<salt>:<key>" derived with scrypt
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const key = await scrypt(password, salt, 64);
+  return `${salt}:${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, passwordHash) {
+  const [salt, storedKey] = passwordHash.split(':');
+  const key = await scrypt(password, salt, 64);
+  return crypto.timingSafeEqual(key, Buffer.from(storedKey, 'hex'));
+}
+
+function parseCookies(header = '') {
+  return Object.fromEntries(
+    header
+      .split(';')
+      .map(part => part.trim().split('='))
+      .filter(([name, value]) => name && value !== undefined)
+      .map(([name, value]) => [name, decodeURIComponent(value)])
+  );
+}
+
+// Users as exposed by the API, without the password hash
+export function toPublicUser(user) {
+  return { id: user.id, name: user.name, email: user.email };
+}
+
+/**
+ * Cookie session authentication
+ * Returns a router with the register, login and logout endpoints and a
+ * middleware that rejects requests without a valid session with 401. The
+ * session cookie is httpOnly, so it also covers the Server-Sent Events stream.
+ */
+export function createAuth({ users, sessions }) {
+  const secureCookie = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+
+  function setSessionCookie(res, token, maxAge) {
+    res.setHeader(
+      'Set-Cookie',
+      `${SESSION_COOKIE}=${token}; HttpOnly; SameSite=Lax; Path=/; Max-Age=${Math.floor(maxAge / 1000)}${secureCookie}`
+    );
+  }
+
+  function startSession(res, user) {
+    const session = {
+      id: crypto.randomBytes(32).toString('hex'),
+      userId: user.id,
+      expiresAt: new Date(Date.now() + SESSION_DURATION).toISOString()
+    };
+    sessions.insert(session);
+    setSessionCookie(res, session.id, SESSION_DURATION);
+  }
+
+  // Valid session for the request, expired ones are cleaned up on the way
+  function getSession(req) {
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const session = token ? sessions.findById(token) : null;
+    if (!session) return null;
+
+    if (new Date(session.expiresAt) <= new Date()) {
+      sessions.remove(session.id);
+      return null;
+    }
+    return session;
+  }
+
+  function requireAuth(req, res, next) {
+    const session = getSession(req);
+    const user = session ? users.findById(session.userId) : null;
+
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    req.user = toPublicUser(user);
+    next();
+  }
+
+  const router = express.Router();
+
+  router.post('/register', async (req, res) => {
+    const { name = '', email = '', password = '' } = req.body;
+
+    if ([name, email, password].some(value => typeof value !== 'string')) {
+      return res.status(400).json({ error: 'Name, email and password must be strings' });
+    }
+    if (!isNotEmpty(name)) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+    if (!isEmail(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    if (!hasMinLength(password, MIN_PASSWORD_LENGTH)) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+    if (users.count(u => u.email === normalizedEmail) > 0) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    try {
+      const user = {
+        id: uuidv4(),
+        name: name.trim(),
+        email: normalizedEmail,
+        passwordHash: await hashPassword(password),
+        createdAt: new Date().toISOString()
+      };
+
+      users.insert(user);
+      startSession(res, user);
+      res.status(201).json(toPublicUser(user));
+    } catch (error) {
+      console.error('Registration failed:', error);
+      res.status(500).json({ error: 'Registration failed' });
+    }
+  });
+
+  router.post('/login', async (req, res) => {
+    const { email = '', password = '' } = req.body;
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Email and password must be strings' });
+    }
+
+    const [user] = users.findAll(u => u.email === email.trim().toLowerCase());
+
+    try {
+      if (!user || !(await verifyPassword(password, user.passwordHash))) {
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+
+      startSession(res, user);
+      res.json(toPublicUser(user));
+    } catch (error) {
+      console.error('Login failed:', error);
+      res.status(500).json({ error: 'Login failed' });
+    }
+  });
+
+  router.post('/logout', (req, res) => {
+    const session = getSession(req);
+    if (session) {
+      sessions.remove(session.id);
+    }
+
+    setSessionCookie(res, '', 0);
+    res.status(204).send();
+  });
+
+  return { router, requireAuth };
+}
@@ -0,0 +1,119 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * JSON file storage with a repository per collection
+ * Data is kept in memory and written to disk after every change. Writes go to
+ * a temporary file first and are then renamed over the data file, so a crash
+ * mid-write never leaves a half-written database behind.
+ */
+export function createDatabase(filePath) {
+  let isNew = false;
+  let data = load();
+  let inTransaction = false;
+
+  function load() {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        isNew = true;
+        return {};
+      }
+      throw new Error(`Failed to read data file "${filePath}": ${error.message}`);
+    }
+  }
+
+  function persist() {
+    if (inTransaction) return;
+
+    const tempPath = `${filePath}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  // Whether there was no data file yet when the store was opened. A store
+  // whose data was all deleted isn't new.
+  function isNewStore() {
+    return isNew;
+  }
+
+  // Replace the contents of the given collections in a single write
+  function seed(collections) {
+    data = { ...data, ...structuredClone(collections) };
+    persist();
+  }
+
+  // Runs `work` (synchronously) and writes all of its changes at once when it
+  // returns. If it throws, every change it made is undone and the error rethrown.
+  function transaction(work) {
+    if (inTransaction) return work();
+
+    const snapshot = structuredClone(data);
+    inTransaction = true;
+    try {
+      const result = work();
+      inTransaction = false;
+      persist();
+      return result;
+    } catch (error) {
+      data = snapshot;
+      throw error;
+    } finally {
+      inTransaction = false;
+    }
+  }
+
+  function collection(name) {
+    if (!data[name]) {
+      data[name] = [];
+    }
+
+    // Looked up on every call - a rolled back transaction replaces `data`
+    const items = () => (data[name] ??= []);
+
+    return {
+      findAll(predicate = () => true) {
+        return structuredClone(items().filter(predicate));
+      },
+
+      findById(id) {
+        const item = items().find(i => i.id === id);
+        return item ? structuredClone(item) : null;
+      },
+
+      count(predicate = () => true) {
+        return items().filter(predicate).length;
+      },
+
+      insert(item) {
+        items().push(structuredClone(item));
+        persist();
+        return structuredClone(item);
+      },
+
+      // Shallow-merge changes into an existing item, returns null when not found
+      update(id, changes) {
+        const index = items().findIndex(i => i.id === id);
+        if (index === -1) return null;
+
+        const updated = { ...items()[index], ...structuredClone(changes) };
+        items()[index] = updated;
+        persist();
+        return structuredClone(updated);
+      },
+
+      remove(id) {
+        const index = items().findIndex(i => i.id === id);
+        if (index === -1) return false;
+
+        items().splice(index, 1);
+        persist();
+        return true;
+      }
+    };
+  }
+
+  return { collection, isNewStore, seed, transaction };
+}
@@ -0,0 +1,70 @@
+// Comment line sent to idle connections so proxies keep them open
+const HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * Server-Sent Events broadcaster
+ * Clients connect to GET /api/events and receive every change as a JSON
+ * message of the shape { type, data }, e.g. { type: 'task:updated', data: task }.
+ * Pass `to` (a check on the signed-in user's id) to reach only some users.
+ * Events broadcast inside batch() are only sent once the whole batch succeeded.
+ */
+export function createEventBroadcaster() {
+  // Connection response -> id of its signed-in user
+  const clients = new Map();
+  let nextId = 0;
+  // Events of the running batch, null outside of one
+  let heldEvents = null;
+
+  function handleConnection(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    // Ask browsers to reconnect quickly after a dropped connection
+    res.write('retry: 3000\n\n');
+
+    clients.set(res, req.user?.id);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(res);
+    });
+  }
+
+  function send({ type, data, to }) {
+    const message = `id: ${++nextId}\ndata: ${JSON.stringify({ type, data })}\n\n`;
+    clients.forEach((userId, client) => {
+      if (to(userId)) client.write(message);
+    });
+  }
+
+  function broadcast(type, data, { to = () => true } = {}) {
+    if (heldEvents) {
+      heldEvents.push({ type, data, to });
+    } else {
+      send({ type, data, to });
+    }
+  }
+
+  // Holds back the events broadcast while `work` runs and sends them when it
+  // returns; if it throws they are dropped, so clients never hear of changes
+  // that were rolled back
+  function batch(work) {
+    if (heldEvents) return work();
+
+    heldEvents = [];
+    try {
+      const result = work();
+      const events = heldEvents;
+      heldEvents = null;
+      events.forEach(send);
+      return result;
+    } finally {
+      heldEvents = null;
+    }
+  }
+
+  return { handleConnection, broadcast, batch };
+}
@@ -0,0 +1,66 @@
+// How often tasks are looked at for archiving and purging
+const CHECK_INTERVAL = 60 * 60 * 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Housekeeping
+ * Archives tasks that have been done for `archiveAfterDays` and permanently
+ * deletes tasks that have been in the trash for `trashRetentionDays`. A
+ * period of 0 turns that part off. The archiving and purging itself is left
+ * to `onArchive` and `onPurge`, which get one task or trash entry at a time.
+ */
+export function createHousekeeper({
+  tasks,
+  deletedTasks,
+  getDoneStatuses,
+  archiveAfterDays,
+  trashRetentionDays,
+  onArchive,
+  onPurge
+}) {
+  let timer = null;
+
+  function archiveCompletedTasks(now) {
+    if (!archiveAfterDays) return;
+
+    const doneStatuses = getDoneStatuses();
+    const cutoff = now - archiveAfterDays * DAY;
+    tasks
+      .findAll(task => (
+        !task.archived &&
+        doneStatuses.includes(task.status) &&
+        new Date(task.completedAt || task.updatedAt) < cutoff
+      ))
+      .forEach(task => onArchive(task));
+  }
+
+  function purgeTrash(now) {
+    if (!trashRetentionDays) return;
+
+    const cutoff = now - trashRetentionDays * DAY;
+    deletedTasks
+      .findAll(deleted => new Date(deleted.deletedAt) < cutoff)
+      .forEach(deleted => onPurge(deleted));
+  }
+
+  function run(now = new Date()) {
+    archiveCompletedTasks(now);
+    purgeTrash(now);
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      run();
+      timer = setInterval(() => run(), CHECK_INTERVAL);
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    run
+  };
+}
@@ -0,0 +1,78 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getNextOccurrence, anchorRecurrence } from '../src/utils/recurrence.js';
+
+// How often due reminders are looked for
+const CHECK_INTERVAL = 5000;
+
+// Fired events are kept around this long for clients to pick up
+const EVENT_RETENTION = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Reminder scheduler
+ * Moves due reminders to the "fired" state, or to their next occurrence when
+ * they repeat, and records a fired event for every reminder that went off.
+ */
+export function createReminderScheduler({ reminders, reminderEvents, onFire = () => {} }) {
+  let timer = null;
+
+  function pruneEvents(now) {
+    reminderEvents
+      .findAll(event => now - new Date(event.firedAt) > EVENT_RETENTION)
+      .forEach(event => reminderEvents.remove(event.id));
+  }
+
+  function fireDueReminders(now = new Date()) {
+    const dueReminders = reminders.findAll(r =>
+      r.status === 'scheduled' && new Date(r.reminderTime) <= now
+    );
+
+    dueReminders.forEach(reminder => {
+      const firedAt = now.toISOString();
+      // A snoozed occurrence keeps the time it was originally due, so repeats don't drift
+      const occurrenceTime = reminder.snoozedFrom || reminder.reminderTime;
+      const nextTime = reminder.recurrence
+        ? getNextOccurrence(reminder.recurrence, occurrenceTime, now)
+        : null;
+
+      const updatedReminder = reminders.update(reminder.id, nextTime
+        ? {
+          reminderTime: nextTime.toISOString(),
+          recurrence: anchorRecurrence(reminder.recurrence, occurrenceTime),
+          snoozedFrom: null,
+          lastFiredAt: firedAt
+        }
+        : { status: 'fired', isActive: false, snoozedFrom: null, lastFiredAt: firedAt }
+      );
+
+      const event = {
+        id: uuidv4(),
+        reminderId: reminder.id,
+        taskId: reminder.taskId,
+        message: reminder.message,
+        reminderTime: reminder.reminderTime,
+        firedAt,
+        reminder: updatedReminder
+      };
+
+      reminderEvents.insert(event);
+      onFire(event);
+    });
+
+    pruneEvents(now);
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      fireDueReminders();
+      timer = setInterval(() => fireDueReminders(), CHECK_INTERVAL);
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    fireDueReminders
+  };
+}
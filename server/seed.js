@@ -0,0 +1,79 @@
+/**
+ * Default workflow, also used for stores created before columns were configurable
+ */
+export function createDefaultColumns() {
+  return [
+    { id: 'todo', name: 'To Do', color: '#5a9cad', order: 1, isDone: false },
+    { id: 'in-progress', name: 'In Progress', color: '#eab676', order: 2, isDone: false },
+    { id: 'completed', name: 'Completed', color: '#2ed573', order: 3, isDone: true }
+  ];
+}
+
+/**
+ * Board that tasks created before boards existed are moved to
+ */
+export function createDefaultBoard() {
+  return { id: 'default', name: 'My Board', createdAt: new Date().toISOString() };
+}
+
+/**
+ * Sample data loaded into an empty store on first start
+ */
+export function createSeedData() {
+  const now = new Date().toISOString();
+
+  return {
+    boards: [createDefaultBoard()],
+    columns: createDefaultColumns(),
+    tasks: [
+      {
+        id: '1',
+        boardId: 'default',
+        title: 'Learn React Hooks',
+        description: 'Study useEffect, useState, and custom hooks',
+        status: 'in-progress',
+        priority: 'high',
+        dueDate: '2025-01-20',
+        createdAt: now,
+        updatedAt: now,
+        subtasks: [
+          { id: 'sub1', title: 'Read useEffect documentation', completed: true },
+          { id: 'sub2', title: 'Practice custom hooks', completed: false }
+        ],
+        tags: ['react', 'learning'],
+        assignee: 'John Doe'
+      },
+      {
+        id: '2',
+        boardId: 'default',
+        title: 'Build Task Manager',
+        description: 'Create a comprehensive task management application',
+        status: 'todo',
+        priority: 'medium',
+        dueDate: '2025-01-25',
+        createdAt: now,
+        updatedAt: now,
+        subtasks: [
+          { id: 'sub3', title: 'Setup backend API', completed: true },
+          { id: 'sub4', title: 'Create React components', completed: false },
+          { id: 'sub5', title: 'Add form validation', completed: false }
+        ],
+        tags: ['project', 'development'],
+        assignee: 'Jane Smith'
+      }
+    ],
+    reminders: [
+      {
+        id: 'rem1',
+        taskId: '1',
+        message: 'Don\'t forget to complete your React learning!',
+        reminderTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // 24 hours from now
+        isActive: true,
+        status: 'scheduled',
+        recurrence: null,
+        snoozedFrom: null,
+        lastFiredAt: null
+      }
+    ]
+  };
+}
@@ -1,177 +1,984 @@
 import express from 'express';
 import cors from 'cors';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
+import { createDatabase } from './db.js';
+import { createSeedData, createDefaultColumns, createDefaultBoard } from './seed.js';
+import { createReminderScheduler } from './reminderScheduler.js';
+import { createHousekeeper } from './housekeeping.js';
+import { createEventBroadcaster } from './events.js';
+import { createAuth, toPublicUser } from './auth.js';
+import { createActivityLog, diffFields } from './activity.js';
+import { createAttachmentStorage } from './attachments.js';
+import { rankBetween, compareRanks } from '../src/utils/ranking.js';
+import { getNextDueDate, anchorRecurrence } from '../src/utils/recurrence.js';
+import { getOpenBlockers, createsDependencyCycle } from '../src/utils/dependencies.js';
+import { findMentions } from '../src/utils/mentions.js';
+import { SORT_FIELDS, SORT_ORDERS, matchesTaskFilters, getTaskSortKey, compareSortKeys } from '../src/utils/taskQuery.js';
+import { parseSearchQuery } from '../src/utils/searchQuery.js';
+import { isNotEmpty, isValidDate, isValidDateRange, isValidPriority, isValidStatus, isValidColor } from '../src/utils/validation.js';
+import { normalizeFilters } from '../src/utils/viewFilters.js';
+import {
+  validateSchema,
+  taskCreateSchema,
+  taskUpdateSchema,
+  bulkTaskSchema,
+  bulkChangesSchema,
+  subtaskCreateSchema,
+  subtaskUpdateSchema,
+  reminderCreateSchema,
+  reminderUpdateSchema
+} from '../src/utils/schemas.js';
+import { parseDateKey, toDateKey, addDays, daysBetween } from '../src/utils/dates.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const app = express();
 const PORT = 3001;
 
+// Origin of the React app; credentials (the session cookie) are only accepted from it
+const CLIENT_ORIGIN = process.env.CLIENT_ORIGIN || 'http://localhost:5173';
+
+// Days before done tasks are archived and deleted tasks are purged from the
+// trash; 0 keeps them where they are
+const ARCHIVE_AFTER_DAYS = Number(process.env.ARCHIVE_AFTER_DAYS ?? 30);
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS ?? 30);
+
+// Name shown for changes the server makes by itself, like archiving done tasks
+const SYSTEM_USER_NAME = 'Task Manager';
+
 // Middleware
-app.use(cors());
+app.use(cors({ origin: CLIENT_ORIGIN, credentials: true, exposedHeaders: ['ETag'] }));
 app.use(express.json());
 
-// In-memory data storage (in a real app, you'd use a database)
-let tasks = [
-  {
-    id: '1',
-    title: 'Learn React Hooks',
-    description: 'Study useEffect, useState, and custom hooks',
-    status: 'in-progress',
-    priority: 'high',
-    dueDate: '2025-01-20',
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString(),
-    subtasks: [
-      { id: 'sub1', title: 'Read useEffect documentation', completed: true },
-      { id: 'sub2', title: 'Practice custom hooks', completed: false }
-    ],
-    tags: ['react', 'learning'],
-    assignee: 'John Doe'
-  },
-  {
-    id: '2',
-    title: 'Build Task Manager',
-    description: 'Create a comprehensive task management application',
-    status: 'todo',
-    priority: 'medium',
-    dueDate: '2025-01-25',
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString(),
-    subtasks: [
-      { id: 'sub3', title: 'Setup backend API', completed: true },
-      { id: 'sub4', title: 'Create React components', completed: false },
-      { id: 'sub5', title: 'Add form validation', completed: false }
-    ],
-    tags: ['project', 'development'],
-    assignee: 'Jane Smith'
-  }
-];
-
-let reminders = [
-  {
-    id: 'rem1',
-    taskId: '1',
-    message: 'Don\'t forget to complete your React learning!',
-    reminderTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // 24 hours from now
-    isActive: true
-  }
-];
+// Live updates for connected clients
+const broadcaster = createEventBroadcaster();
 
-// API Routes
+// Persistent storage - the seed data is only loaded into a new store
+const db = createDatabase(process.env.DATA_FILE || path.join(__dirname, 'data', 'db.json'));
 
-// Get all tasks
-app.get('/api/tasks', (req, res) => {
-  const { status, priority, search } = req.query;
+if (db.isNewStore()) {
+  db.seed(createSeedData());
+}
+
+const boards = db.collection('boards');
+const columns = db.collection('columns');
+const tasks = db.collection('tasks');
+const reminders = db.collection('reminders');
+const reminderEvents = db.collection('reminderEvents');
+const comments = db.collection('comments');
+// Deleted tasks, kept in the trash so they can be restored until purged:
+// { id, task, reminders, blockedTaskIds, deletedAt, deletedBy }
+const deletedTasks = db.collection('deletedTasks');
+const savedViews = db.collection('views');
+const users = db.collection('users');
+const sessions = db.collection('sessions');
+const activityLog = createActivityLog({ activity: db.collection('activity') });
+
+// Uploaded files live next to the data file unless UPLOAD_DIR says otherwise
+const attachmentStorage = createAttachmentStorage(
+  process.env.UPLOAD_DIR || path.join(__dirname, 'data', 'uploads')
+);
+
+if (columns.count() === 0) {
+  createDefaultColumns().forEach(column => columns.insert(column));
+}
+
+if (boards.count() === 0) {
+  boards.insert(createDefaultBoard());
+}
+
+// Reminders stored before the scheduler existed only had the isActive flag
+reminders
+  .findAll(r => !r.status)
+  .forEach(reminder => {
+    reminders.update(reminder.id, {
+      status: reminder.isActive ? 'scheduled' : 'fired',
+      recurrence: null,
+      snoozedFrom: null,
+      lastFiredAt: null
+    });
+  });
+
+// Boards in the order they were created
+function getBoards() {
+  return boards.findAll().sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+// Workflow columns in board order
+function getColumns() {
+  return columns.findAll().sort((a, b) => a.order - b.order);
+}
+
+// Statuses of the columns flagged as "done"
+function getDoneStatuses() {
+  return columns.findAll(c => c.isDone).map(c => c.id);
+}
+
+function isOverdue(task, doneStatuses) {
+  return Boolean(task.dueDate) && new Date(task.dueDate) < new Date() && !doneStatuses.includes(task.status);
+}
+
+// Tasks of a column in manual order, on one board or on all of them
+function getColumnTasks(status, { boardId, excludeId } = {}) {
+  return tasks
+    .findAll(t => t.status === status && t.id !== excludeId && (!boardId || t.boardId === boardId))
+    .sort((a, b) => compareRanks(a.rank, b.rank));
+}
+
+// Rank that places a task at the bottom of a column of a board
+function getEndRank(boardId, status, excludeId) {
+  const column = getColumnTasks(status, { boardId, excludeId });
+  return rankBetween(column[column.length - 1]?.rank, null);
+}
+
+// Tasks blocked by a deleted task no longer wait on it; returns their ids
+function unblockDependents(task) {
+  return tasks
+    .findAll(t => t.blockedBy.includes(task.id))
+    .map(t => {
+      const unblockedTask = tasks.update(t.id, { blockedBy: t.blockedBy.filter(id => id !== task.id) });
+      broadcaster.broadcast('task:updated', unblockedTask);
+      return t.id;
+    });
+}
+
+// Reminders of a permanently deleted task can never fire, its comments can't
+// be reached, and the tasks it blocked no longer wait on it. Its files are
+// removed separately, once the deletion is saved.
+function removeTaskDependents(task) {
+  reminders
+    .findAll(r => r.taskId === task.id)
+    .forEach(r => reminders.remove(r.id));
+  comments
+    .findAll(c => c.taskId === task.id)
+    .forEach(c => comments.remove(c.id));
+  unblockDependents(task);
+}
+
+/**
+ * Deleting a task moves it to deletedTasks together with its reminders, so
+ * they don't fire, and the ids of the tasks it blocked. Comments, activity
+ * and files stay where they are, out of reach until the task is restored.
+ */
+function softDeleteTask(task, userId) {
+  const taskReminders = reminders.findAll(r => r.taskId === task.id);
+  taskReminders.forEach(reminder => {
+    reminders.remove(reminder.id);
+    broadcaster.broadcast('reminder:deleted', { id: reminder.id });
+  });
   
-  let filteredTasks = [...tasks];
+  tasks.remove(task.id);
+  deletedTasks.insert({
+    id: task.id,
+    task,
+    reminders: taskReminders,
+    blockedTaskIds: unblockDependents(task),
+    deletedAt: new Date().toISOString(),
+    deletedBy: userId
+  });
   
-  if (status) {
-    filteredTasks = filteredTasks.filter(task => task.status === status);
+  activityLog.record({ taskId: task.id, userId, action: 'deleted' });
+  broadcaster.broadcast('task:deleted', { id: task.id });
+}
+
+// Puts a deleted task back - on the first board or in the first column if its
+// own is gone - with its reminders and the dependencies that still make sense.
+// Returns the restored task.
+function restoreTask(deleted, userId) {
+  const { task } = deleted;
+  const boardId = boards.findById(task.boardId) ? task.boardId : getBoards()[0].id;
+  const status = isValidStatus(task.status, columns.findAll()) ? task.status : getColumns()[0].id;
+  
+  const restoredTask = {
+    ...task,
+    boardId,
+    status,
+    rank: boardId === task.boardId && status === task.status ? task.rank : getEndRank(boardId, status),
+    blockedBy: task.blockedBy.filter(id => tasks.findById(id)),
+    version: task.version + 1,
+    updatedAt: new Date().toISOString()
+  };
+  
+  deletedTasks.remove(deleted.id);
+  tasks.insert(restoredTask);
+  activityLog.record({ taskId: task.id, userId, action: 'restored' });
+  broadcaster.broadcast('task:created', restoredTask);
+  
+  deleted.reminders.forEach(reminder => {
+    reminders.insert(reminder);
+    broadcaster.broadcast('reminder:created', reminder);
+  });
+  
+  deleted.blockedTaskIds
+    .map(id => tasks.findById(id))
+    .filter(t => t && !t.blockedBy.includes(task.id) && !createsDependencyCycle(t.id, [...t.blockedBy, task.id], findTask))
+    .forEach(t => {
+      const blockedTask = tasks.update(t.id, { blockedBy: [...t.blockedBy, task.id] });
+      broadcaster.broadcast('task:updated', blockedTask);
+    });
+  
+  return restoredTask;
+}
+
+// Permanently deletes a task from the trash along with its comments; its files
+// are removed once that is saved. Its activity is kept.
+function purgeDeletedTask(deleted) {
+  db.transaction(() => {
+    deletedTasks.remove(deleted.id);
+    comments
+      .findAll(c => c.taskId === deleted.id)
+      .forEach(c => comments.remove(c.id));
+  });
+  attachmentStorage.removeFiles(deleted.task.attachments);
+  broadcaster.broadcast('task:purged', { id: deleted.id });
+}
+
+const findTask = (id) => tasks.findById(id);
+
+/**
+ * 400 response for a request that failed validation, with a message per field:
+ * { error, code: 'VALIDATION_FAILED', fields: { title: 'Title is required' } }
+ * Returns false when there are no errors, so routes can write
+ * `if (sendValidationError(res, errors)) return;`
+ */
+function sendValidationError(res, fields) {
+  const messages = Object.values(fields);
+  if (messages.length === 0) {
+    return false;
+  }
+  
+  res.status(400).json({ error: messages[0], code: 'VALIDATION_FAILED', fields });
+  return true;
+}
+
+// Error message for a list of blocking task ids that can't be stored, or null
+function validateBlockedBy(taskId, blockedBy) {
+  if (blockedBy.includes(taskId)) {
+    return 'A task cannot block itself';
+  }
+  if (!blockedBy.every(id => tasks.findById(id))) {
+    return 'Blocking task not found';
   }
+  if (taskId && createsDependencyCycle(taskId, blockedBy, findTask)) {
+    return 'These dependencies would create a cycle';
+  }
+  return null;
+}
+
+// Stores changes to a task's own fields and counts its version up, so clients
+// still editing an older version get a conflict instead of overwriting them.
+// Subtasks, attachments and comments have their own APIs and leave it alone.
+// Moving the task into a done column sets completedAt, archiving it archivedAt.
+function saveTaskChanges(task, changes) {
+  const now = new Date().toISOString();
+  const timestamps = {};
   
-  if (priority) {
-    filteredTasks = filteredTasks.filter(task => task.priority === priority);
+  if (changes.status !== undefined) {
+    timestamps.completedAt = getDoneStatuses().includes(changes.status) ? task.completedAt || now : null;
+  }
+  if (changes.archived !== undefined) {
+    timestamps.archivedAt = changes.archived ? task.archivedAt || now : null;
   }
   
-  if (search) {
-    filteredTasks = filteredTasks.filter(task => 
-      task.title.toLowerCase().includes(search.toLowerCase()) ||
-      task.description.toLowerCase().includes(search.toLowerCase())
-    );
+  return tasks.update(task.id, {
+    ...changes,
+    ...timestamps,
+    version: task.version + 1,
+    updatedAt: now
+  });
+}
+
+// Entity tag of a task for ETag and If-Match headers
+const getTaskETag = (task) => `"${task.version}"`;
+
+// Whether an If-Match header (a list of tags or "*") names the task's version;
+// requests without one always match
+function matchesIfMatch(header, task) {
+  if (!header) return true;
+  return header.split(',').some(tag => {
+    const value = tag.trim().replace(/^W\//, '');
+    return value === '*' || value === getTaskETag(task);
+  });
+}
+
+// Field errors of task changes that depend on stored data - the board, the
+// column, the blockers and, with the task's `current` dates, the date range
+function validateTaskReferences(taskId, changes, current = {}) {
+  const errors = {};
+  
+  if (changes.boardId !== undefined && !boards.findById(changes.boardId)) {
+    errors.boardId = 'Board not found';
+  }
+  if (changes.status !== undefined && !isValidStatus(changes.status, columns.findAll())) {
+    errors.status = 'Status does not match any column';
+  }
+  if (changes.startDate !== undefined || changes.dueDate !== undefined) {
+    const startDate = changes.startDate !== undefined ? changes.startDate : current.startDate;
+    const dueDate = changes.dueDate !== undefined ? changes.dueDate : current.dueDate;
+    if (!isValidDateRange(startDate, dueDate)) {
+      errors.dueDate = 'Due date must be on or after the start date';
+    }
+  }
+  if (changes.blockedBy !== undefined) {
+    const blockedByError = validateBlockedBy(taskId, changes.blockedBy);
+    if (blockedByError) {
+      errors.blockedBy = blockedByError;
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * A task with open blockers may stay in the first column, but can't be
+ * started or completed (moved to any later column) unless the client
+ * overrides with ?ignoreBlockers=true. Returns the 409 body, or null when
+ * the move is allowed.
+ */
+function getBlockedMoveError(task, status, ignoreBlockers) {
+  if (ignoreBlockers || status === getColumns()[0].id) {
+    return null;
+  }
+  
+  const blockers = getOpenBlockers(task, findTask, getDoneStatuses());
+  if (blockers.length === 0) {
+    return null;
+  }
+  
+  return {
+    error: `Blocked by ${blockers.map(blocker => `"${blocker.title}"`).join(', ')}`,
+    code: 'TASK_BLOCKED',
+    blockers: blockers.map(blocker => ({ id: blocker.id, title: blocker.title }))
+  };
+}
+
+/**
+ * Completing a recurring task creates its next occurrence: a copy due on the
+ * next date of the rule, in the first open column, with its subtasks unchecked.
+ * The completed task remembers the copy, so moving it out of "done" and back
+ * doesn't create another one. Returns the stored state of the completed task.
+ */
+function scheduleNextOccurrence(before, after, userId) {
+  const doneStatuses = getDoneStatuses();
+  const isCompleted = !doneStatuses.includes(before.status) && doneStatuses.includes(after.status);
+  if (!isCompleted || !after.recurrence || after.nextOccurrenceId) {
+    return after;
+  }
+  
+  // Null once an RRULE UNTIL date has passed
+  const dueDate = getNextDueDate(after.recurrence, after.dueDate);
+  if (!dueDate) {
+    return after;
   }
   
-  res.json(filteredTasks);
+  // The next occurrence keeps the time between start and due date
+  const startDate = after.startDate && after.dueDate
+    ? toDateKey(addDays(parseDateKey(dueDate), -daysBetween(after.startDate, after.dueDate)))
+    : null;
+  const status = (getColumns().find(c => !c.isDone) || getColumns()[0]).id;
+  const now = new Date().toISOString();
+  const nextTask = {
+    id: uuidv4(),
+    boardId: after.boardId,
+    title: after.title,
+    description: after.description,
+    status,
+    rank: getEndRank(after.boardId, status),
+    priority: after.priority,
+    startDate,
+    dueDate,
+    createdAt: now,
+    updatedAt: now,
+    subtasks: after.subtasks.map(subtask => ({ ...subtask, id: uuidv4(), completed: false })),
+    attachments: [],
+    tags: after.tags,
+    assignee: after.assignee,
+    // Monthly repeats keep the day of this occurrence, even when the next one is earlier in a short month
+    recurrence: anchorRecurrence(after.recurrence, after.dueDate ? parseDateKey(after.dueDate) : new Date()),
+    blockedBy: [],
+    createdBy: userId,
+    commentCount: 0,
+    completedAt: null,
+    archived: false,
+    archivedAt: null,
+    version: 1
+  };
+  
+  tasks.insert(nextTask);
+  activityLog.record({ taskId: nextTask.id, userId, action: 'created' });
+  broadcaster.broadcast('task:created', nextTask);
+  
+  return tasks.update(after.id, { nextOccurrenceId: nextTask.id });
+}
+
+// Tasks stored before boards existed all belong to the first board
+tasks
+  .findAll(t => !t.boardId)
+  .forEach(task => {
+    tasks.update(task.id, { boardId: getBoards()[0].id });
+  });
+
+// Tasks stored before start dates existed only have a due date
+tasks
+  .findAll(t => t.startDate === undefined)
+  .forEach(task => {
+    tasks.update(task.id, { startDate: null });
+  });
+
+// Tasks stored before dependencies existed aren't blocked
+tasks
+  .findAll(t => !Array.isArray(t.blockedBy))
+  .forEach(task => {
+    tasks.update(task.id, { blockedBy: [] });
+  });
+
+// Tasks stored before recurring tasks existed don't repeat
+tasks
+  .findAll(t => t.recurrence === undefined)
+  .forEach(task => {
+    tasks.update(task.id, { recurrence: null });
+  });
+
+// Tasks no longer repeat by cron, which could make the next occurrence due the same day
+tasks
+  .findAll(t => t.recurrence?.frequency === 'cron')
+  .forEach(task => {
+    tasks.update(task.id, { recurrence: null });
+  });
+
+// Attachment metadata is embedded in the task, like subtasks
+tasks
+  .findAll(t => !Array.isArray(t.attachments))
+  .forEach(task => {
+    tasks.update(task.id, { attachments: [] });
+  });
+
+// Comment counts are kept on the task so boards don't have to load every comment
+tasks
+  .findAll(t => typeof t.commentCount !== 'number')
+  .forEach(task => {
+    tasks.update(task.id, { commentCount: comments.count(c => c.taskId === task.id) });
+  });
+
+// Versions count edits from here on
+tasks
+  .findAll(t => typeof t.version !== 'number')
+  .forEach(task => {
+    tasks.update(task.id, { version: 1 });
+  });
+
+// Tasks stored before the archive existed are active; done ones count as
+// completed when they were last changed
+tasks
+  .findAll(t => t.archived === undefined)
+  .forEach(task => {
+    tasks.update(task.id, {
+      archived: false,
+      archivedAt: null,
+      completedAt: getDoneStatuses().includes(task.status) ? task.updatedAt : null
+    });
+  });
+
+// Give tasks stored before manual ordering existed a rank at the end of their column
+tasks
+  .findAll(t => typeof t.rank !== 'string')
+  .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+  .forEach(task => {
+    tasks.update(task.id, { rank: getEndRank(task.boardId, task.status, task.id) });
+  });
+
+// API Routes
+
+// Registration, login and logout are the only routes open without a session
+const auth = createAuth({ users, sessions });
+app.use('/api/auth', auth.router);
+app.use('/api', auth.requireAuth);
+
+// Get the signed-in user
+app.get('/api/me', (req, res) => {
+  res.json(req.user);
+});
+
+// Get all users, e.g. to pick an assignee
+app.get('/api/users', (req, res) => {
+  res.json(users.findAll().map(toPublicUser));
+});
+
+// Server-Sent Events stream of all board, task, subtask, reminder, column and saved view changes
+app.get('/api/events', broadcaster.handleConnection);
+
+// Largest page of tasks a client can ask for
+const MAX_PAGE_SIZE = 100;
+
+// Cursors are the sort key of the last task of a page, opaque to clients
+function encodeCursor(sortKey) {
+  return Buffer.from(JSON.stringify(sortKey)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const sortKey = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return Array.isArray(sortKey) && sortKey.length === 2 && typeof sortKey[1] === 'string'
+      ? sortKey
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+// List tasks, filtered by ?boardId, ?status, ?priority and ?search (a query
+// like `tag:react is:overdue -is:done`, see src/utils/searchQuery.js), sorted by
+// ?sort (createdAt, title, priority, dueDate, status or manual) and ?order.
+// Archived tasks are only listed with ?archived=true, and then only they are.
+// With ?limit the response is one page: { tasks, total, nextCursor }, where
+// `total` counts all matching tasks and ?cursor=<nextCursor> fetches the next page.
+app.get('/api/tasks', (req, res) => {
+  const { boardId, status, priority, search, sort = 'createdAt', order = 'desc', cursor } = req.query;
+  const archived = req.query.archived === 'true';
+
+  if (!SORT_FIELDS.includes(sort)) {
+    return res.status(400).json({ error: `sort must be one of ${SORT_FIELDS.join(', ')}` });
+  }
+  if (!SORT_ORDERS.includes(order)) {
+    return res.status(400).json({ error: 'order must be asc or desc' });
+  }
+
+  const isPaged = req.query.limit !== undefined || cursor !== undefined;
+  const limit = Number(req.query.limit ?? MAX_PAGE_SIZE);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({ error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` });
+  }
+
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !after) {
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
+
+  let query = null;
+  try {
+    query = search ? parseSearchQuery(search) : null;
+  } catch (error) {
+    return res.status(400).json({ error: `Invalid search: ${error.message}`, code: 'INVALID_QUERY' });
+  }
+
+  const allColumns = getColumns();
+  const statusOrder = Object.fromEntries(allColumns.map((column, index) => [column.id, index]));
+  const sortKeyOf = task => getTaskSortKey(task, sort, statusOrder);
+  const queryContext = {
+    columns: allColumns,
+    doneStatuses: getDoneStatuses(),
+    findTask,
+    currentUserName: req.user.name
+  };
+
+  const filteredTasks = tasks
+    .findAll(task => (
+      (!boardId || task.boardId === boardId) &&
+      task.archived === archived &&
+      matchesTaskFilters(task, { query, status, priority }, queryContext)
+    ))
+    .sort((a, b) => compareSortKeys(sortKeyOf(a), sortKeyOf(b), order));
+
+  if (!isPaged) {
+    return res.json(filteredTasks);
+  }
+
+  // Resume after the cursor's position rather than an offset, so tasks added or
+  // moved in the meantime don't shift the next page
+  const remaining = after
+    ? filteredTasks.filter(task => compareSortKeys(sortKeyOf(task), after, order) > 0)
+    : filteredTasks;
+  const page = remaining.slice(0, limit);
+
+  res.json({
+    tasks: page,
+    total: filteredTasks.length,
+    nextCursor: remaining.length > limit ? encodeCursor(sortKeyOf(page[page.length - 1])) : null
+  });
 });
 
 // Get single task
 app.get('/api/tasks/:id', (req, res) => {
-  const task = tasks.find(t => t.id === req.params.id);
+  const task = tasks.findById(req.params.id);
   if (!task) {
     return res.status(404).json({ error: 'Task not found' });
   }
-  res.json(task);
+  res.set('ETag', getTaskETag(task)).json(task);
+});
+
+// Get the change history of a task, oldest first - still available after it was deleted
+app.get('/api/tasks/:id/activity', (req, res) => {
+  const entries = activityLog.getTaskActivity(req.params.id);
+  if (entries.length === 0 && !tasks.findById(req.params.id)) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  
+  const userNames = Object.fromEntries(users.findAll().map(user => [user.id, user.name]));
+  res.json(entries.map(entry => ({
+    ...entry,
+    userName: entry.userId ? userNames[entry.userId] || 'Unknown user' : SYSTEM_USER_NAME
+  })));
 });
 
 // Create new task
 app.post('/api/tasks', (req, res) => {
-  const { title, description, priority = 'medium', dueDate, tags = [], assignee } = req.body;
+  if (sendValidationError(res, validateSchema(taskCreateSchema, req.body))) return;
+  
+  const { title, description, priority = 'medium', startDate = null, dueDate = null, tags = [], assignee } = req.body;
+  const { recurrence = null, blockedBy = [] } = req.body;
+  const { boardId = getBoards()[0].id, status = getColumns()[0].id } = req.body;
+  
+  const referenceErrors = validateTaskReferences(null, { boardId, status, startDate, dueDate, blockedBy });
+  if (sendValidationError(res, referenceErrors)) return;
   
-  if (!title) {
-    return res.status(400).json({ error: 'Title is required' });
+  const blockedMoveError = getBlockedMoveError({ blockedBy }, status, req.query.ignoreBlockers === 'true');
+  if (blockedMoveError) {
+    return res.status(409).json(blockedMoveError);
   }
   
   const newTask = {
     id: uuidv4(),
+    boardId,
     title,
     description: description || '',
-    status: 'todo',
+    status,
+    rank: getEndRank(boardId, status),
     priority,
+    startDate,
     dueDate,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
     subtasks: [],
+    attachments: [],
     tags,
-    assignee: assignee || ''
+    assignee: assignee || '',
+    recurrence,
+    blockedBy: [...new Set(blockedBy)],
+    createdBy: req.user.id,
+    commentCount: 0,
+    completedAt: getDoneStatuses().includes(status) ? new Date().toISOString() : null,
+    archived: false,
+    archivedAt: null,
+    version: 1
   };
   
-  tasks.push(newTask);
-  res.status(201).json(newTask);
+  tasks.insert(newTask);
+  activityLog.record({ taskId: newTask.id, userId: req.user.id, action: 'created' });
+  broadcaster.broadcast('task:created', newTask);
+  res.status(201).set('ETag', getTaskETag(newTask)).json(newTask);
 });
 
-// Update task
-app.put('/api/tasks/:id', (req, res) => {
-  const taskIndex = tasks.findIndex(t => t.id === req.params.id);
-  if (taskIndex === -1) {
+/**
+ * Update task - only the fields in the body change. With an If-Match header
+ * holding the ETag (version) the client last saw, a task someone else has
+ * changed since is not touched: the response is a 409 with the current task,
+ * { error, code: 'VERSION_CONFLICT', task }, for the client to merge with.
+ * PUT predates PATCH and behaves the same.
+ */
+function updateTaskRoute(req, res) {
+  const task = tasks.findById(req.params.id);
+  if (!task) {
     return res.status(404).json({ error: 'Task not found' });
   }
   
-  const updatedTask = {
-    ...tasks[taskIndex],
-    ...req.body,
-    updatedAt: new Date().toISOString()
-  };
+  if (!matchesIfMatch(req.get('If-Match'), task)) {
+    return res.status(409).set('ETag', getTaskETag(task)).json({
+      error: 'This task was changed by someone else',
+      code: 'VERSION_CONFLICT',
+      task
+    });
+  }
+  
+  if (sendValidationError(res, validateSchema(taskUpdateSchema, req.body, { partial: true }))) return;
+  
+  const changes = { ...req.body };
+  if (sendValidationError(res, validateTaskReferences(task.id, changes, task))) return;
+  
+  if (changes.blockedBy !== undefined) {
+    changes.blockedBy = [...new Set(changes.blockedBy)];
+  }
+  
+  if (changes.status !== undefined && changes.status !== task.status) {
+    const blockedMoveError = getBlockedMoveError(
+      { ...task, ...changes },
+      changes.status,
+      req.query.ignoreBlockers === 'true'
+    );
+    if (blockedMoveError) {
+      return res.status(409).json(blockedMoveError);
+    }
+  }
+  
+  // A task moved to another column or board without an explicit rank goes to the bottom
+  const boardId = changes.boardId || task.boardId;
+  const status = changes.status || task.status;
+  if ((boardId !== task.boardId || status !== task.status) && !changes.rank) {
+    changes.rank = getEndRank(boardId, status, task.id);
+  }
+  
+  const updatedTask = scheduleNextOccurrence(task, saveTaskChanges(task, changes), req.user.id);
+  
+  activityLog.recordTaskChange(task, updatedTask, req.user.id);
+  broadcaster.broadcast('task:updated', updatedTask);
+  res.set('ETag', getTaskETag(updatedTask)).json(updatedTask);
+}
+
+app.patch('/api/tasks/:id', updateTaskRoute);
+app.put('/api/tasks/:id', updateTaskRoute);
+
+// Move a task between two neighbours of a column (manual ordering)
+// beforeId is the task that should end up directly above, afterId directly below
+app.post('/api/tasks/:id/reorder', (req, res) => {
+  const task = tasks.findById(req.params.id);
+  if (!task) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  
+  const { status = task.status, beforeId, afterId } = req.body;
+  
+  if (!isValidStatus(status, columns.findAll())) {
+    return res.status(400).json({ error: 'Invalid status' });
+  }
+  
+  if (status !== task.status) {
+    const blockedMoveError = getBlockedMoveError(task, status, req.query.ignoreBlockers === 'true');
+    if (blockedMoveError) {
+      return res.status(409).json(blockedMoveError);
+    }
+  }
+  
+  const column = getColumnTasks(status, { boardId: task.boardId, excludeId: task.id });
+  const beforeIndex = column.findIndex(t => t.id === beforeId);
+  const afterIndex = column.findIndex(t => t.id === afterId);
+  
+  if ((beforeId && beforeIndex === -1) || (afterId && afterIndex === -1)) {
+    return res.status(400).json({ error: 'Neighbour tasks must belong to the target column of the same board' });
+  }
+  
+  if (beforeId && afterId && beforeIndex >= afterIndex) {
+    return res.status(400).json({ error: 'beforeId must come before afterId' });
+  }
+  
+  // A missing neighbour defaults to the one directly next to the given neighbour
+  let before, after;
+  if (beforeId) {
+    before = column[beforeIndex];
+    after = afterId ? column[afterIndex] : column[beforeIndex + 1];
+  } else if (afterId) {
+    before = column[afterIndex - 1];
+    after = column[afterIndex];
+  } else {
+    before = column[column.length - 1];
+  }
+  
+  const updatedTask = scheduleNextOccurrence(task, saveTaskChanges(task, {
+    status,
+    rank: rankBetween(before?.rank, after?.rank)
+  }), req.user.id);
   
-  tasks[taskIndex] = updatedTask;
+  // Only moves to another column show up - the rank is not recorded
+  activityLog.recordTaskChange(task, updatedTask, req.user.id);
+  broadcaster.broadcast('task:updated', updatedTask);
   res.json(updatedTask);
 });
 
-// Delete task
+// Delete task - it is kept, so POST /api/tasks/:id/restore can bring it back
 app.delete('/api/tasks/:id', (req, res) => {
-  const taskIndex = tasks.findIndex(t => t.id === req.params.id);
-  if (taskIndex === -1) {
+  const task = tasks.findById(req.params.id);
+  if (!task) {
     return res.status(404).json({ error: 'Task not found' });
   }
   
-  tasks.splice(taskIndex, 1);
+  db.transaction(() => softDeleteTask(task, req.user.id));
+  res.status(204).send();
+});
+
+// Restore a deleted task
+app.post('/api/tasks/:id/restore', (req, res) => {
+  const deleted = deletedTasks.findById(req.params.id);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Deleted task not found' });
+  }
+  
+  const restoredTask = db.transaction(() => restoreTask(deleted, req.user.id));
+  res.json(restoredTask);
+});
+
+// Trash API - the deleted tasks of ?boardId (or of all boards), most recently
+// deleted first, each with its deletedAt and deletedBy:
+// { tasks, retentionDays }, where retentionDays is 0 when they are never purged
+app.get('/api/trash', (req, res) => {
+  const { boardId } = req.query;
+  const trashedTasks = deletedTasks
+    .findAll(deleted => !boardId || deleted.task.boardId === boardId)
+    .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+    .map(({ task, deletedAt, deletedBy }) => ({ ...task, deletedAt, deletedBy }));
+  
+  res.json({ tasks: trashedTasks, retentionDays: TRASH_RETENTION_DAYS });
+});
+
+// Permanently delete a task from the trash
+app.delete('/api/trash/:id', (req, res) => {
+  const deleted = deletedTasks.findById(req.params.id);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Deleted task not found' });
+  }
+  
+  purgeDeletedTask(deleted);
   res.status(204).send();
 });
 
+// Empty the trash of ?boardId, or all of it
+app.delete('/api/trash', (req, res) => {
+  const { boardId } = req.query;
+  deletedTasks
+    .findAll(deleted => !boardId || deleted.task.boardId === boardId)
+    .forEach(deleted => purgeDeletedTask(deleted));
+  res.status(204).send();
+});
+
+// Field errors of a bulk request, with the changes' fields as "changes.status"
+function validateBulkRequest(body) {
+  const errors = validateSchema(bulkTaskSchema, body);
+  if (Object.keys(errors).length > 0 || body.action !== 'update') {
+    return errors;
+  }
+  
+  const changes = body.changes || {};
+  Object.entries(validateSchema(bulkChangesSchema, changes)).forEach(([field, message]) => {
+    errors[`changes.${field}`] = message;
+  });
+  if (Object.keys(changes).length === 0) {
+    errors.changes = 'Choose something to change';
+  }
+  if (changes.status !== undefined && !isValidStatus(changes.status, columns.findAll())) {
+    errors['changes.status'] = 'Status does not match any column';
+  }
+  return errors;
+}
+
+// Applies bulk update changes to one task and returns its stored state
+function applyBulkUpdate(task, changes, userId) {
+  const taskChanges = {};
+  
+  if (changes.priority !== undefined) taskChanges.priority = changes.priority;
+  if (changes.assignee !== undefined) taskChanges.assignee = changes.assignee;
+  if (changes.archived !== undefined) taskChanges.archived = changes.archived;
+  if (changes.addTags || changes.removeTags) {
+    const removeTags = changes.removeTags || [];
+    taskChanges.tags = [...new Set([...task.tags, ...(changes.addTags || [])])]
+      .filter(tag => !removeTags.includes(tag));
+  }
+  if (changes.status !== undefined && changes.status !== task.status) {
+    taskChanges.status = changes.status;
+    taskChanges.rank = getEndRank(task.boardId, changes.status, task.id);
+  }
+  
+  if (diffFields(task, { ...task, ...taskChanges }, []).length === 0) {
+    return task;
+  }
+  
+  const updatedTask = scheduleNextOccurrence(task, saveTaskChanges(task, taskChanges), userId);
+  activityLog.recordTaskChange(task, updatedTask, userId);
+  broadcaster.broadcast('task:updated', updatedTask);
+  return updatedTask;
+}
+
+/**
+ * Change or delete many tasks at once: { ids, action: 'update', changes } or
+ * { ids, action: 'delete' }. Updates may set status, priority and assignee,
+ * add or remove tags, and archive or unarchive the tasks. All tasks are changed or none: if any of them can't be,
+ * nothing is saved and the response is a 409 with code 'BULK_FAILED'. Either
+ * way `results` has an entry per id - { id, ok: true, task } or
+ * { id, ok: false, error, code? }.
+ * Moves to another column are checked for open blockers once every task has
+ * moved, so tasks can be completed together with the tasks blocking them.
+ */
+app.post('/api/tasks/bulk', (req, res) => {
+  if (sendValidationError(res, validateBulkRequest(req.body))) return;
+  
+  const { action, changes } = req.body;
+  const ids = [...new Set(req.body.ids)];
+  const ignoreBlockers = req.query.ignoreBlockers === 'true';
+  
+  try {
+    const results = broadcaster.batch(() => db.transaction(() => {
+      const itemResults = ids.map(id => {
+        const task = tasks.findById(id);
+        if (!task) {
+          return { id, ok: false, error: 'Task not found', code: 'NOT_FOUND' };
+        }
+        
+        if (action === 'delete') {
+          softDeleteTask(task, req.user.id);
+          return { id, ok: true };
+        }
+        
+        const updatedTask = applyBulkUpdate(task, changes, req.user.id);
+        return { id, ok: true, task: updatedTask, moved: updatedTask.status !== task.status };
+      }).map(({ moved, ...result }) => {
+        const blockedMoveError = moved && getBlockedMoveError(result.task, result.task.status, ignoreBlockers);
+        return blockedMoveError ? { id: result.id, ok: false, ...blockedMoveError } : result;
+      });
+      
+      if (itemResults.some(result => !result.ok)) {
+        const error = new Error('Bulk action failed');
+        // Nothing was saved, so there are no tasks to send back
+        error.results = itemResults.map(result => (result.ok ? { id: result.id, ok: true } : result));
+        throw error;
+      }
+      return itemResults;
+    }));
+    
+    res.json({ results });
+  } catch (error) {
+    if (!error.results) throw error;
+    
+    const failed = error.results.filter(result => !result.ok);
+    res.status(409).json({
+      error: `${failed.length} of ${ids.length} tasks could not be changed, so none were: ${failed[0].error}`,
+      code: 'BULK_FAILED',
+      results: error.results
+    });
+  }
+});
+
 // Add subtask
 app.post('/api/tasks/:id/subtasks', (req, res) => {
-  const task = tasks.find(t => t.id === req.params.id);
+  const task = tasks.findById(req.params.id);
   if (!task) {
     return res.status(404).json({ error: 'Task not found' });
   }
   
-  const { title } = req.body;
-  if (!title) {
-    return res.status(400).json({ error: 'Subtask title is required' });
-  }
+  if (sendValidationError(res, validateSchema(subtaskCreateSchema, req.body))) return;
   
   const newSubtask = {
     id: uuidv4(),
-    title,
+    title: req.body.title,
     completed: false
   };
   
-  task.subtasks.push(newSubtask);
-  task.updatedAt = new Date().toISOString();
+  tasks.update(task.id, {
+    subtasks: [...task.subtasks, newSubtask],
+    updatedAt: new Date().toISOString()
+  });
   
+  activityLog.record({
+    taskId: task.id,
+    subtaskId: newSubtask.id,
+    userId: req.user.id,
+    action: 'subtask_added',
+    changes: diffFields({}, newSubtask, ['id'])
+  });
+  broadcaster.broadcast('subtask:created', { taskId: task.id, subtask: newSubtask });
   res.status(201).json(newSubtask);
 });
 
 // Update subtask
 app.put('/api/tasks/:taskId/subtasks/:subtaskId', (req, res) => {
-  const task = tasks.find(t => t.id === req.params.taskId);
+  const task = tasks.findById(req.params.taskId);
   if (!task) {
     return res.status(404).json({ error: 'Task not found' });
   }
@@ -181,18 +988,35 @@ app.put('/api/tasks/:taskId/subtasks/:subtaskId', (req, res) => {
     return res.status(404).json({ error: 'Subtask not found' });
   }
   
-  task.subtasks[subtaskIndex] = {
+  if (sendValidationError(res, validateSchema(subtaskUpdateSchema, req.body, { partial: true }))) return;
+  
+  const updatedSubtask = {
     ...task.subtasks[subtaskIndex],
     ...req.body
   };
-  task.updatedAt = new Date().toISOString();
+  tasks.update(task.id, {
+    subtasks: task.subtasks.map((st, index) => index === subtaskIndex ? updatedSubtask : st),
+    updatedAt: new Date().toISOString()
+  });
+  
+  const subtaskChanges = diffFields(task.subtasks[subtaskIndex], updatedSubtask, ['id']);
+  if (subtaskChanges.length > 0) {
+    activityLog.record({
+      taskId: task.id,
+      subtaskId: updatedSubtask.id,
+      userId: req.user.id,
+      action: 'subtask_updated',
+      changes: subtaskChanges
+    });
+  }
   
-  res.json(task.subtasks[subtaskIndex]);
+  broadcaster.broadcast('subtask:updated', { taskId: task.id, subtask: updatedSubtask });
+  res.json(updatedSubtask);
 });
 
 // Delete subtask
 app.delete('/api/tasks/:taskId/subtasks/:subtaskId', (req, res) => {
-  const task = tasks.find(t => t.id === req.params.taskId);
+  const task = tasks.findById(req.params.taskId);
   if (!task) {
     return res.status(404).json({ error: 'Task not found' });
   }
@@ -202,22 +1026,263 @@ app.delete('/api/tasks/:taskId/subtasks/:subtaskId', (req, res) => {
     return res.status(404).json({ error: 'Subtask not found' });
   }
   
-  task.subtasks.splice(subtaskIndex, 1);
-  task.updatedAt = new Date().toISOString();
+  tasks.update(task.id, {
+    subtasks: task.subtasks.filter(st => st.id !== req.params.subtaskId),
+    updatedAt: new Date().toISOString()
+  });
   
+  activityLog.record({
+    taskId: task.id,
+    subtaskId: req.params.subtaskId,
+    userId: req.user.id,
+    action: 'subtask_deleted',
+    changes: diffFields(task.subtasks[subtaskIndex], {}, ['id'])
+  });
+  broadcaster.broadcast('subtask:deleted', { taskId: task.id, subtaskId: req.params.subtaskId });
+  res.status(204).send();
+});
+
+// Attachments API
+// Files are uploaded as multipart/form-data in the "files" field
+
+app.post('/api/tasks/:id/attachments', (req, res, next) => {
+  if (!tasks.findById(req.params.id)) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  next();
+}, attachmentStorage.handleUpload, (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({ error: 'No files were uploaded' });
+  }
+  
+  // The task may have changed while the files were uploading
+  const task = tasks.findById(req.params.id);
+  if (!task) {
+    attachmentStorage.removeFiles(req.files.map(file => ({ id: file.filename })));
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  
+  const newAttachments = req.files.map(file => attachmentStorage.toAttachment(file, req.user.id));
+  const updatedTask = tasks.update(task.id, {
+    attachments: [...task.attachments, ...newAttachments],
+    updatedAt: new Date().toISOString()
+  });
+  
+  newAttachments.forEach(attachment => {
+    activityLog.record({
+      taskId: task.id,
+      userId: req.user.id,
+      action: 'attachment_added',
+      changes: [{ field: 'attachment', from: null, to: attachment.name }]
+    });
+  });
+  
+  broadcaster.broadcast('task:updated', updatedTask);
+  res.status(201).json(newAttachments);
+});
+
+// Download an attachment; images can be shown inline with ?inline=true
+app.get('/api/tasks/:taskId/attachments/:attachmentId', (req, res) => {
+  const task = tasks.findById(req.params.taskId);
+  const attachment = task?.attachments.find(a => a.id === req.params.attachmentId);
+  if (!attachment) {
+    return res.status(404).json({ error: 'Attachment not found' });
+  }
+  
+  const isInline = req.query.inline === 'true' && attachment.mimeType.startsWith('image/');
+  res.setHeader('Content-Type', attachment.mimeType);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader(
+    'Content-Disposition',
+    `${isInline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(attachment.name)}`
+  );
+  
+  res.sendFile(attachmentStorage.getFilePath(attachment), error => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ error: 'Attachment file is missing' });
+    }
+  });
+});
+
+app.delete('/api/tasks/:taskId/attachments/:attachmentId', (req, res) => {
+  const task = tasks.findById(req.params.taskId);
+  const attachment = task?.attachments.find(a => a.id === req.params.attachmentId);
+  if (!attachment) {
+    return res.status(404).json({ error: 'Attachment not found' });
+  }
+  
+  const updatedTask = tasks.update(task.id, {
+    attachments: task.attachments.filter(a => a.id !== attachment.id),
+    updatedAt: new Date().toISOString()
+  });
+  attachmentStorage.removeFiles([attachment]);
+  
+  activityLog.record({
+    taskId: task.id,
+    userId: req.user.id,
+    action: 'attachment_deleted',
+    changes: [{ field: 'attachment', from: attachment.name, to: null }]
+  });
+  
+  broadcaster.broadcast('task:updated', updatedTask);
+  res.status(204).send();
+});
+
+// Comments API
+// Comments are Markdown; replies point at their parent with parentId.
+// @mentions are resolved to user ids when a comment is saved.
+
+// Users mentioned in a comment body
+function getMentionedUserIds(body) {
+  const allUsers = users.findAll();
+  const names = findMentions(body, allUsers.map(user => user.name))
+    .map(name => name.toLowerCase());
+  return allUsers
+    .filter(user => names.includes(user.name.toLowerCase()))
+    .map(user => user.id);
+}
+
+function withUserName(comment) {
+  return { ...comment, userName: users.findById(comment.userId)?.name || 'Unknown user' };
+}
+
+// Keep the task's comment count in sync and let clients know
+function updateCommentCount(taskId) {
+  const updatedTask = tasks.update(taskId, { commentCount: comments.count(c => c.taskId === taskId) });
+  broadcaster.broadcast('task:updated', updatedTask);
+}
+
+// Get the comments of a task, oldest first
+app.get('/api/tasks/:id/comments', (req, res) => {
+  if (!tasks.findById(req.params.id)) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  
+  const taskComments = comments
+    .findAll(c => c.taskId === req.params.id)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  
+  res.json(taskComments.map(withUserName));
+});
+
+app.post('/api/tasks/:id/comments', (req, res) => {
+  const task = tasks.findById(req.params.id);
+  if (!task) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  
+  const { body, parentId = null } = req.body;
+  if (typeof body !== 'string' || !isNotEmpty(body)) {
+    return res.status(400).json({ error: 'Comment text is required' });
+  }
+  
+  const parent = parentId ? comments.findById(parentId) : null;
+  if (parentId && (!parent || parent.taskId !== task.id)) {
+    return res.status(400).json({ error: 'Replies must belong to a comment of the same task' });
+  }
+  
+  const newComment = {
+    id: uuidv4(),
+    taskId: task.id,
+    parentId,
+    userId: req.user.id,
+    body: body.trim(),
+    mentions: getMentionedUserIds(body),
+    createdAt: new Date().toISOString(),
+    updatedAt: null
+  };
+  
+  comments.insert(newComment);
+  broadcaster.broadcast('comment:created', withUserName(newComment));
+  updateCommentCount(task.id);
+  res.status(201).json(withUserName(newComment));
+});
+
+// Comments can only be edited and deleted by their author
+app.put('/api/tasks/:taskId/comments/:commentId', (req, res) => {
+  const comment = comments.findById(req.params.commentId);
+  if (!comment || comment.taskId !== req.params.taskId) {
+    return res.status(404).json({ error: 'Comment not found' });
+  }
+  
+  if (comment.userId !== req.user.id) {
+    return res.status(403).json({ error: 'Only the author can edit a comment' });
+  }
+  
+  const { body } = req.body;
+  if (typeof body !== 'string' || !isNotEmpty(body)) {
+    return res.status(400).json({ error: 'Comment text is required' });
+  }
+  
+  const updatedComment = comments.update(comment.id, {
+    body: body.trim(),
+    mentions: getMentionedUserIds(body),
+    updatedAt: new Date().toISOString()
+  });
+  
+  broadcaster.broadcast('comment:updated', withUserName(updatedComment));
+  res.json(withUserName(updatedComment));
+});
+
+// Deleting a comment deletes the replies to it as well
+app.delete('/api/tasks/:taskId/comments/:commentId', (req, res) => {
+  const comment = comments.findById(req.params.commentId);
+  if (!comment || comment.taskId !== req.params.taskId) {
+    return res.status(404).json({ error: 'Comment not found' });
+  }
+  
+  if (comment.userId !== req.user.id) {
+    return res.status(403).json({ error: 'Only the author can delete a comment' });
+  }
+  
+  const taskComments = comments.findAll(c => c.taskId === comment.taskId);
+  const removedIds = [comment.id];
+  for (let i = 0; i < removedIds.length; i++) {
+    taskComments
+      .filter(c => c.parentId === removedIds[i])
+      .forEach(reply => removedIds.push(reply.id));
+  }
+  removedIds.forEach(id => comments.remove(id));
+  
+  broadcaster.broadcast('comment:deleted', { taskId: comment.taskId, ids: removedIds });
+  updateCommentCount(comment.taskId);
   res.status(204).send();
 });
 
 // Reminders API
+// status is "scheduled" until the reminder goes off, then "fired"; "dismissed"
+// reminders were switched off by a user. isActive mirrors status === "scheduled".
 app.get('/api/reminders', (req, res) => {
-  res.json(reminders);
+  const { taskId } = req.query;
+  res.json(reminders.findAll(r => !taskId || r.taskId === taskId));
+});
+
+// Fired reminder events, for clients to pick up with ?since=<serverTime of the previous call>
+app.get('/api/reminders/events', (req, res) => {
+  const { since } = req.query;
+  const serverTime = new Date();
+  
+  if (since && !isValidDate(since)) {
+    return res.status(400).json({ error: 'since must be a valid date' });
+  }
+  
+  const events = reminderEvents
+    .findAll(event => {
+      const firedAt = new Date(event.firedAt);
+      return (!since || firedAt > new Date(since)) && firedAt <= serverTime;
+    })
+    .sort((a, b) => new Date(a.firedAt) - new Date(b.firedAt));
+  
+  res.json({ events, serverTime: serverTime.toISOString() });
 });
 
 app.post('/api/reminders', (req, res) => {
-  const { taskId, message, reminderTime } = req.body;
+  if (sendValidationError(res, validateSchema(reminderCreateSchema, req.body))) return;
   
-  if (!taskId || !message || !reminderTime) {
-    return res.status(400).json({ error: 'TaskId, message, and reminderTime are required' });
+  const { taskId, message, reminderTime, recurrence = null } = req.body;
+  
+  if (!tasks.findById(taskId)) {
+    return res.status(404).json({ error: 'Task not found' });
   }
   
   const newReminder = {
@@ -225,36 +1290,425 @@ app.post('/api/reminders', (req, res) => {
     taskId,
     message,
     reminderTime,
-    isActive: true
+    isActive: true,
+    status: 'scheduled',
+    recurrence,
+    snoozedFrom: null,
+    lastFiredAt: null
   };
   
-  reminders.push(newReminder);
+  reminders.insert(newReminder);
+  broadcaster.broadcast('reminder:created', newReminder);
   res.status(201).json(newReminder);
 });
 
+// Update a reminder; { snoozeMinutes } pushes it back and schedules it again
+app.put('/api/reminders/:id', (req, res) => {
+  const reminder = reminders.findById(req.params.id);
+  if (!reminder) {
+    return res.status(404).json({ error: 'Reminder not found' });
+  }
+  
+  if (sendValidationError(res, validateSchema(reminderUpdateSchema, req.body, { partial: true }))) return;
+  
+  const { message, reminderTime, isActive, recurrence, snoozeMinutes } = req.body;
+  const changes = {};
+  
+  if (message !== undefined) {
+    changes.message = message;
+  }
+  
+  if (reminderTime !== undefined) {
+    Object.assign(changes, { reminderTime, status: 'scheduled', isActive: true, snoozedFrom: null });
+  }
+  
+  if (recurrence !== undefined) {
+    changes.recurrence = recurrence;
+  }
+  
+  if (isActive !== undefined) {
+    changes.isActive = isActive;
+    changes.status = isActive ? 'scheduled' : 'dismissed';
+  }
+  
+  if (snoozeMinutes !== undefined) {
+    // Repeating reminders remember their pending occurrence so the schedule continues from it
+    Object.assign(changes, {
+      reminderTime: new Date(Date.now() + snoozeMinutes * 60 * 1000).toISOString(),
+      status: 'scheduled',
+      isActive: true,
+      snoozedFrom: reminder.recurrence ? reminder.snoozedFrom || reminder.reminderTime : null
+    });
+  }
+  
+  const updatedReminder = reminders.update(reminder.id, changes);
+  broadcaster.broadcast('reminder:updated', updatedReminder);
+  res.json(updatedReminder);
+});
+
 app.delete('/api/reminders/:id', (req, res) => {
-  const reminderIndex = reminders.findIndex(r => r.id === req.params.id);
-  if (reminderIndex === -1) {
+  if (!reminders.remove(req.params.id)) {
     return res.status(404).json({ error: 'Reminder not found' });
   }
   
-  reminders.splice(reminderIndex, 1);
+  broadcaster.broadcast('reminder:deleted', { id: req.params.id });
   res.status(204).send();
 });
 
-// Get task statistics
+// Boards API
+app.get('/api/boards', (req, res) => {
+  res.json(getBoards());
+});
+
+app.post('/api/boards', (req, res) => {
+  const { name } = req.body;
+  
+  if (typeof name !== 'string' || !isNotEmpty(name)) {
+    return res.status(400).json({ error: 'Board name is required' });
+  }
+  
+  const newBoard = {
+    id: uuidv4(),
+    name: name.trim(),
+    createdAt: new Date().toISOString(),
+    createdBy: req.user.id
+  };
+  
+  boards.insert(newBoard);
+  broadcaster.broadcast('board:created', newBoard);
+  res.status(201).json(newBoard);
+});
+
+app.put('/api/boards/:id', (req, res) => {
+  const board = boards.findById(req.params.id);
+  if (!board) {
+    return res.status(404).json({ error: 'Board not found' });
+  }
+  
+  const { name } = req.body;
+  if (typeof name !== 'string' || !isNotEmpty(name)) {
+    return res.status(400).json({ error: 'Board name is required' });
+  }
+  
+  const updatedBoard = boards.update(board.id, { name: name.trim() });
+  broadcaster.broadcast('board:updated', updatedBoard);
+  res.json(updatedBoard);
+});
+
+// Deleting a board deletes its tasks (and their reminders) with it
+app.delete('/api/boards/:id', (req, res) => {
+  const board = boards.findById(req.params.id);
+  if (!board) {
+    return res.status(404).json({ error: 'Board not found' });
+  }
+  
+  if (boards.count() === 1) {
+    return res.status(400).json({ error: 'The last board cannot be deleted' });
+  }
+  
+  tasks
+    .findAll(t => t.boardId === board.id)
+    .forEach(task => {
+      tasks.remove(task.id);
+      removeTaskDependents(task);
+      attachmentStorage.removeFiles(task.attachments);
+      activityLog.record({ taskId: task.id, userId: req.user.id, action: 'deleted' });
+    });
+  deletedTasks
+    .findAll(deleted => deleted.task.boardId === board.id)
+    .forEach(deleted => purgeDeletedTask(deleted));
+  
+  boards.remove(board.id);
+  broadcaster.broadcast('board:deleted', { id: board.id });
+  res.status(204).send();
+});
+
+// Saved views API - named board filters, private to their owner unless shared
+const canSeeView = (view, userId) => view.shared || view.createdBy === userId;
+
+// Error message for invalid view filters, or null; missing filters are allowed
+function validateViewFilters(filters) {
+  if (typeof filters !== 'object' || filters === null || Array.isArray(filters)) {
+    return 'filters must be an object';
+  }
+
+  const { search, status, priority, sortBy, sortOrder } = normalizeFilters(filters);
+  if ([search, status, priority, sortBy, sortOrder].some(value => typeof value !== 'string')) {
+    return 'Filter values must be strings';
+  }
+  try {
+    parseSearchQuery(search);
+  } catch (error) {
+    return `Invalid search: ${error.message}`;
+  }
+  if (status !== 'all' && !isValidStatus(status, getColumns())) {
+    return 'Status does not match any column';
+  }
+  if (priority !== 'all' && !isValidPriority(priority)) {
+    return 'Priority must be all, low, medium or high';
+  }
+  if (!SORT_FIELDS.includes(sortBy)) {
+    return `sortBy must be one of ${SORT_FIELDS.join(', ')}`;
+  }
+  if (!SORT_ORDERS.includes(sortOrder)) {
+    return 'sortOrder must be asc or desc';
+  }
+  return null;
+}
+
+// Private views only reach their owner; everyone else is told to drop a view
+// that stopped being shared
+function broadcastView(type, view, data = view) {
+  const isOwner = userId => userId === view.createdBy;
+  broadcaster.broadcast(type, data, view.shared ? {} : { to: isOwner });
+
+  if (type === 'view:updated' && !view.shared) {
+    broadcaster.broadcast('view:deleted', { id: view.id }, { to: userId => !isOwner(userId) });
+  }
+}
+
+// The signed-in user's views and the ones teammates shared
+app.get('/api/views', (req, res) => {
+  res.json(savedViews.findAll(view => canSeeView(view, req.user.id)));
+});
+
+app.post('/api/views', (req, res) => {
+  const { name, filters = {}, shared = false } = req.body;
+
+  if (typeof name !== 'string' || !isNotEmpty(name)) {
+    return res.status(400).json({ error: 'View name is required' });
+  }
+  const filtersError = validateViewFilters(filters);
+  if (filtersError) {
+    return res.status(400).json({ error: filtersError });
+  }
+
+  const now = new Date().toISOString();
+  const newView = {
+    id: uuidv4(),
+    name: name.trim(),
+    filters: normalizeFilters(filters),
+    shared: Boolean(shared),
+    createdBy: req.user.id,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  savedViews.insert(newView);
+  broadcastView('view:created', newView);
+  res.status(201).json(newView);
+});
+
+// Rename, share or unshare a view, or replace its filters - owners only
+app.put('/api/views/:id', (req, res) => {
+  const view = savedViews.findById(req.params.id);
+  if (!view || !canSeeView(view, req.user.id)) {
+    return res.status(404).json({ error: 'View not found' });
+  }
+  if (view.createdBy !== req.user.id) {
+    return res.status(403).json({ error: 'Only the owner can change a view' });
+  }
+
+  const { name, filters, shared } = req.body;
+  const changes = {};
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !isNotEmpty(name)) {
+      return res.status(400).json({ error: 'View name is required' });
+    }
+    changes.name = name.trim();
+  }
+  if (filters !== undefined) {
+    const filtersError = validateViewFilters(filters);
+    if (filtersError) {
+      return res.status(400).json({ error: filtersError });
+    }
+    changes.filters = normalizeFilters(filters);
+  }
+  if (shared !== undefined) {
+    changes.shared = Boolean(shared);
+  }
+
+  const updatedView = savedViews.update(view.id, { ...changes, updatedAt: new Date().toISOString() });
+  broadcastView('view:updated', updatedView);
+  res.json(updatedView);
+});
+
+app.delete('/api/views/:id', (req, res) => {
+  const view = savedViews.findById(req.params.id);
+  if (!view || !canSeeView(view, req.user.id)) {
+    return res.status(404).json({ error: 'View not found' });
+  }
+  if (view.createdBy !== req.user.id) {
+    return res.status(403).json({ error: 'Only the owner can delete a view' });
+  }
+
+  savedViews.remove(view.id);
+  broadcastView('view:deleted', view, { id: view.id });
+  res.status(204).send();
+});
+
+// Workflow columns API
+app.get('/api/columns', (req, res) => {
+  res.json(getColumns());
+});
+
+app.post('/api/columns', (req, res) => {
+  const { name, color = '#5a9cad', isDone = false } = req.body;
+  
+  if (typeof name !== 'string' || !isNotEmpty(name)) {
+    return res.status(400).json({ error: 'Column name is required' });
+  }
+  
+  if (!isValidColor(color)) {
+    return res.status(400).json({ error: 'Color must be a hex value like #1e81b0' });
+  }
+  
+  const existing = getColumns();
+  const newColumn = {
+    id: uuidv4(),
+    name: name.trim(),
+    color,
+    order: existing.length > 0 ? existing[existing.length - 1].order + 1 : 1,
+    isDone: Boolean(isDone)
+  };
+  
+  columns.insert(newColumn);
+  broadcaster.broadcast('column:created', newColumn);
+  res.status(201).json(newColumn);
+});
+
+app.put('/api/columns/:id', (req, res) => {
+  const column = columns.findById(req.params.id);
+  if (!column) {
+    return res.status(404).json({ error: 'Column not found' });
+  }
+  
+  const { name, color, order, isDone } = req.body;
+  const changes = {};
+  
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !isNotEmpty(name)) {
+      return res.status(400).json({ error: 'Column name is required' });
+    }
+    changes.name = name.trim();
+  }
+  
+  if (color !== undefined) {
+    if (!isValidColor(color)) {
+      return res.status(400).json({ error: 'Color must be a hex value like #1e81b0' });
+    }
+    changes.color = color;
+  }
+  
+  if (order !== undefined) {
+    if (!Number.isFinite(order)) {
+      return res.status(400).json({ error: 'Order must be a number' });
+    }
+    changes.order = order;
+  }
+  
+  if (isDone !== undefined) {
+    changes.isDone = Boolean(isDone);
+  }
+  
+  const updatedColumn = columns.update(column.id, changes);
+  broadcaster.broadcast('column:updated', updatedColumn);
+  res.json(updatedColumn);
+});
+
+// Tasks of a deleted column must be moved to another one with ?moveTo=<columnId>
+app.delete('/api/columns/:id', (req, res) => {
+  const column = columns.findById(req.params.id);
+  if (!column) {
+    return res.status(404).json({ error: 'Column not found' });
+  }
+  
+  if (columns.count() === 1) {
+    return res.status(400).json({ error: 'The last column cannot be deleted' });
+  }
+  
+  const columnTasks = getColumnTasks(column.id);
+  const { moveTo } = req.query;
+  
+  if (columnTasks.length > 0) {
+    if (!moveTo || moveTo === column.id || !columns.findById(moveTo)) {
+      return res.status(409).json({ error: 'Column still has tasks - choose a column to move them to' });
+    }
+    
+    columnTasks.forEach(task => {
+      const movedTask = scheduleNextOccurrence(task, saveTaskChanges(task, {
+        status: moveTo,
+        rank: getEndRank(task.boardId, moveTo, task.id)
+      }), req.user.id);
+      activityLog.recordTaskChange(task, movedTask, req.user.id);
+      broadcaster.broadcast('task:updated', movedTask);
+    });
+  }
+  
+  columns.remove(column.id);
+  broadcaster.broadcast('column:deleted', { id: column.id });
+  res.status(204).send();
+});
+
+// Totals for a set of tasks
+function getTaskCounts(taskList, doneStatuses) {
+  return {
+    total: taskList.length,
+    completed: taskList.filter(t => doneStatuses.includes(t.status)).length,
+    overdue: taskList.filter(t => isOverdue(t, doneStatuses)).length
+  };
+}
+
+// Get task statistics, across all boards or for ?boardId=<id>, plus a breakdown per board
 app.get('/api/stats', (req, res) => {
+  const { boardId } = req.query;
+  const doneStatuses = getDoneStatuses();
+  // Archived tasks are out of the way, so they don't count
+  const allTasks = tasks.findAll(t => !t.archived);
+  const scopedTasks = boardId ? allTasks.filter(t => t.boardId === boardId) : allTasks;
+  
   const stats = {
-    total: tasks.length,
-    todo: tasks.filter(t => t.status === 'todo').length,
-    inProgress: tasks.filter(t => t.status === 'in-progress').length,
-    completed: tasks.filter(t => t.status === 'completed').length,
-    overdue: tasks.filter(t => t.dueDate && new Date(t.dueDate) < new Date() && t.status !== 'completed').length
+    ...getTaskCounts(scopedTasks, doneStatuses),
+    columns: getColumns().map(column => ({
+      id: column.id,
+      name: column.name,
+      count: scopedTasks.filter(t => t.status === column.id).length
+    })),
+    boards: getBoards().map(board => ({
+      id: board.id,
+      name: board.name,
+      ...getTaskCounts(allTasks.filter(t => t.boardId === board.id), doneStatuses)
+    }))
   };
   
   res.json(stats);
 });
 
+// Fire due reminders in the background
+const reminderScheduler = createReminderScheduler({
+  reminders,
+  reminderEvents,
+  onFire: event => broadcaster.broadcast('reminder:fired', event)
+});
+reminderScheduler.start();
+
+// Archive long-done tasks and purge old ones from the trash in the background
+const housekeeper = createHousekeeper({
+  tasks,
+  deletedTasks,
+  getDoneStatuses,
+  archiveAfterDays: ARCHIVE_AFTER_DAYS,
+  trashRetentionDays: TRASH_RETENTION_DAYS,
+  onArchive: task => {
+    const archivedTask = saveTaskChanges(task, { archived: true });
+    activityLog.recordTaskChange(task, archivedTask, null);
+    broadcaster.broadcast('task:updated', archivedTask);
+  },
+  onPurge: purgeDeletedTask
+});
+housekeeper.start();
+
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
 });
@@ -1,17 +1,32 @@
-import React from 'react';
+import React, { useState } from 'react';
 import TaskBoard from './components/TaskBoard';
+import SavedViews from './components/SavedViews';
+import CalendarView from './components/CalendarView';
+import TableView from './components/TableView';
+import TimelineView from './components/TimelineView';
+import ArchiveView from './components/ArchiveView';
 import TaskForm from './components/TaskForm';
+import TaskConflictDialog from './components/TaskConflictDialog';
+import ColumnManager from './components/ColumnManager';
+import BoardSwitcher from './components/BoardSwitcher';
+import ViewSwitcher from './components/ViewSwitcher';
+import TaskActivity from './components/TaskActivity';
+import TaskComments from './components/TaskComments';
+import LoginScreen from './components/LoginScreen';
 import Modal from './components/UI/Modal';
 import Button from './components/UI/Button';
 import LoadingSpinner from './components/UI/LoadingSpinner';
-import { useTaskContext } from './context/TaskContext';
+import { TaskProvider, useTaskContext } from './context/TaskContext';
+import { useAuth } from './context/AuthContext';
 import './App.css';
 
 /**
- * Main App component demonstrating comprehensive React concepts
+ * Task board with header, modals and shortcuts, shown once signed in
  * Demonstrates: All major React concepts from the topics directory
  */
-function App() {
+function TaskManager() {
+  const { user, logout } = useAuth();
+
   // Use the task context
   const {
     tasks,
@@ -20,15 +35,21 @@ function App() {
     showCreateModal,
     showEditModal,
     editingTask,
+    taskConflict,
     lastRefresh,
-    autoRefresh,
+    isLive,
     taskStats,
+    viewMode,
+    undoLabel,
+    redoLabel,
     setError,
-    setAutoRefresh,
+    handleUndo,
+    handleRedo,
     handleCloseCreateModal,
     handleCloseEditModal,
     handleOpenCreateModal
   } = useTaskContext();
+  const [showColumnsModal, setShowColumnsModal] = useState(false);
 
   return (
     <div className="app">
@@ -36,7 +57,10 @@ function App() {
       <header className="app-header">
         <div className="header-content">
           <div className="header-left">
-            <h1>Task Manager</h1>
+            <div className="header-title">
+              <h1>Task Manager</h1>
+              <BoardSwitcher />
+            </div>
             <div className="header-stats">
               <span className="stat">
                 {taskStats.completed}/{taskStats.total} completed
@@ -53,15 +77,15 @@ function App() {
           </div>
 
           <div className="header-actions">
+            <ViewSwitcher />
+
             <div className="view-controls">
-              <label className="auto-refresh-toggle">
-                <input
-                  type="checkbox"
-                  checked={autoRefresh}
-                  onChange={(e) => setAutoRefresh(e.target.checked)}
-                />
-                Auto-refresh
-              </label>
+              <span
+                className={`live-status ${isLive ? 'connected' : ''}`}
+                title={isLive ? 'Changes appear as they happen' : 'Reconnecting - refreshing every 30 seconds'}
+              >
+                {isLive ? 'Live' : 'Offline'}
+              </span>
               
               {lastRefresh && (
                 <span className="last-refresh">
@@ -70,12 +94,47 @@ function App() {
               )}
             </div>
 
+            <div className="history-controls">
+              <Button
+                variant="secondary"
+                size="small"
+                onClick={() => handleUndo()}
+                disabled={!undoLabel}
+                title={undoLabel ? `Undo: ${undoLabel} (Ctrl+Z)` : 'Nothing to undo'}
+              >
+                Undo
+              </Button>
+              <Button
+                variant="secondary"
+                size="small"
+                onClick={handleRedo}
+                disabled={!redoLabel}
+                title={redoLabel ? `Redo: ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+              >
+                Redo
+              </Button>
+            </div>
+
+            <Button
+              variant="secondary"
+              onClick={() => setShowColumnsModal(true)}
+            >
+              Workflow
+            </Button>
+
             <Button
               onClick={handleOpenCreateModal}
               className="create-task-btn"
             >
               + New Task
             </Button>
+
+            <div className="user-menu">
+              <span className="user-name" title={user.email}>{user.name}</span>
+              <Button variant="secondary" size="small" onClick={logout}>
+                Sign Out
+              </Button>
+            </div>
           </div>
         </div>
       </header>
@@ -94,7 +153,16 @@ function App() {
           </div>
         )}
 
-        <TaskBoard />
+        {viewMode === 'calendar' && <CalendarView />}
+        {viewMode === 'table' && <TableView />}
+        {viewMode === 'timeline' && <TimelineView />}
+        {viewMode === 'archive' && <ArchiveView />}
+        {!['calendar', 'table', 'timeline', 'archive'].includes(viewMode) && (
+          <div className="board-layout">
+            <SavedViews />
+            <TaskBoard />
+          </div>
+        )}
       </main>
 
       {/* Create Task Modal */}
@@ -111,17 +179,34 @@ function App() {
       <Modal
         isOpen={showEditModal}
         onClose={handleCloseEditModal}
-        title="Edit Task"
+        title={taskConflict ? 'Edit Conflict' : 'Edit Task'}
         className="task-modal"
       >
-        {editingTask && (
-          <TaskForm 
-            initialData={editingTask}
-            onCancel={handleCloseEditModal}
-          />
+        {editingTask && taskConflict && (
+          <TaskConflictDialog key={taskConflict.serverTask.version} />
+        )}
+        {editingTask && !taskConflict && (
+          <>
+            <TaskForm 
+              initialData={editingTask}
+              onCancel={handleCloseEditModal}
+            />
+            <TaskComments taskId={editingTask.id} />
+            <TaskActivity taskId={editingTask.id} />
+          </>
         )}
       </Modal>
 
+      {/* Workflow Columns Modal */}
+      <Modal
+        isOpen={showColumnsModal}
+        onClose={() => setShowColumnsModal(false)}
+        title="Workflow Columns"
+        className="task-modal"
+      >
+        <ColumnManager />
+      </Modal>
+
       {/* Global Loading Overlay */}
       {isLoading && tasks.length === 0 && (
         <div className="global-loading">
@@ -140,4 +225,31 @@ function App() {
   );
 }
 
+/**
+ * Main App component - signs the user in before loading any tasks
+ * Demonstrates: Conditional rendering, context providers, component composition
+ */
+function App() {
+  const { user, isCheckingSession } = useAuth();
+
+  if (isCheckingSession) {
+    return (
+      <div className="global-loading">
+        <LoadingSpinner size="large" />
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <LoginScreen />;
+  }
+
+  // Keyed by user so nothing from a previous session survives a sign-in
+  return (
+    <TaskProvider key={user.id}>
+      <TaskManager />
+    </TaskProvider>
+  );
+}
+
 export default App;
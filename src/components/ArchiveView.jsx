@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Button, LoadingSpinner } from './UI';
+import { fetchTasks, fetchTrash, purgeTask, emptyTrash } from '../utils/api';
+import { useTaskContext } from '../context/TaskContext';
+
+const formatDate = (value) => new Date(value).toLocaleDateString();
+
+const byNewest = (field) => (a, b) => new Date(b[field]) - new Date(a[field]);
+
+/**
+ * Archive and trash of the current board
+ * Archived tasks can be moved back to the board; deleted tasks can be restored
+ * or deleted for good until the server purges them.
+ * Demonstrates: useEffect data fetching, live updates through context, async event handlers
+ */
+const ArchiveView = React.memo(function ArchiveView() {
+  const {
+    currentBoardId,
+    columns,
+    users,
+    subscribeToServerEvents,
+    handleArchiveTask,
+    handleRestoreTask
+  } = useTaskContext();
+  const [archivedTasks, setArchivedTasks] = useState([]);
+  const [trash, setTrash] = useState({ tasks: [], retentionDays: 0 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Id of the task an action is running for
+  const [busyId, setBusyId] = useState(null);
+
+  // Only the most recent load may update state, e.g. after quickly switching boards
+  const latestLoadRef = useRef(0);
+
+  const loadArchive = useCallback(async () => {
+    const loadId = ++latestLoadRef.current;
+
+    try {
+      const [fetchedArchived, fetchedTrash] = await Promise.all([
+        fetchTasks({ boardId: currentBoardId, archived: true }),
+        fetchTrash(currentBoardId)
+      ]);
+      if (loadId !== latestLoadRef.current) return;
+
+      setArchivedTasks(fetchedArchived.sort(byNewest('archivedAt')));
+      setTrash(fetchedTrash);
+      setError(null);
+    } catch (err) {
+      if (loadId === latestLoadRef.current) setError(err.message);
+    } finally {
+      if (loadId === latestLoadRef.current) setIsLoading(false);
+    }
+  }, [currentBoardId]);
+
+  useEffect(() => {
+    loadArchive();
+  }, [loadArchive]);
+
+  const removeFromTrash = useCallback((taskId) => {
+    setTrash(prevTrash => ({ ...prevTrash, tasks: prevTrash.tasks.filter(task => task.id !== taskId) }));
+  }, []);
+
+  // Tasks archived, restored, deleted or purged here or elsewhere
+  useEffect(() => (
+    subscribeToServerEvents(({ type, data }) => {
+      if (type === 'task:created' || type === 'task:updated') {
+        removeFromTrash(data.id);
+        setArchivedTasks(prevTasks => {
+          const otherTasks = prevTasks.filter(task => task.id !== data.id);
+          return data.archived && data.boardId === currentBoardId
+            ? [data, ...otherTasks].sort(byNewest('archivedAt'))
+            : otherTasks;
+        });
+      } else if (type === 'task:deleted') {
+        // The trash entry has who deleted the task and when
+        loadArchive();
+      } else if (type === 'task:purged') {
+        removeFromTrash(data.id);
+      }
+    })
+  ), [currentBoardId, subscribeToServerEvents, loadArchive, removeFromTrash]);
+
+  const handleUnarchive = useCallback(async (task) => {
+    setBusyId(task.id);
+    if (await handleArchiveTask(task, false)) {
+      setArchivedTasks(prevTasks => prevTasks.filter(t => t.id !== task.id));
+    }
+    setBusyId(null);
+  }, [handleArchiveTask]);
+
+  const handleRestore = useCallback(async (task) => {
+    setBusyId(task.id);
+    if (await handleRestoreTask(task.id)) {
+      removeFromTrash(task.id);
+    }
+    setBusyId(null);
+  }, [handleRestoreTask, removeFromTrash]);
+
+  const handlePurge = useCallback(async (task) => {
+    if (!window.confirm(`Delete "${task.title}" for good? This cannot be undone.`)) return;
+
+    setBusyId(task.id);
+    try {
+      await purgeTask(task.id);
+      removeFromTrash(task.id);
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusyId(null);
+  }, [removeFromTrash]);
+
+  const handleEmptyTrash = useCallback(async () => {
+    const count = trash.tasks.length;
+    if (!window.confirm(`Delete ${count} ${count === 1 ? 'task' : 'tasks'} in the trash for good? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await emptyTrash(currentBoardId);
+      setTrash(prevTrash => ({ ...prevTrash, tasks: [] }));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [trash.tasks.length, currentBoardId]);
+
+  const getColumnName = (status) => columns.find(column => column.id === status)?.name || status;
+  const getUserName = (userId) => users.find(user => user.id === userId)?.name || 'someone';
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="archive-view">
+      {error && <div className="error-message">{error}</div>}
+
+      <section className="archive-section">
+        <h2>Archived Tasks <span className="archive-count">{archivedTasks.length}</span></h2>
+        <p className="archive-hint">
+          Archived tasks are kept off the board and out of its statistics. Done tasks are archived automatically after a while.
+        </p>
+        {archivedTasks.length === 0 ? (
+          <p className="archive-empty">No archived tasks</p>
+        ) : (
+          <ul className="archive-list">
+            {archivedTasks.map(task => (
+              <li key={task.id} className="archive-item">
+                <div className="archive-item-info">
+                  <strong>{task.title}</strong>
+                  <span className="archive-meta">
+                    {getColumnName(task.status)} · archived {formatDate(task.archivedAt)}
+                  </span>
+                </div>
+                <Button
+                  variant="secondary"
+                  size="small"
+                  onClick={() => handleUnarchive(task)}
+                  loading={busyId === task.id}
+                >
+                  Move to board
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section className="archive-section">
+        <div className="archive-section-header">
+          <h2>Trash <span className="archive-count">{trash.tasks.length}</span></h2>
+          <Button
+            variant="danger"
+            size="small"
+            onClick={handleEmptyTrash}
+            disabled={trash.tasks.length === 0 || busyId !== null}
+          >
+            Empty trash
+          </Button>
+        </div>
+        <p className="archive-hint">
+          {trash.retentionDays > 0
+            ? `Deleted tasks are deleted for good after ${trash.retentionDays} days.`
+            : 'Deleted tasks are kept until the trash is emptied.'}
+        </p>
+        {trash.tasks.length === 0 ? (
+          <p className="archive-empty">The trash is empty</p>
+        ) : (
+          <ul className="archive-list">
+            {trash.tasks.map(task => (
+              <li key={task.id} className="archive-item">
+                <div className="archive-item-info">
+                  <strong>{task.title}</strong>
+                  <span className="archive-meta">
+                    Deleted by {getUserName(task.deletedBy)} on {formatDate(task.deletedAt)}
+                  </span>
+                </div>
+                <div className="archive-item-actions">
+                  <Button
+                    variant="secondary"
+                    size="small"
+                    onClick={() => handleRestore(task)}
+                    loading={busyId === task.id}
+                  >
+                    Restore
+                  </Button>
+                  <Button
+                    variant="danger"
+                    size="small"
+                    onClick={() => handlePurge(task)}
+                    disabled={busyId === task.id}
+                  >
+                    Delete forever
+                  </Button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+});
+
+export default ArchiveView;
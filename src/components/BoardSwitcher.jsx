@@ -0,0 +1,111 @@
+import React, { useState, useCallback } from 'react';
+import Button from './UI/Button';
+import { isNotEmpty } from '../utils/validation';
+import { useTaskContext } from '../context/TaskContext';
+
+/**
+ * Board switcher shown in the header - switch, create, rename and delete boards
+ * Demonstrates: Context consumption, controlled inputs, conditional rendering
+ */
+const BoardSwitcher = React.memo(function BoardSwitcher() {
+  const {
+    boards,
+    currentBoardId,
+    tasks,
+    handleSwitchBoard,
+    handleCreateBoard,
+    handleRenameBoard,
+    handleDeleteBoard
+  } = useTaskContext();
+  // null, 'create' or 'rename'
+  const [editMode, setEditMode] = useState(null);
+  const [name, setName] = useState('');
+
+  const currentBoard = boards.find(board => board.id === currentBoardId);
+
+  const startEditing = useCallback((mode) => {
+    setEditMode(mode);
+    setName(mode === 'rename' ? currentBoard?.name || '' : '');
+  }, [currentBoard]);
+
+  const handleSubmit = useCallback((event) => {
+    event.preventDefault();
+    if (!isNotEmpty(name)) return;
+
+    if (editMode === 'create') {
+      handleCreateBoard(name.trim());
+    } else if (name.trim() !== currentBoard.name) {
+      handleRenameBoard(currentBoard.id, name.trim());
+    }
+    setEditMode(null);
+  }, [name, editMode, currentBoard, handleCreateBoard, handleRenameBoard]);
+
+  const handleDelete = useCallback(() => {
+    const message = tasks.length > 0
+      ? `Delete "${currentBoard.name}" and its ${tasks.length} task${tasks.length === 1 ? '' : 's'}?`
+      : `Delete "${currentBoard.name}"?`;
+
+    if (window.confirm(message)) {
+      handleDeleteBoard(currentBoard.id);
+    }
+  }, [tasks.length, currentBoard, handleDeleteBoard]);
+
+  if (editMode) {
+    return (
+      <form className="board-switcher" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          className="board-name-input"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Escape' && setEditMode(null)}
+          placeholder="Board name"
+          aria-label="Board name"
+          autoFocus
+        />
+        <Button type="submit" size="small" disabled={!isNotEmpty(name)}>
+          {editMode === 'create' ? 'Create' : 'Save'}
+        </Button>
+        <Button type="button" variant="secondary" size="small" onClick={() => setEditMode(null)}>
+          Cancel
+        </Button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="board-switcher">
+      <select
+        className="board-select"
+        value={currentBoardId || ''}
+        onChange={(e) => handleSwitchBoard(e.target.value)}
+        aria-label="Board"
+      >
+        {boards.map(board => (
+          <option key={board.id} value={board.id}>{board.name}</option>
+        ))}
+      </select>
+      <Button variant="secondary" size="small" onClick={() => startEditing('create')}>
+        + Board
+      </Button>
+      {currentBoard && (
+        <>
+          <Button variant="secondary" size="small" onClick={() => startEditing('rename')}>
+            Rename
+          </Button>
+          <Button
+            variant="secondary"
+            size="small"
+            onClick={handleDelete}
+            disabled={boards.length === 1}
+            title={boards.length === 1 ? 'The last board cannot be deleted' : undefined}
+          >
+            Delete
+          </Button>
+        </>
+      )}
+    </div>
+  );
+});
+
+export default BoardSwitcher;
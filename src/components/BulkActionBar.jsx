@@ -0,0 +1,157 @@
+import React, { useState, useCallback } from 'react';
+import Button from './UI/Button';
+import { useTaskContext } from '../context/TaskContext';
+
+/**
+ * Toolbar for the tasks selected on the board
+ * Sets the status, priority or assignee of all of them, adds or removes a tag,
+ * or archives or deletes them. Each action is saved for every selected task or
+ * none, and can be undone from the toast that follows.
+ * Demonstrates: Context consumption, controlled inputs, async event handlers
+ */
+const BulkActionBar = React.memo(function BulkActionBar({
+  selectedIds,
+  visibleCount,
+  onSelectAll,
+  onClearSelection
+}) {
+  const { columns, users, handleBulkAction } = useTaskContext();
+  const [assignee, setAssignee] = useState('');
+  const [tag, setTag] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+
+  const runAction = useCallback(async (action, changes) => {
+    setIsWorking(true);
+    const applied = await handleBulkAction(selectedIds, action, changes);
+    setIsWorking(false);
+
+    // Archived and deleted tasks leave the board, and so the selection
+    if (applied && (action === 'delete' || changes?.archived)) {
+      onClearSelection();
+    }
+    return applied;
+  }, [selectedIds, handleBulkAction, onClearSelection]);
+
+  const handleAssign = useCallback(async (event) => {
+    event.preventDefault();
+    if (await runAction('update', { assignee: assignee.trim() })) {
+      setAssignee('');
+    }
+  }, [assignee, runAction]);
+
+  const handleTag = useCallback(async (changeKey) => {
+    if (!tag.trim()) return;
+    if (await runAction('update', { [changeKey]: [tag.trim()] })) {
+      setTag('');
+    }
+  }, [tag, runAction]);
+
+  return (
+    <div className="bulk-action-bar" role="toolbar" aria-label="Actions for the selected tasks">
+      <span className="bulk-count">{selectedIds.length} selected</span>
+
+      <select
+        value=""
+        onChange={(e) => runAction('update', { status: e.target.value })}
+        className="filter-select"
+        aria-label="Move the selected tasks to"
+        disabled={isWorking}
+      >
+        <option value="">Move to...</option>
+        {columns.map(column => (
+          <option key={column.id} value={column.id}>{column.name}</option>
+        ))}
+      </select>
+
+      <select
+        value=""
+        onChange={(e) => runAction('update', { priority: e.target.value })}
+        className="filter-select"
+        aria-label="Set the priority of the selected tasks"
+        disabled={isWorking}
+      >
+        <option value="">Set priority...</option>
+        <option value="high">High</option>
+        <option value="medium">Medium</option>
+        <option value="low">Low</option>
+      </select>
+
+      <form className="bulk-field" onSubmit={handleAssign}>
+        <input
+          type="text"
+          className="input"
+          value={assignee}
+          onChange={(e) => setAssignee(e.target.value)}
+          placeholder="Assignee"
+          aria-label="Assignee for the selected tasks"
+          list="bulk-assignee-options"
+          autoComplete="off"
+          disabled={isWorking}
+        />
+        <datalist id="bulk-assignee-options">
+          {users.map(user => (
+            <option key={user.id} value={user.name} />
+          ))}
+        </datalist>
+        <Button type="submit" variant="secondary" size="small" disabled={isWorking}>
+          {assignee.trim() ? 'Assign' : 'Unassign'}
+        </Button>
+      </form>
+
+      <form
+        className="bulk-field"
+        onSubmit={(e) => {
+          e.preventDefault();
+          handleTag('addTags');
+        }}
+      >
+        <input
+          type="text"
+          className="input"
+          value={tag}
+          onChange={(e) => setTag(e.target.value)}
+          placeholder="Tag"
+          aria-label="Tag to add to or remove from the selected tasks"
+          disabled={isWorking}
+        />
+        <Button type="submit" variant="secondary" size="small" disabled={isWorking || !tag.trim()}>
+          Add tag
+        </Button>
+        <Button
+          type="button"
+          variant="secondary"
+          size="small"
+          onClick={() => handleTag('removeTags')}
+          disabled={isWorking || !tag.trim()}
+        >
+          Remove tag
+        </Button>
+      </form>
+
+      <Button
+        variant="secondary"
+        size="small"
+        onClick={() => runAction('update', { archived: true })}
+        disabled={isWorking}
+      >
+        Archive
+      </Button>
+      <Button variant="danger" size="small" onClick={() => runAction('delete')} loading={isWorking}>
+        Delete
+      </Button>
+
+      <div className="bulk-selection">
+        {selectedIds.length < visibleCount && (
+          <Button variant="secondary" size="small" onClick={onSelectAll} disabled={isWorking}>
+            Select all {visibleCount}
+          </Button>
+        )}
+        <Button variant="secondary" size="small" onClick={onClearSelection} disabled={isWorking}>
+          Clear selection
+        </Button>
+      </div>
+    </div>
+  );
+});
+
+export default BulkActionBar;
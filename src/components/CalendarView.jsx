@@ -0,0 +1,199 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import Button from './UI/Button';
+import useLocalStorage from '../hooks/useLocalStorage';
+import useDragAndDrop from '../hooks/useDragAndDrop';
+import { useTaskContext } from '../context/TaskContext';
+import { WEEKDAY_NAMES } from '../utils/recurrence';
+import { DAY_MS, parseDateKey, toDateKey, todayKey, addDays, daysBetween, startOfWeek } from '../utils/dates';
+
+// Weekday headings, Monday first
+const WEEKDAY_HEADINGS = [...WEEKDAY_NAMES.slice(1), WEEKDAY_NAMES[0]];
+
+// Days shown for the month (whole weeks) or week around `anchor`
+function getVisibleDays(mode, anchor) {
+  if (mode === 'week') {
+    const start = startOfWeek(anchor);
+    return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+  }
+
+  const firstOfMonth = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+  const lastOfMonth = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+  const start = startOfWeek(firstOfMonth);
+  const dayCount = Math.round((startOfWeek(lastOfMonth) - start) / DAY_MS) + 7;
+  return Array.from({ length: dayCount }, (_, i) => addDays(start, i));
+}
+
+/**
+ * Calendar view placing tasks on their due date
+ * Drag a task (by its handle, or with Space and the arrow keys) to another day
+ * to reschedule it.
+ * Demonstrates: useMemo for derived data, custom hooks, localStorage persistence
+ */
+const CalendarView = React.memo(function CalendarView() {
+  const {
+    tasks,
+    isDoneStatus,
+    handleMoveTask,
+    handleEditTask
+  } = useTaskContext();
+  const [mode, setMode] = useLocalStorage('calendarMode', 'month');
+  const [anchor, setAnchor] = useState(() => new Date());
+
+  const today = todayKey();
+  const days = useMemo(() => getVisibleDays(mode, anchor), [mode, anchor]);
+
+  const tasksByDay = useMemo(() => {
+    const grouped = {};
+    tasks
+      .filter(task => task.dueDate)
+      .forEach(task => {
+        (grouped[task.dueDate.slice(0, 10)] ||= []).push(task);
+      });
+    return grouped;
+  }, [tasks]);
+
+  const unscheduledCount = tasks.filter(task => !task.dueDate).length;
+
+  // Every visible day is a drop target for the drag and drop hook
+  const dayColumns = useMemo(() => (
+    days.map(day => ({
+      status: toDateKey(day),
+      title: day.toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric' }),
+      tasks: tasksByDay[toDateKey(day)] || []
+    }))
+  ), [days, tasksByDay]);
+
+  // The start date moves along with the due date, so the task keeps its
+  // length and never ends before it starts
+  const handleDrop = useCallback((taskId, dueDate) => {
+    const task = tasks.find(t => t.id === taskId);
+    const changes = { dueDate };
+    if (task?.startDate && task.dueDate) {
+      changes.startDate = toDateKey(addDays(parseDateKey(task.startDate), daysBetween(task.dueDate, dueDate)));
+    }
+    handleMoveTask(taskId, changes);
+  }, [tasks, handleMoveTask]);
+
+  const { dragState, announcement, getHandleProps } = useDragAndDrop(
+    dayColumns,
+    handleDrop,
+    { canReorder: false }
+  );
+
+  const moveAnchor = useCallback((step) => {
+    setAnchor(prev => (
+      mode === 'week'
+        ? addDays(prev, step * 7)
+        : new Date(prev.getFullYear(), prev.getMonth() + step, 1)
+    ));
+  }, [mode]);
+
+  const heading = mode === 'week'
+    ? `${days[0].toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} – ${days[6].toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`
+    : anchor.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+
+  return (
+    <div className="calendar-view">
+      <div className="calendar-toolbar">
+        <div className="calendar-nav">
+          <Button variant="secondary" size="small" onClick={() => moveAnchor(-1)} aria-label={`Previous ${mode}`}>
+            ‹
+          </Button>
+          <Button variant="secondary" size="small" onClick={() => setAnchor(new Date())}>
+            Today
+          </Button>
+          <Button variant="secondary" size="small" onClick={() => moveAnchor(1)} aria-label={`Next ${mode}`}>
+            ›
+          </Button>
+          <h2>{heading}</h2>
+        </div>
+
+        <div className="view-switcher" role="group" aria-label="Calendar range">
+          {['month', 'week'].map(option => (
+            <button
+              key={option}
+              type="button"
+              className={`view-switcher-option ${mode === option ? 'active' : ''}`}
+              onClick={() => setMode(option)}
+              aria-pressed={mode === option}
+            >
+              {option === 'month' ? 'Month' : 'Week'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className={`calendar-grid calendar-${mode} ${dragState ? 'drag-active' : ''}`}>
+        {WEEKDAY_HEADINGS.map(name => (
+          <div key={name} className="calendar-weekday">{name}</div>
+        ))}
+
+        {dayColumns.map(({ status: dayKey, title, tasks: dayTasks }) => {
+          const day = parseDateKey(dayKey);
+          const isOutsideMonth = mode === 'month' && day.getMonth() !== anchor.getMonth();
+
+          return (
+            <div
+              key={dayKey}
+              className={[
+                'calendar-day',
+                isOutsideMonth ? 'outside-month' : '',
+                dayKey === today ? 'today' : '',
+                dragState?.status === dayKey ? 'drop-target' : ''
+              ].join(' ')}
+              data-drop-status={dayKey}
+              aria-label={title}
+            >
+              <span className="calendar-day-number">{day.getDate()}</span>
+              <ul className="calendar-tasks">
+                {dayTasks.map((task, index) => {
+                  const isDone = isDoneStatus(task.status);
+                  const isOverdue = !isDone && dayKey < today;
+                  const isDragging = dragState?.taskId === task.id;
+
+                  return (
+                    <li
+                      key={task.id}
+                      data-task-id={task.id}
+                      className={[
+                        'calendar-task',
+                        `priority-${task.priority}`,
+                        isOverdue ? 'overdue' : '',
+                        isDone ? 'done' : '',
+                        isDragging ? 'dragging' : ''
+                      ].join(' ')}
+                      style={isDragging ? { transform: `translate(${dragState.offset.x}px, ${dragState.offset.y}px)` } : undefined}
+                    >
+                      <span className="drag-handle" {...getHandleProps(task, dayKey, index)}>⠿</span>
+                      <button
+                        type="button"
+                        className="calendar-task-title"
+                        onClick={() => handleEditTask(task)}
+                        title={isOverdue ? `${task.title} (overdue)` : task.title}
+                      >
+                        {task.title}
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          );
+        })}
+      </div>
+
+      {unscheduledCount > 0 && (
+        <p className="calendar-unscheduled">
+          {unscheduledCount} {unscheduledCount === 1 ? 'task has' : 'tasks have'} no due date and {unscheduledCount === 1 ? 'is' : 'are'} not shown
+        </p>
+      )}
+
+      {/* Screen reader announcements for keyboard drag and drop */}
+      <div className="sr-only" aria-live="assertive">
+        {announcement}
+      </div>
+    </div>
+  );
+});
+
+export default CalendarView;
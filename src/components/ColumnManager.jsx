@@ -0,0 +1,201 @@
+import React, { useState, useCallback } from 'react';
+import { Input, Checkbox, Button } from './UI';
+import { isNotEmpty } from '../utils/validation';
+import { useTaskContext } from '../context/TaskContext';
+
+/**
+ * Single editable workflow column
+ * Demonstrates: Controlled inputs, committing changes on blur
+ */
+const ColumnRow = React.memo(function ColumnRow({
+  column,
+  otherColumns,
+  taskCount,
+  isFirst,
+  isLast,
+  onUpdate,
+  onMove,
+  onDelete
+}) {
+  const [name, setName] = useState(column.name);
+  const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+  const [moveTo, setMoveTo] = useState(otherColumns[0]?.id || '');
+
+  const handleNameBlur = useCallback(() => {
+    if (!isNotEmpty(name)) {
+      setName(column.name);
+      return;
+    }
+    if (name.trim() !== column.name) {
+      onUpdate(column.id, { name: name.trim() });
+    }
+  }, [name, column.id, column.name, onUpdate]);
+
+  const handleDelete = useCallback(() => {
+    // Columns with tasks need a destination for them first
+    if (taskCount > 0 && !isConfirmingDelete) {
+      setIsConfirmingDelete(true);
+      return;
+    }
+    onDelete(column.id, taskCount > 0 ? moveTo : undefined);
+  }, [taskCount, isConfirmingDelete, onDelete, column.id, moveTo]);
+
+  return (
+    <li className="column-manager-row">
+      <input
+        type="color"
+        className="column-color-input"
+        value={column.color}
+        onChange={(e) => onUpdate(column.id, { color: e.target.value })}
+        aria-label={`${column.name} color`}
+      />
+
+      <Input
+        id={`column-name-${column.id}`}
+        className="column-name-input"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onBlur={handleNameBlur}
+        aria-label="Column name"
+      />
+
+      <Checkbox
+        id={`column-done-${column.id}`}
+        label="Done column"
+        checked={column.isDone}
+        onChange={(e) => onUpdate(column.id, { isDone: e.target.checked })}
+      />
+
+      <div className="column-manager-actions">
+        <Button
+          variant="secondary"
+          size="small"
+          onClick={() => onMove(column.id, -1)}
+          disabled={isFirst}
+          aria-label={`Move ${column.name} left`}
+        >
+          ←
+        </Button>
+        <Button
+          variant="secondary"
+          size="small"
+          onClick={() => onMove(column.id, 1)}
+          disabled={isLast}
+          aria-label={`Move ${column.name} right`}
+        >
+          →
+        </Button>
+        <Button
+          variant="danger"
+          size="small"
+          onClick={handleDelete}
+          disabled={otherColumns.length === 0}
+        >
+          Delete
+        </Button>
+      </div>
+
+      {isConfirmingDelete && (
+        <div className="column-delete-confirm">
+          <span>Move {taskCount} task{taskCount === 1 ? '' : 's'} to</span>
+          <select
+            value={moveTo}
+            onChange={(e) => setMoveTo(e.target.value)}
+            className="status-select"
+          >
+            {otherColumns.map(other => (
+              <option key={other.id} value={other.id}>{other.name}</option>
+            ))}
+          </select>
+          <Button variant="danger" size="small" onClick={handleDelete}>
+            Confirm
+          </Button>
+          <Button
+            variant="secondary"
+            size="small"
+            onClick={() => setIsConfirmingDelete(false)}
+          >
+            Cancel
+          </Button>
+        </div>
+      )}
+    </li>
+  );
+});
+
+/**
+ * Workflow column management - add, rename, recolor, reorder and delete columns
+ * Demonstrates: Context consumption, list rendering, component composition
+ */
+const ColumnManager = React.memo(function ColumnManager() {
+  const {
+    tasks,
+    columns,
+    handleCreateColumn,
+    handleUpdateColumn,
+    handleDeleteColumn
+  } = useTaskContext();
+  const [newColumnName, setNewColumnName] = useState('');
+  const [newColumnColor, setNewColumnColor] = useState('#5a9cad');
+
+  // Swap the order of a column with its neighbour
+  const handleMove = useCallback((columnId, direction) => {
+    const index = columns.findIndex(column => column.id === columnId);
+    const neighbour = columns[index + direction];
+    if (!neighbour) return;
+
+    const column = columns[index];
+    handleUpdateColumn(column.id, { order: neighbour.order });
+    handleUpdateColumn(neighbour.id, { order: column.order });
+  }, [columns, handleUpdateColumn]);
+
+  const handleAddColumn = useCallback((event) => {
+    event.preventDefault();
+    if (!isNotEmpty(newColumnName)) return;
+
+    handleCreateColumn({ name: newColumnName.trim(), color: newColumnColor });
+    setNewColumnName('');
+  }, [newColumnName, newColumnColor, handleCreateColumn]);
+
+  return (
+    <div className="column-manager">
+      <ul className="column-manager-list">
+        {columns.map((column, index) => (
+          <ColumnRow
+            key={column.id}
+            column={column}
+            otherColumns={columns.filter(other => other.id !== column.id)}
+            taskCount={tasks.filter(task => task.status === column.id).length}
+            isFirst={index === 0}
+            isLast={index === columns.length - 1}
+            onUpdate={handleUpdateColumn}
+            onMove={handleMove}
+            onDelete={handleDeleteColumn}
+          />
+        ))}
+      </ul>
+
+      <form onSubmit={handleAddColumn} className="column-manager-form">
+        <input
+          type="color"
+          className="column-color-input"
+          value={newColumnColor}
+          onChange={(e) => setNewColumnColor(e.target.value)}
+          aria-label="New column color"
+        />
+        <Input
+          label="New column"
+          id="newColumnName"
+          value={newColumnName}
+          onChange={(e) => setNewColumnName(e.target.value)}
+          placeholder="e.g. Review"
+        />
+        <Button type="submit" disabled={!isNotEmpty(newColumnName)}>
+          Add Column
+        </Button>
+      </form>
+    </div>
+  );
+});
+
+export default ColumnManager;
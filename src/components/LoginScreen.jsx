@@ -0,0 +1,125 @@
+import React, { useState, useCallback } from 'react';
+import { Input, Button } from './UI';
+import useInput from '../hooks/useInput';
+import { isNotEmpty, isEmail, hasMinLength } from '../utils/validation';
+import { useAuth } from '../context/AuthContext';
+
+// Keep in sync with the server's registration rules
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Sign in / create account screen shown while there is no session
+ * Demonstrates: Form handling, validation, custom hooks, conditional rendering
+ */
+const LoginScreen = React.memo(function LoginScreen() {
+  const { login, register } = useAuth();
+  const [isRegistering, setIsRegistering] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const {
+    value: name,
+    hasError: nameHasError,
+    handleChange: handleNameChange,
+    handleBlur: handleNameBlur
+  } = useInput('', (value) => isNotEmpty(value));
+
+  const {
+    value: email,
+    hasError: emailHasError,
+    handleChange: handleEmailChange,
+    handleBlur: handleEmailBlur
+  } = useInput('', (value) => isEmail(value));
+
+  const {
+    value: password,
+    hasError: passwordHasError,
+    handleChange: handlePasswordChange,
+    handleBlur: handlePasswordBlur
+  } = useInput('', (value) => hasMinLength(value, MIN_PASSWORD_LENGTH));
+
+  const canSubmit = isEmail(email) &&
+    (isRegistering ? isNotEmpty(name) && hasMinLength(password, MIN_PASSWORD_LENGTH) : password !== '');
+
+  const handleSubmit = useCallback(async (event) => {
+    event.preventDefault();
+    if (!canSubmit) return;
+
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      if (isRegistering) {
+        await register({ name: name.trim(), email, password });
+      } else {
+        await login({ email, password });
+      }
+    } catch (err) {
+      setError(err.message);
+      setIsSubmitting(false);
+    }
+  }, [canSubmit, isRegistering, register, login, name, email, password]);
+
+  const toggleMode = useCallback(() => {
+    setIsRegistering(prev => !prev);
+    setError(null);
+  }, []);
+
+  return (
+    <div className="login-screen">
+      <form onSubmit={handleSubmit} className="login-form task-form">
+        <h1>Task Manager</h1>
+        <h2>{isRegistering ? 'Create an account' : 'Sign in'}</h2>
+
+        {error && <div className="error-banner"><span>{error}</span></div>}
+
+        {isRegistering && (
+          <Input
+            label="Name"
+            id="name"
+            value={name}
+            onChange={handleNameChange}
+            onBlur={handleNameBlur}
+            error={nameHasError ? 'Name is required' : null}
+            autoComplete="name"
+          />
+        )}
+
+        <Input
+          label="Email"
+          id="email"
+          type="email"
+          value={email}
+          onChange={handleEmailChange}
+          onBlur={handleEmailBlur}
+          error={emailHasError ? 'Please enter a valid email' : null}
+          autoComplete="email"
+        />
+
+        <Input
+          label="Password"
+          id="password"
+          type="password"
+          value={password}
+          onChange={handlePasswordChange}
+          onBlur={handlePasswordBlur}
+          error={isRegistering && passwordHasError
+            ? `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+            : null}
+          autoComplete={isRegistering ? 'new-password' : 'current-password'}
+        />
+
+        <div className="form-actions">
+          <Button type="submit" loading={isSubmitting} disabled={!canSubmit}>
+            {isRegistering ? 'Create Account' : 'Sign In'}
+          </Button>
+        </div>
+
+        <button type="button" className="login-toggle" onClick={toggleMode}>
+          {isRegistering ? 'Already have an account? Sign in' : 'New here? Create an account'}
+        </button>
+      </form>
+    </div>
+  );
+});
+
+export default LoginScreen;
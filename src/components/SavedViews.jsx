@@ -0,0 +1,215 @@
+import React, { useState, useCallback } from 'react';
+import Button from './UI/Button';
+import { isNotEmpty } from '../utils/validation';
+import { DEFAULT_FILTERS, isSameFilters, filtersToSearchParams } from '../utils/viewFilters';
+import { useTaskContext } from '../context/TaskContext';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from '../context/ToastContext';
+
+// Address of the board with a view's filters
+function getViewLink(filters) {
+  const query = filtersToSearchParams(filters).toString();
+  return `${window.location.origin}${window.location.pathname}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Sidebar of saved views next to the board
+ * Click a view to apply its filters; save the current filters as a new view,
+ * optionally shared with teammates. Only the owner can change a view.
+ * Demonstrates: Context consumption, controlled inputs, derived state
+ */
+const SavedViews = React.memo(function SavedViews() {
+  const {
+    views,
+    users,
+    filters,
+    handleApplyView,
+    handleCreateView,
+    handleUpdateView,
+    handleDeleteView
+  } = useTaskContext();
+  const { user } = useAuth();
+  const { showToast } = useToast();
+  // null, 'create' or the id of the view being renamed
+  const [editing, setEditing] = useState(null);
+  const [name, setName] = useState('');
+  const [shared, setShared] = useState(false);
+
+  const myViews = views.filter(view => view.createdBy === user.id);
+  const sharedViews = views.filter(view => view.createdBy !== user.id);
+  const hasMatchingView = views.some(view => isSameFilters(view.filters, filters));
+
+  const startEditing = useCallback((view) => {
+    setEditing(view ? view.id : 'create');
+    setName(view ? view.name : '');
+    setShared(false);
+  }, []);
+
+  const handleSubmit = useCallback((event) => {
+    event.preventDefault();
+    if (!isNotEmpty(name)) return;
+
+    if (editing === 'create') {
+      handleCreateView({ name: name.trim(), shared });
+    } else {
+      handleUpdateView(editing, { name: name.trim() });
+    }
+    setEditing(null);
+  }, [name, shared, editing, handleCreateView, handleUpdateView]);
+
+  const handleCopyLink = useCallback(async (view) => {
+    try {
+      await navigator.clipboard.writeText(getViewLink(view.filters));
+      showToast({ title: 'Link copied', message: `Anyone on the team can open "${view.name}" with it` });
+    } catch {
+      window.prompt('Copy the link to this view:', getViewLink(view.filters));
+    }
+  }, [showToast]);
+
+  const handleDelete = useCallback((view) => {
+    const message = view.shared
+      ? `Delete "${view.name}"? Teammates will lose it too.`
+      : `Delete "${view.name}"?`;
+
+    if (window.confirm(message)) {
+      handleDeleteView(view.id);
+    }
+  }, [handleDeleteView]);
+
+  const renderNameForm = (label) => (
+    <form className="saved-view-form" onSubmit={handleSubmit}>
+      <input
+        type="text"
+        className="input"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onKeyDown={(e) => e.key === 'Escape' && setEditing(null)}
+        placeholder="View name"
+        aria-label="View name"
+        autoFocus
+      />
+      {editing === 'create' && (
+        <label className="saved-view-share">
+          <input
+            type="checkbox"
+            checked={shared}
+            onChange={(e) => setShared(e.target.checked)}
+          />
+          Share with teammates
+        </label>
+      )}
+      <div className="saved-view-form-actions">
+        <Button type="submit" size="small" disabled={!isNotEmpty(name)}>
+          {label}
+        </Button>
+        <Button type="button" variant="secondary" size="small" onClick={() => setEditing(null)}>
+          Cancel
+        </Button>
+      </div>
+    </form>
+  );
+
+  const renderView = (view, isOwn) => {
+    if (editing === view.id) {
+      return <li key={view.id}>{renderNameForm('Rename')}</li>;
+    }
+
+    const isActive = isSameFilters(view.filters, filters);
+    const owner = users.find(u => u.id === view.createdBy);
+
+    return (
+      <li key={view.id} className={`saved-view ${isActive ? 'active' : ''}`}>
+        <button
+          type="button"
+          className="saved-view-name"
+          onClick={() => handleApplyView(view)}
+          aria-pressed={isActive}
+          title={view.filters.search || undefined}
+        >
+          {view.name}
+          {isOwn && view.shared && <span className="saved-view-badge">Shared</span>}
+          {!isOwn && owner && <span className="saved-view-owner">by {owner.name}</span>}
+        </button>
+        <div className="saved-view-actions">
+          <button type="button" onClick={() => handleCopyLink(view)} title="Copy link">
+            Link
+          </button>
+          {isOwn && (
+            <>
+              {!isActive && (
+                <button
+                  type="button"
+                  onClick={() => handleUpdateView(view.id, { filters })}
+                  title="Replace this view's filters with the current ones"
+                >
+                  Update
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => handleUpdateView(view.id, { shared: !view.shared })}
+              >
+                {view.shared ? 'Unshare' : 'Share'}
+              </button>
+              <button type="button" onClick={() => startEditing(view)}>
+                Rename
+              </button>
+              <button type="button" onClick={() => handleDelete(view)}>
+                Delete
+              </button>
+            </>
+          )}
+        </div>
+      </li>
+    );
+  };
+
+  return (
+    <aside className="saved-views" aria-label="Saved views">
+      <h2>Views</h2>
+
+      <ul className="saved-view-list">
+        <li className={`saved-view ${isSameFilters(DEFAULT_FILTERS, filters) ? 'active' : ''}`}>
+          <button
+            type="button"
+            className="saved-view-name"
+            onClick={() => handleApplyView({ filters: DEFAULT_FILTERS })}
+          >
+            All tasks
+          </button>
+        </li>
+      </ul>
+
+      <h3>My views</h3>
+      <ul className="saved-view-list">
+        {myViews.map(view => renderView(view, true))}
+        {myViews.length === 0 && editing !== 'create' && (
+          <li className="saved-view-empty">Save the current filters to find them again</li>
+        )}
+      </ul>
+
+      {editing === 'create' ? renderNameForm('Save') : (
+        <Button
+          variant="secondary"
+          size="small"
+          onClick={() => startEditing(null)}
+          disabled={hasMatchingView}
+          title={hasMatchingView ? 'These filters are already saved' : undefined}
+        >
+          + Save current view
+        </Button>
+      )}
+
+      {sharedViews.length > 0 && (
+        <>
+          <h3>Shared with me</h3>
+          <ul className="saved-view-list">
+            {sharedViews.map(view => renderView(view, false))}
+          </ul>
+        </>
+      )}
+    </aside>
+  );
+});
+
+export default SavedViews;
@@ -0,0 +1,371 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import useLocalStorage from '../hooks/useLocalStorage';
+import { useTaskContext } from '../context/TaskContext';
+
+const PRIORITY_ORDER = { high: 3, medium: 2, low: 1 };
+
+const TABLE_COLUMNS = [
+  { key: 'title', label: 'Title' },
+  { key: 'status', label: 'Status' },
+  { key: 'priority', label: 'Priority' },
+  { key: 'assignee', label: 'Assignee' },
+  { key: 'dueDate', label: 'Due Date' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'progress', label: 'Progress' }
+];
+
+const GROUP_OPTIONS = [
+  { value: 'none', label: 'No grouping' },
+  { value: 'assignee', label: 'Group by assignee' },
+  { value: 'tag', label: 'Group by tag' },
+  { value: 'priority', label: 'Group by priority' }
+];
+
+function getProgress(task) {
+  if (!task.subtasks?.length) return null;
+  return task.subtasks.filter(subtask => subtask.completed).length / task.subtasks.length;
+}
+
+// Value a column sorts by, null when the cell is empty
+function getSortValue(task, key, statusOrder) {
+  switch (key) {
+    case 'status': return statusOrder[task.status] ?? null;
+    case 'priority': return PRIORITY_ORDER[task.priority] ?? null;
+    case 'tags': return task.tags.join(', ').toLowerCase() || null;
+    case 'progress': return getProgress(task);
+    case 'title':
+    case 'assignee': return task[key]?.toLowerCase() || null;
+    default: return task[key] || null;
+  }
+}
+
+// Compares two tasks on one column; empty cells go last in both directions
+function compareByColumn(a, b, { key, direction }, statusOrder) {
+  const aValue = getSortValue(a, key, statusOrder);
+  const bValue = getSortValue(b, key, statusOrder);
+
+  if (aValue === bValue) return 0;
+  if (aValue === null) return 1;
+  if (bValue === null) return -1;
+
+  const result = aValue < bValue ? -1 : 1;
+  return direction === 'desc' ? -result : result;
+}
+
+// Group names of a task - a task with several tags shows up under each of them
+function getGroupNames(task, groupBy) {
+  switch (groupBy) {
+    case 'assignee': return [task.assignee || 'Unassigned'];
+    case 'tag': return task.tags.length > 0 ? task.tags : ['No tags'];
+    case 'priority': return [task.priority];
+    default: return ['All tasks'];
+  }
+}
+
+/**
+ * Table cell that turns into an input when clicked
+ * Enter or leaving the field saves, Escape cancels.
+ * Demonstrates: Controlled inputs, local editing state, keyboard handling
+ */
+const EditableCell = React.memo(function EditableCell({
+  value,
+  display,
+  type = 'text',
+  label,
+  list,
+  onSave
+}) {
+  const [draft, setDraft] = useState(null);
+  const isEditing = draft !== null;
+
+  const save = useCallback(() => {
+    if (draft !== value) onSave(draft);
+    setDraft(null);
+  }, [draft, value, onSave]);
+
+  const handleKeyDown = useCallback((event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      save();
+    } else if (event.key === 'Escape') {
+      event.stopPropagation();
+      setDraft(null);
+    }
+  }, [save]);
+
+  if (isEditing) {
+    return (
+      <input
+        type={type}
+        className="input table-input"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={save}
+        onKeyDown={handleKeyDown}
+        aria-label={label}
+        list={list}
+        autoFocus
+      />
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      className="table-cell-button"
+      onClick={() => setDraft(value)}
+      aria-label={`Edit ${label}`}
+    >
+      {display || <span className="table-empty">—</span>}
+    </button>
+  );
+});
+
+/**
+ * Dense, sortable and groupable table of the board's tasks with inline editing
+ * Click a column heading to sort by it, Shift+click to add it as a further sort key.
+ * Demonstrates: useMemo for derived data, localStorage persistence, composition
+ */
+const TableView = React.memo(function TableView() {
+  const {
+    tasks,
+    columns,
+    users,
+    isDoneStatus,
+    handleMoveTask: onChangeTask,
+    handleEditTask
+  } = useTaskContext();
+  const [sortKeys, setSortKeys] = useLocalStorage('tableSort', [{ key: 'dueDate', direction: 'asc' }]);
+  const [groupBy, setGroupBy] = useLocalStorage('tableGroupBy', 'none');
+
+  const statusOrder = useMemo(() => (
+    Object.fromEntries(columns.map((column, index) => [column.id, index]))
+  ), [columns]);
+
+  const handleSort = useCallback((event, key) => {
+    const isAddingKey = event.shiftKey;
+    setSortKeys(prevKeys => {
+      const existing = prevKeys.find(sortKey => sortKey.key === key);
+      const toggled = {
+        key,
+        direction: existing?.direction === 'asc' ? 'desc' : 'asc'
+      };
+
+      if (!isAddingKey) return [toggled];
+      return existing
+        ? prevKeys.map(sortKey => sortKey.key === key ? toggled : sortKey)
+        : [...prevKeys, toggled];
+    });
+  }, [setSortKeys]);
+
+  const sortedTasks = useMemo(() => (
+    [...tasks].sort((a, b) => {
+      for (const sortKey of sortKeys) {
+        const result = compareByColumn(a, b, sortKey, statusOrder);
+        if (result !== 0) return result;
+      }
+      return 0;
+    })
+  ), [tasks, sortKeys, statusOrder]);
+
+  const groups = useMemo(() => {
+    const grouped = new Map();
+    sortedTasks.forEach(task => {
+      getGroupNames(task, groupBy).forEach(name => {
+        if (!grouped.has(name)) grouped.set(name, []);
+        grouped.get(name).push(task);
+      });
+    });
+
+    const names = [...grouped.keys()];
+    if (groupBy === 'priority') {
+      names.sort((a, b) => PRIORITY_ORDER[b] - PRIORITY_ORDER[a]);
+    } else if (groupBy !== 'none') {
+      // Alphabetical, with the catch-all group last
+      names.sort((a, b) => {
+        const isCatchAll = (name) => name === 'Unassigned' || name === 'No tags';
+        return isCatchAll(a) - isCatchAll(b) || a.localeCompare(b);
+      });
+    }
+    return names.map(name => ({ name, tasks: grouped.get(name) }));
+  }, [sortedTasks, groupBy]);
+
+  const renderSortIndicator = (key) => {
+    const index = sortKeys.findIndex(sortKey => sortKey.key === key);
+    if (index === -1) return null;
+    return (
+      <span className="sort-indicator">
+        {sortKeys[index].direction === 'asc' ? '▲' : '▼'}
+        {sortKeys.length > 1 && <sup>{index + 1}</sup>}
+      </span>
+    );
+  };
+
+  return (
+    <div className="table-view">
+      <div className="table-toolbar">
+        <select
+          value={groupBy}
+          onChange={(e) => setGroupBy(e.target.value)}
+          className="filter-select"
+          aria-label="Group tasks"
+        >
+          {GROUP_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <span className="table-hint">Click a heading to sort, Shift+click to sort by several columns</span>
+      </div>
+
+      <div className="table-scroll">
+        <table className="task-table">
+          <thead>
+            <tr>
+              {TABLE_COLUMNS.map(column => {
+                const sortKey = sortKeys[0]?.key === column.key ? sortKeys[0] : null;
+                return (
+                  <th
+                    key={column.key}
+                    aria-sort={sortKey ? (sortKey.direction === 'asc' ? 'ascending' : 'descending') : undefined}
+                  >
+                    <button type="button" onClick={(e) => handleSort(e, column.key)}>
+                      {column.label}
+                      {renderSortIndicator(column.key)}
+                    </button>
+                  </th>
+                );
+              })}
+              <th><span className="sr-only">Actions</span></th>
+            </tr>
+          </thead>
+
+          {groups.map(group => (
+            <tbody key={group.name}>
+              {groupBy !== 'none' && (
+                <tr className="table-group-row">
+                  <th colSpan={TABLE_COLUMNS.length + 1} scope="rowgroup">
+                    {group.name} <span className="task-count">{group.tasks.length}</span>
+                  </th>
+                </tr>
+              )}
+
+              {group.tasks.map(task => {
+                const progress = getProgress(task);
+                const isOverdue = task.dueDate && !isDoneStatus(task.status) &&
+                  new Date(task.dueDate) < new Date(new Date().toDateString());
+
+                return (
+                  <tr key={task.id} className={isDoneStatus(task.status) ? 'done' : ''}>
+                    <td className="table-title">
+                      <EditableCell
+                        value={task.title}
+                        display={task.title}
+                        label="title"
+                        onSave={(title) => title.trim() && onChangeTask(task.id, { title: title.trim() })}
+                      />
+                    </td>
+                    <td>
+                      <select
+                        className="status-select"
+                        value={task.status}
+                        onChange={(e) => onChangeTask(task.id, { status: e.target.value })}
+                        aria-label="Status"
+                      >
+                        {columns.map(column => (
+                          <option key={column.id} value={column.id}>{column.name}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      <select
+                        className={`status-select priority-select ${task.priority}`}
+                        value={task.priority}
+                        onChange={(e) => onChangeTask(task.id, { priority: e.target.value })}
+                        aria-label="Priority"
+                      >
+                        <option value="high">High</option>
+                        <option value="medium">Medium</option>
+                        <option value="low">Low</option>
+                      </select>
+                    </td>
+                    <td>
+                      <EditableCell
+                        value={task.assignee || ''}
+                        display={task.assignee}
+                        label="assignee"
+                        list="table-assignee-options"
+                        onSave={(assignee) => onChangeTask(task.id, { assignee: assignee.trim() })}
+                      />
+                    </td>
+                    <td className={isOverdue ? 'overdue' : ''}>
+                      <EditableCell
+                        type="date"
+                        value={task.dueDate || ''}
+                        display={task.dueDate && new Date(`${task.dueDate.slice(0, 10)}T00:00`).toLocaleDateString()}
+                        label="due date"
+                        onSave={(dueDate) => onChangeTask(task.id, { dueDate: dueDate || null })}
+                      />
+                    </td>
+                    <td>
+                      <EditableCell
+                        value={task.tags.join(', ')}
+                        display={task.tags.length > 0 && (
+                          <span className="table-tags">
+                            {task.tags.map(tag => <span key={tag} className="tag">{tag}</span>)}
+                          </span>
+                        )}
+                        label="tags (comma separated)"
+                        onSave={(value) => onChangeTask(task.id, {
+                          tags: [...new Set(value.split(',').map(tag => tag.trim()).filter(Boolean))]
+                        })}
+                      />
+                    </td>
+                    <td>
+                      {progress === null ? (
+                        <span className="table-empty">—</span>
+                      ) : (
+                        <div className="table-progress" title={`${Math.round(progress * 100)}%`}>
+                          <div className="progress-bar">
+                            <div className="progress-fill" style={{ width: `${progress * 100}%` }} />
+                          </div>
+                          <span>
+                            {task.subtasks.filter(subtask => subtask.completed).length}/{task.subtasks.length}
+                          </span>
+                        </div>
+                      )}
+                    </td>
+                    <td>
+                      <button
+                        type="button"
+                        className="table-open"
+                        onClick={() => handleEditTask(task)}
+                        aria-label={`Open "${task.title}"`}
+                      >
+                        Open
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          ))}
+        </table>
+      </div>
+
+      {tasks.length === 0 && (
+        <div className="empty-state">
+          <h3>No tasks yet</h3>
+          <p>Create your first task to get started!</p>
+        </div>
+      )}
+
+      <datalist id="table-assignee-options">
+        {users.map(user => (
+          <option key={user.id} value={user.name} />
+        ))}
+      </datalist>
+    </div>
+  );
+});
+
+export default TableView;
@@ -0,0 +1,131 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import LoadingSpinner from './UI/LoadingSpinner';
+import { fetchTaskActivity } from '../utils/api';
+import { describeRecurrence } from '../utils/recurrence';
+import { useTaskContext } from '../context/TaskContext';
+
+const FIELD_LABELS = {
+  title: 'title',
+  description: 'description',
+  status: 'status',
+  priority: 'priority',
+  startDate: 'start date',
+  dueDate: 'due date',
+  assignee: 'assignee',
+  tags: 'tags',
+  boardId: 'board',
+  recurrence: 'repeat',
+  blockedBy: 'blocked by',
+  archived: 'archived',
+  completed: 'completed',
+  attachment: 'file'
+};
+
+const ACTION_LABELS = {
+  created: 'created the task',
+  updated: 'updated the task',
+  status_changed: 'moved the task',
+  deleted: 'deleted the task',
+  restored: 'restored the task',
+  archived: 'archived the task',
+  unarchived: 'took the task out of the archive',
+  subtask_added: 'added a subtask',
+  subtask_updated: 'updated a subtask',
+  subtask_deleted: 'deleted a subtask',
+  attachment_added: 'attached a file',
+  attachment_deleted: 'removed a file'
+};
+
+/**
+ * Change history of a task, shown as a timeline in the edit modal
+ * Reloads whenever the task changes, whether here or on another client.
+ * Demonstrates: useEffect data fetching with cleanup, derived rendering
+ */
+const TaskActivity = React.memo(function TaskActivity({ taskId }) {
+  const { tasks, columns, boards } = useTaskContext();
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Subtask edits don't touch updatedAt on the client, so watch the subtasks as well
+  const task = tasks.find(t => t.id === taskId);
+  const revision = task ? `${task.updatedAt}:${JSON.stringify(task.subtasks)}` : '';
+
+  useEffect(() => {
+    let isCurrent = true;
+
+    fetchTaskActivity(taskId)
+      .then(fetchedEntries => {
+        if (!isCurrent) return;
+        setEntries(fetchedEntries);
+        setError(null);
+      })
+      .catch(err => isCurrent && setError(err.message))
+      .finally(() => isCurrent && setIsLoading(false));
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [taskId, revision]);
+
+  // Human readable value of a field, using column and board names where possible
+  const formatValue = useCallback((field, value) => {
+    if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      return 'none';
+    }
+    if (field === 'status') {
+      return columns.find(column => column.id === value)?.name || value;
+    }
+    if (field === 'boardId') {
+      return boards.find(board => board.id === value)?.name || 'a deleted board';
+    }
+    if (field === 'recurrence') return describeRecurrence(value);
+    if (field === 'blockedBy') {
+      return value.map(id => tasks.find(task => task.id === id)?.title || 'another task').join(', ');
+    }
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'boolean') return value ? 'yes' : 'no';
+    return String(value);
+  }, [tasks, columns, boards]);
+
+  if (isLoading) {
+    return <LoadingSpinner size="small" />;
+  }
+
+  return (
+    <section className="task-activity">
+      <h4>Activity</h4>
+      {error && <span className="error-message">{error}</span>}
+      {!error && entries.length === 0 && (
+        <p className="activity-empty">No changes recorded yet</p>
+      )}
+
+      <ol className="activity-timeline">
+        {entries.map(entry => (
+          <li key={entry.id} className={`activity-entry activity-${entry.action}`}>
+            <div className="activity-summary">
+              <strong>{entry.userName}</strong> {ACTION_LABELS[entry.action] || entry.action}
+              <time dateTime={entry.createdAt}>
+                {new Date(entry.createdAt).toLocaleString()}
+              </time>
+            </div>
+            {entry.changes.length > 0 && (
+              <ul className="activity-changes">
+                {entry.changes.map(change => (
+                  <li key={change.field}>
+                    {FIELD_LABELS[change.field] || change.field}:{' '}
+                    <del>{formatValue(change.field, change.from)}</del>
+                    {' → '}
+                    <ins>{formatValue(change.field, change.to)}</ins>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ol>
+    </section>
+  );
+});
+
+export default TaskActivity;
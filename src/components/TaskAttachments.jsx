@@ -0,0 +1,118 @@
+import React, { useState, useCallback } from 'react';
+import { FileDropzone } from './UI';
+import {
+  MAX_ATTACHMENT_SIZE,
+  ATTACHMENT_TYPES,
+  isAllowedAttachmentType
+} from '../utils/validation';
+import { getAttachmentUrl } from '../utils/api';
+import { useTaskContext } from '../context/TaskContext';
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Attachments section of the task form
+ * Files dropped while editing are uploaded right away; while creating they
+ * are kept in `pendingFiles` and uploaded together with the new task.
+ * Demonstrates: Controlled components, validation, conditional rendering
+ */
+const TaskAttachments = React.memo(function TaskAttachments({
+  taskId,
+  pendingFiles,
+  onPendingFilesChange
+}) {
+  const { tasks, handleUploadAttachments, handleDeleteAttachment } = useTaskContext();
+  const [errors, setErrors] = useState([]);
+  const [isUploading, setIsUploading] = useState(false);
+
+  const attachments = taskId
+    ? tasks.find(task => task.id === taskId)?.attachments || []
+    : [];
+
+  const handleFiles = useCallback(async (files) => {
+    const rejected = [];
+    const accepted = files.filter(file => {
+      if (!isAllowedAttachmentType(file.type)) {
+        rejected.push(`${file.name}: this file type can't be attached`);
+        return false;
+      }
+      if (file.size > MAX_ATTACHMENT_SIZE) {
+        rejected.push(`${file.name}: larger than ${formatFileSize(MAX_ATTACHMENT_SIZE)}`);
+        return false;
+      }
+      return true;
+    });
+    setErrors(rejected);
+
+    if (accepted.length === 0) return;
+
+    if (taskId) {
+      setIsUploading(true);
+      await handleUploadAttachments(taskId, accepted);
+      setIsUploading(false);
+    } else {
+      onPendingFilesChange([...pendingFiles, ...accepted]);
+    }
+  }, [taskId, pendingFiles, onPendingFilesChange, handleUploadAttachments]);
+
+  return (
+    <div className="input-group task-attachments">
+      <label className="input-label">Attachments</label>
+
+      <FileDropzone
+        onFiles={handleFiles}
+        accept={ATTACHMENT_TYPES.join(',')}
+        disabled={isUploading}
+      >
+        {isUploading
+          ? 'Uploading...'
+          : `Drop files here or click to browse (up to ${formatFileSize(MAX_ATTACHMENT_SIZE)} each)`}
+      </FileDropzone>
+
+      {errors.map(error => (
+        <span key={error} className="error-message">{error}</span>
+      ))}
+
+      {(attachments.length > 0 || pendingFiles.length > 0) && (
+        <ul className="attachment-list">
+          {attachments.map(attachment => (
+            <li key={attachment.id} className="attachment-item">
+              <a href={getAttachmentUrl(taskId, attachment.id)} download>
+                {attachment.name}
+              </a>
+              <span className="attachment-size">{formatFileSize(attachment.size)}</span>
+              <button
+                type="button"
+                className="subtask-delete"
+                onClick={() => handleDeleteAttachment(taskId, attachment.id)}
+                aria-label={`Delete ${attachment.name}`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+          {pendingFiles.map((file, index) => (
+            <li key={`${file.name}-${index}`} className="attachment-item pending">
+              <span>{file.name}</span>
+              <span className="attachment-size">{formatFileSize(file.size)}</span>
+              <button
+                type="button"
+                className="subtask-delete"
+                onClick={() => onPendingFilesChange(pendingFiles.filter((_, i) => i !== index))}
+                aria-label={`Remove ${file.name}`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+});
+
+export default TaskAttachments;
@@ -1,104 +1,68 @@
-import React, { useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useCallback, useMemo, useRef } from 'react';
 import TaskCard from './TaskCard';
+import BulkActionBar from './BulkActionBar';
 import Button from './UI/Button';
 import Input from './UI/Input';
 import LoadingSpinner from './UI/LoadingSpinner';
-import useLocalStorage from '../hooks/useLocalStorage';
+import useDragAndDrop from '../hooks/useDragAndDrop';
 import { useTaskContext } from '../context/TaskContext';
+import { compareTasks } from '../utils/taskQuery';
+
+// Tooltip of the search box listing the query syntax
+const SEARCH_HELP = [
+  'Words and "exact phrases" search titles, descriptions and tags.',
+  'Filters: tag:react  assignee:"Jane Smith"  assignee:me  priority:high  status:in-progress',
+  'Dates: due:<2025-02-01  start:>=today  created:2025-01-15  due:none',
+  'States: is:open  is:done  is:overdue  is:blocked  is:recurring  is:unassigned',
+  'Put - in front of a word or filter to exclude matches, e.g. -is:done'
+].join('\n');
 
 /**
  * Task board component with filtering and search
- * Demonstrates: useEffect, useMemo, useCallback, localStorage persistence
+ * Long columns are loaded a page at a time; the loaded tasks are filtered and
+ * sorted here as well, so live changes show up in the right place.
+ * Cards can be selected (shift-click selects a range) and changed together
+ * from the bulk action bar.
+ * Demonstrates: useMemo, useCallback, shared filtering logic
  */
 const TaskBoard = React.memo(function TaskBoard() {
   // Use the task context
   const {
     tasks,
+    columns,
     isLoading,
     error,
-    loadTasks: onRefresh
+    taskStats: stats,
+    filters,
+    searchError,
+    columnPages,
+    loadTasks: onRefresh,
+    loadMoreTasks: onLoadMore,
+    matchesFilters,
+    updateFilters,
+    clearFilters: handleClearFilters,
+    handleMoveTask: onMoveTask,
+    handleReorderTask: onReorderTask
   } = useTaskContext();
-  const [searchTerm, setSearchTerm] = useLocalStorage('taskSearch', '');
-  const [statusFilter, setStatusFilter] = useLocalStorage('statusFilter', 'all');
-  const [priorityFilter, setPriorityFilter] = useLocalStorage('priorityFilter', 'all');
-  const [sortBy, setSortBy] = useLocalStorage('taskSortBy', 'createdAt');
-  const [sortOrder, setSortOrder] = useLocalStorage('taskSortOrder', 'desc');
-
-  // Debounced search effect
-  useEffect(() => {
-    const timer = setTimeout(() => {
-      // This would trigger a search in a real app
-      // For now, we'll just filter locally
-    }, 300);
-
-    return () => clearTimeout(timer);
-  }, [searchTerm]);
+  const { search: searchTerm, status: statusFilter, priority: priorityFilter, sortBy, sortOrder } = filters;
+
+  // Position of each status in the workflow, used for sorting by status
+  const statusOrder = useMemo(() => (
+    Object.fromEntries(columns.map((column, index) => [column.id, index]))
+  ), [columns]);
 
   // Memoized filtered and sorted tasks
   const filteredAndSortedTasks = useMemo(() => {
     if (!tasks) return [];
 
-    let filtered = tasks.filter(task => {
-      // Search filter
-      const matchesSearch = !searchTerm || 
-        task.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        task.description.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        task.tags.some(tag => tag.toLowerCase().includes(searchTerm.toLowerCase()));
-
-      // Status filter
-      const matchesStatus = statusFilter === 'all' || task.status === statusFilter;
-
-      // Priority filter
-      const matchesPriority = priorityFilter === 'all' || task.priority === priorityFilter;
-
-      return matchesSearch && matchesStatus && matchesPriority;
-    });
-
-    // Sort tasks
-    filtered.sort((a, b) => {
-      let aValue, bValue;
-
-      // Define order mappings outside switch
-      const priorityOrder = { high: 3, medium: 2, low: 1 };
-      const statusOrder = { todo: 1, 'in-progress': 2, completed: 3 };
-      
-      switch (sortBy) {
-        case 'title':
-          aValue = a.title.toLowerCase();
-          bValue = b.title.toLowerCase();
-          break;
-        case 'priority':
-          aValue = priorityOrder[a.priority];
-          bValue = priorityOrder[b.priority];
-          break;
-        case 'dueDate':
-          aValue = a.dueDate ? new Date(a.dueDate) : new Date('9999-12-31');
-          bValue = b.dueDate ? new Date(b.dueDate) : new Date('9999-12-31');
-          break;
-        case 'status':
-          aValue = statusOrder[a.status];
-          bValue = statusOrder[b.status];
-          break;
-        default: // createdAt
-          aValue = new Date(a.createdAt);
-          bValue = new Date(b.createdAt);
-      }
-
-      if (aValue < bValue) return sortOrder === 'asc' ? -1 : 1;
-      if (aValue > bValue) return sortOrder === 'asc' ? 1 : -1;
-      return 0;
-    });
-
-    return filtered;
-  }, [tasks, searchTerm, statusFilter, priorityFilter, sortBy, sortOrder]);
+    return tasks
+      .filter(matchesFilters)
+      .sort((a, b) => compareTasks(a, b, { sortBy, sortOrder, statusOrder }));
+  }, [tasks, matchesFilters, sortBy, sortOrder, statusOrder]);
 
   // Group tasks by status for Kanban-style display
   const tasksByStatus = useMemo(() => {
-    const grouped = {
-      todo: [],
-      'in-progress': [],
-      completed: []
-    };
+    const grouped = Object.fromEntries(columns.map(column => [column.id, []]));
 
     filteredAndSortedTasks.forEach(task => {
       if (grouped[task.status]) {
@@ -107,30 +71,86 @@ const TaskBoard = React.memo(function TaskBoard() {
     });
 
     return grouped;
-  }, [filteredAndSortedTasks]);
-
-  // Memoized statistics
-  const stats = useMemo(() => {
-    if (!tasks) return { total: 0, completed: 0, inProgress: 0, overdue: 0 };
-
-    const total = tasks.length;
-    const completed = tasks.filter(t => t.status === 'completed').length;
-    const inProgress = tasks.filter(t => t.status === 'in-progress').length;
-    const overdue = tasks.filter(t => {
-      if (!t.dueDate || t.status === 'completed') return false;
-      return new Date(t.dueDate) < new Date();
-    }).length;
-
-    return { total, completed, inProgress, overdue };
-  }, [tasks]);
-
-  const handleClearFilters = useCallback(() => {
-    setSearchTerm('');
-    setStatusFilter('all');
-    setPriorityFilter('all');
-    setSortBy('createdAt');
-    setSortOrder('desc');
-  }, [setSearchTerm, setStatusFilter, setPriorityFilter, setSortBy, setSortOrder]);
+  }, [filteredAndSortedTasks, columns]);
+
+  const boardColumns = useMemo(() => (
+    columns.map(column => ({
+      status: column.id,
+      title: column.name,
+      color: column.color,
+      isDone: column.isDone,
+      tasks: tasksByStatus[column.id] || []
+    }))
+  ), [columns, tasksByStatus]);
+
+  // Tasks in the order they appear on the board, column by column
+  const boardOrder = useMemo(() => (
+    boardColumns.flatMap(column => column.tasks.map(task => task.id))
+  ), [boardColumns]);
+
+  const [selection, setSelection] = useState(() => new Set());
+  // Last card clicked without shift, where a shift-click range starts
+  const selectionAnchorRef = useRef(null);
+
+  // Only tasks still on the board count - deleted or filtered out ones drop out
+  const selectedIds = useMemo(() => (
+    boardOrder.filter(id => selection.has(id))
+  ), [boardOrder, selection]);
+
+  const handleToggleSelect = useCallback((taskId, extendRange) => {
+    const anchorIndex = boardOrder.indexOf(selectionAnchorRef.current);
+    const index = boardOrder.indexOf(taskId);
+
+    setSelection(prevSelection => {
+      const nextSelection = new Set(prevSelection);
+      if (extendRange && anchorIndex !== -1) {
+        const [start, end] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+        boardOrder.slice(start, end + 1).forEach(id => nextSelection.add(id));
+      } else if (nextSelection.has(taskId)) {
+        nextSelection.delete(taskId);
+      } else {
+        nextSelection.add(taskId);
+      }
+      return nextSelection;
+    });
+
+    if (!extendRange) {
+      selectionAnchorRef.current = taskId;
+    }
+  }, [boardOrder]);
+
+  const handleSelectAll = useCallback(() => {
+    setSelection(new Set(boardOrder));
+  }, [boardOrder]);
+
+  const handleClearSelection = useCallback(() => {
+    setSelection(new Set());
+    selectionAnchorRef.current = null;
+  }, []);
+
+  // Cards can only be reordered inside a column while the board is sorted manually
+  const canReorder = sortBy === 'manual';
+
+  const handleDrop = useCallback((taskId, status, index) => {
+    if (!canReorder) {
+      onMoveTask(taskId, { status });
+      return;
+    }
+
+    // Neighbours on screen, flipped to rank order when sorted descending
+    const columnTasks = tasksByStatus[status].filter(task => task.id !== taskId);
+    const above = columnTasks[index - 1] || null;
+    const below = columnTasks[index] || null;
+    const [before, after] = sortOrder === 'asc' ? [above, below] : [below, above];
+
+    onReorderTask(taskId, status, before, after);
+  }, [canReorder, tasksByStatus, sortOrder, onMoveTask, onReorderTask]);
+
+  const { dragState, announcement, getHandleProps } = useDragAndDrop(
+    boardColumns,
+    handleDrop,
+    { canReorder }
+  );
 
   if (error) {
     return (
@@ -151,8 +171,8 @@ const TaskBoard = React.memo(function TaskBoard() {
           <span className="stat-label">Total Tasks</span>
         </div>
         <div className="stat-item">
-          <span className="stat-number">{stats.inProgress}</span>
-          <span className="stat-label">In Progress</span>
+          <span className="stat-number">{stats.open}</span>
+          <span className="stat-label">Open</span>
         </div>
         <div className="stat-item">
           <span className="stat-number">{stats.completed}</span>
@@ -169,26 +189,29 @@ const TaskBoard = React.memo(function TaskBoard() {
         <div className="filter-row">
           <Input
             type="text"
-            placeholder="Search tasks..."
+            placeholder="Search tasks... (try tag:react is:overdue)"
             value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
+            onChange={(e) => updateFilters({ search: e.target.value })}
             className="search-input"
+            aria-label="Search tasks"
+            title={SEARCH_HELP}
+            error={searchError}
           />
 
           <select
             value={statusFilter}
-            onChange={(e) => setStatusFilter(e.target.value)}
+            onChange={(e) => updateFilters({ status: e.target.value })}
             className="filter-select"
           >
             <option value="all">All Status</option>
-            <option value="todo">To Do</option>
-            <option value="in-progress">In Progress</option>
-            <option value="completed">Completed</option>
+            {columns.map(column => (
+              <option key={column.id} value={column.id}>{column.name}</option>
+            ))}
           </select>
 
           <select
             value={priorityFilter}
-            onChange={(e) => setPriorityFilter(e.target.value)}
+            onChange={(e) => updateFilters({ priority: e.target.value })}
             className="filter-select"
           >
             <option value="all">All Priorities</option>
@@ -199,7 +222,7 @@ const TaskBoard = React.memo(function TaskBoard() {
 
           <select
             value={sortBy}
-            onChange={(e) => setSortBy(e.target.value)}
+            onChange={(e) => updateFilters({ sortBy: e.target.value })}
             className="filter-select"
           >
             <option value="createdAt">Created Date</option>
@@ -207,11 +230,12 @@ const TaskBoard = React.memo(function TaskBoard() {
             <option value="priority">Priority</option>
             <option value="dueDate">Due Date</option>
             <option value="status">Status</option>
+            <option value="manual">Manual</option>
           </select>
 
           <select
             value={sortOrder}
-            onChange={(e) => setSortOrder(e.target.value)}
+            onChange={(e) => updateFilters({ sortOrder: e.target.value })}
             className="filter-select"
           >
             <option value="asc">Ascending</option>
@@ -237,6 +261,15 @@ const TaskBoard = React.memo(function TaskBoard() {
         </div>
       </div>
 
+      {selectedIds.length > 0 && (
+        <BulkActionBar
+          selectedIds={selectedIds}
+          visibleCount={boardOrder.length}
+          onSelectAll={handleSelectAll}
+          onClearSelection={handleClearSelection}
+        />
+      )}
+
       {/* Loading State */}
       {isLoading && (
         <div className="loading-container">
@@ -247,71 +280,80 @@ const TaskBoard = React.memo(function TaskBoard() {
 
       {/* Task Columns (Kanban Style) */}
       {!isLoading && (
-        <div className="task-columns">
-          <div className="task-column">
-            <div className="column-header">
-              <h3>To Do</h3>
-              <span className="task-count">{tasksByStatus.todo.length}</span>
-            </div>
-            <div className="column-content">
-              {tasksByStatus.todo.map(task => (
-                <TaskCard
-                  key={task.id}
-                  task={task}
-                />
-              ))}
-              {tasksByStatus.todo.length === 0 && (
-                <div className="empty-column">
-                  <p>No tasks in this column</p>
-                </div>
-              )}
-            </div>
-          </div>
-
-          <div className="task-column">
-            <div className="column-header">
-              <h3>In Progress</h3>
-              <span className="task-count">{tasksByStatus['in-progress'].length}</span>
-            </div>
-            <div className="column-content">
-              {tasksByStatus['in-progress'].map(task => (
-                <TaskCard
-                  key={task.id}
-                  task={task}
-                />
-              ))}
-              {tasksByStatus['in-progress'].length === 0 && (
-                <div className="empty-column">
-                  <p>No tasks in this column</p>
+        <div
+          className={`task-columns ${dragState ? 'drag-active' : ''}`}
+          style={{ '--column-count': boardColumns.length }}
+        >
+          {boardColumns.map(column => {
+            const page = columnPages?.[column.status];
+            // Matching tasks of the column still on the server
+            const remaining = page?.nextCursor ? Math.max(page.total - page.fetched, 0) : 0;
+            const isDropTarget = dragState?.status === column.status;
+            const slotTasks = column.tasks.filter(task => task.id !== dragState?.taskId);
+            const showIndicator = isDropTarget && canReorder;
+            const indicatorBeforeId = showIndicator ? slotTasks[dragState.index]?.id : null;
+
+            return (
+              <div
+                key={column.status}
+                className={`task-column ${isDropTarget ? 'drop-target' : ''}`}
+                data-drop-status={column.status}
+                style={{ borderTopColor: column.color }}
+              >
+                <div className="column-header">
+                  <h3>
+                    {column.title}
+                    {column.isDone && <span className="column-done-badge">Done</span>}
+                  </h3>
+                  <span className="task-count">{column.tasks.length + remaining}</span>
                 </div>
-              )}
-            </div>
-          </div>
-
-          <div className="task-column">
-            <div className="column-header">
-              <h3>Completed</h3>
-              <span className="task-count">{tasksByStatus.completed.length}</span>
-            </div>
-            <div className="column-content">
-              {tasksByStatus.completed.map(task => (
-                <TaskCard
-                  key={task.id}
-                  task={task}
-                />
-              ))}
-              {tasksByStatus.completed.length === 0 && (
-                <div className="empty-column">
-                  <p>No tasks in this column</p>
+                <div className="column-content">
+                  {column.tasks.map((task, index) => (
+                    <React.Fragment key={task.id}>
+                      {indicatorBeforeId === task.id && <div className="drop-indicator" />}
+                      <TaskCard
+                        task={task}
+                        dragHandleProps={getHandleProps(task, column.status, index)}
+                        isDragging={dragState?.taskId === task.id}
+                        dragOffset={dragState?.taskId === task.id ? dragState.offset : null}
+                        isSelected={selection.has(task.id)}
+                        onToggleSelect={handleToggleSelect}
+                      />
+                    </React.Fragment>
+                  ))}
+                  {showIndicator && dragState.index >= slotTasks.length && (
+                    <div className="drop-indicator" />
+                  )}
+                  {page?.nextCursor && (
+                    <Button
+                      variant="secondary"
+                      size="small"
+                      className="load-more"
+                      onClick={() => onLoadMore(column.status)}
+                      loading={page.isLoading}
+                    >
+                      Load more ({remaining} left)
+                    </Button>
+                  )}
+                  {column.tasks.length === 0 && !page?.nextCursor && (
+                    <div className="empty-column">
+                      <p>No tasks in this column</p>
+                    </div>
+                  )}
                 </div>
-              )}
-            </div>
-          </div>
+              </div>
+            );
+          })}
         </div>
       )}
 
+      {/* Screen reader announcements for keyboard drag and drop */}
+      <div className="sr-only" aria-live="assertive">
+        {announcement}
+      </div>
+
       {/* Empty State */}
-      {!isLoading && filteredAndSortedTasks.length === 0 && tasks && tasks.length > 0 && (
+      {!isLoading && filteredAndSortedTasks.length === 0 && stats.total > 0 && (
         <div className="empty-state">
           <h3>No tasks match your filters</h3>
           <p>Try adjusting your search or filter criteria</p>
@@ -319,7 +361,7 @@ const TaskBoard = React.memo(function TaskBoard() {
         </div>
       )}
 
-      {!isLoading && (!tasks || tasks.length === 0) && (
+      {!isLoading && stats.total === 0 && (
         <div className="empty-state">
           <h3>No tasks yet</h3>
           <p>Create your first task to get started!</p>
@@ -1,6 +1,12 @@
 import React, { useState, useCallback, useMemo } from 'react';
 import Button from './UI/Button';
-import { updateTask, deleteTask, updateSubtask, createSubtask, deleteSubtask } from '../utils/api';
+import TaskReminders from './TaskReminders';
+import {
+  createSubtask,
+  deleteSubtask,
+  getAttachmentUrl
+} from '../utils/api';
+import { describeRecurrence } from '../utils/recurrence';
 import { useTaskContext } from '../context/TaskContext';
 
 /**
@@ -8,12 +14,23 @@ import { useTaskContext } from '../context/TaskContext';
  * Demonstrates: useMemo, useCallback, optimistic updates, progress calculation
  */
 const TaskCard = React.memo(function TaskCard({ 
-  task 
+  task,
+  dragHandleProps,
+  isDragging = false,
+  dragOffset = null,
+  isSelected = false,
+  onToggleSelect
 }) {
   // Use the task context
   const {
+    columns,
+    isDoneStatus,
+    getTaskBlockers,
+    handleMoveTask: onMoveTask,
     handleTaskUpdate: onTaskUpdate,
-    handleTaskDelete: onTaskDelete,
+    handleToggleSubtask,
+    handleArchiveTask,
+    handleDeleteTask,
     handleEditTask: onEdit
   } = useTaskContext();
   const [isUpdating, setIsUpdating] = useState(false);
@@ -23,12 +40,17 @@ const TaskCard = React.memo(function TaskCard({
   // Memoized progress calculation to avoid recalculation on every render
   const progress = useMemo(() => {
     if (!task.subtasks || task.subtasks.length === 0) {
-      return task.status === 'completed' ? 100 : 0;
+      return isDoneStatus(task.status) ? 100 : 0;
     }
     
     const completedSubtasks = task.subtasks.filter(subtask => subtask.completed).length;
     return Math.round((completedSubtasks / task.subtasks.length) * 100);
-  }, [task.subtasks, task.status]);
+  }, [task.subtasks, task.status, isDoneStatus]);
+
+  // Image attachments get a thumbnail on the card
+  const imageAttachments = useMemo(() => (
+    (task.attachments || []).filter(a => a.mimeType.startsWith('image/'))
+  ), [task.attachments]);
 
   // Memoized priority color to avoid recalculation
   const priorityColor = useMemo(() => {
@@ -55,51 +77,15 @@ const TaskCard = React.memo(function TaskCard({
     return { status: 'future', text: `Due in ${diffDays} days` };
   }, [task.dueDate]);
 
-  // Optimistic status update
-  const handleStatusChange = useCallback(async (newStatus) => {
-    const previousTask = { ...task };
-    
-    // Optimistically update the UI
-    onTaskUpdate({ ...task, status: newStatus });
-    
-    try {
-      setIsUpdating(true);
-      await updateTask(task.id, { status: newStatus });
-    } catch (error) {
-      // Revert on error
-      onTaskUpdate(previousTask);
-      console.error('Failed to update task status:', error);
-    } finally {
-      setIsUpdating(false);
-    }
-  }, [task, onTaskUpdate]);
+  // Open tasks this one waits on
+  const blockers = useMemo(() => getTaskBlockers(task), [task, getTaskBlockers]);
 
-  // Optimistic subtask toggle
-  const handleSubtaskToggle = useCallback(async (subtaskId) => {
-    const previousTask = { ...task };
-    const subtaskIndex = task.subtasks.findIndex(st => st.id === subtaskId);
-    
-    if (subtaskIndex === -1) return;
-    
-    const updatedSubtasks = [...task.subtasks];
-    updatedSubtasks[subtaskIndex] = {
-      ...updatedSubtasks[subtaskIndex],
-      completed: !updatedSubtasks[subtaskIndex].completed
-    };
-    
-    // Optimistically update the UI
-    onTaskUpdate({ ...task, subtasks: updatedSubtasks });
-    
-    try {
-      await updateSubtask(task.id, subtaskId, { 
-        completed: updatedSubtasks[subtaskIndex].completed 
-      });
-    } catch (error) {
-      // Revert on error
-      onTaskUpdate(previousTask);
-      console.error('Failed to update subtask:', error);
-    }
-  }, [task, onTaskUpdate]);
+  // Optimistic status update - asks before moving a blocked task forward
+  const handleStatusChange = useCallback(async (newStatus) => {
+    setIsUpdating(true);
+    await onMoveTask(task.id, { status: newStatus });
+    setIsUpdating(false);
+  }, [task.id, onMoveTask]);
 
   // Add new subtask
   const handleAddSubtask = useCallback(async (event) => {
@@ -124,10 +110,7 @@ const TaskCard = React.memo(function TaskCard({
       const createdSubtask = await createSubtask(task.id, { title: newSubtaskTitle.trim() });
       
       // Replace temp subtask with real one
-      const updatedSubtasks = task.subtasks.map(st => 
-        st.id === tempSubtask.id ? createdSubtask : st
-      );
-      onTaskUpdate({ ...task, subtasks: updatedSubtasks });
+      onTaskUpdate({ ...task, subtasks: [...task.subtasks, createdSubtask] });
       
       setNewSubtaskTitle('');
       setShowSubtaskForm(false);
@@ -155,27 +138,52 @@ const TaskCard = React.memo(function TaskCard({
     }
   }, [task, onTaskUpdate]);
 
-  // Delete task
-  const handleDelete = useCallback(async () => {
-    if (!window.confirm('Are you sure you want to delete this task?')) {
-      return;
+  // Archive task - it leaves the board but stays in the Archive view
+  const handleArchive = useCallback(async () => {
+    setIsUpdating(true);
+    if (!await handleArchiveTask(task)) {
+      setIsUpdating(false);
     }
-    
-    try {
-      setIsUpdating(true);
-      await deleteTask(task.id);
-      onTaskDelete(task.id);
-    } catch (error) {
-      console.error('Failed to delete task:', error);
+  }, [task, handleArchiveTask]);
+
+  // Delete task - undone from the toast rather than confirmed first
+  const handleDelete = useCallback(async () => {
+    setIsUpdating(true);
+    if (!await handleDeleteTask(task)) {
       setIsUpdating(false);
     }
-  }, [task.id, onTaskDelete]);
+  }, [task, handleDeleteTask]);
 
   return (
-    <div className="task-card">
+    <div
+      className={`task-card ${isDragging ? 'dragging' : ''} ${isSelected ? 'selected' : ''}`}
+      data-task-id={task.id}
+      style={dragOffset ? { transform: `translate(${dragOffset.x}px, ${dragOffset.y}px)` } : undefined}
+    >
       <div className="task-card-header">
         <div className="task-title-section">
+          {onToggleSelect && (
+            <input
+              type="checkbox"
+              className="task-select"
+              checked={isSelected}
+              // Shift-click selects every card between this one and the last one clicked
+              onChange={(e) => onToggleSelect(task.id, e.nativeEvent.shiftKey)}
+              aria-label={`Select ${task.title}`}
+              title="Select (shift-click to select a range)"
+            />
+          )}
+          {dragHandleProps && (
+            <span className="drag-handle" {...dragHandleProps}>
+              ⠿
+            </span>
+          )}
           <h3 className="task-title">{task.title}</h3>
+          {blockers.length > 0 && (
+            <span className="blocked-badge" title="Finish the blocking tasks first">
+              Blocked
+            </span>
+          )}
           <div 
             className="priority-indicator" 
             style={{ backgroundColor: priorityColor }}
@@ -192,6 +200,14 @@ const TaskCard = React.memo(function TaskCard({
           >
             Edit
           </Button>
+          <Button
+            variant="secondary"
+            size="small"
+            onClick={handleArchive}
+            disabled={isUpdating}
+          >
+            Archive
+          </Button>
           <Button
             variant="danger"
             size="small"
@@ -217,9 +233,9 @@ const TaskCard = React.memo(function TaskCard({
             disabled={isUpdating}
             className="status-select"
           >
-            <option value="todo">To Do</option>
-            <option value="in-progress">In Progress</option>
-            <option value="completed">Completed</option>
+            {columns.map(column => (
+              <option key={column.id} value={column.id}>{column.name}</option>
+            ))}
           </select>
         </div>
 
@@ -234,6 +250,33 @@ const TaskCard = React.memo(function TaskCard({
             <strong>Due:</strong> {dueDateStatus.text}
           </div>
         )}
+
+        {blockers.length > 0 && (
+          <div className="task-blockers">
+            <strong>Blocked by:</strong>
+            <ul>
+              {blockers.map(blocker => (
+                <li key={blocker.id}>{blocker.title}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {task.recurrence && (
+          <div className="task-recurrence-badge" title="Completing this task creates the next occurrence">
+            🔁 {describeRecurrence(task.recurrence)}
+          </div>
+        )}
+
+        {/* Comments are read and written in the edit modal */}
+        <button
+          type="button"
+          className="task-comment-count"
+          onClick={() => onEdit(task)}
+          aria-label={`${task.commentCount || 0} comments`}
+        >
+          💬 {task.commentCount || 0}
+        </button>
       </div>
 
       {task.tags && task.tags.length > 0 && (
@@ -246,6 +289,30 @@ const TaskCard = React.memo(function TaskCard({
         </div>
       )}
 
+      {task.attachments?.length > 0 && (
+        <div className="task-attachment-preview">
+          {imageAttachments.slice(0, 4).map(attachment => (
+            <a
+              key={attachment.id}
+              href={getAttachmentUrl(task.id, attachment.id, { inline: true })}
+              target="_blank"
+              rel="noopener noreferrer"
+              title={attachment.name}
+            >
+              <img
+                src={getAttachmentUrl(task.id, attachment.id, { inline: true })}
+                alt={attachment.name}
+                className="attachment-thumbnail"
+                loading="lazy"
+              />
+            </a>
+          ))}
+          <span className="attachment-count" title="Attachments">
+            📎 {task.attachments.length}
+          </span>
+        </div>
+      )}
+
       {/* Progress bar */}
       <div className="task-progress">
         <div className="progress-header">
@@ -297,7 +364,7 @@ const TaskCard = React.memo(function TaskCard({
                   <input
                     type="checkbox"
                     checked={subtask.completed}
-                    onChange={() => handleSubtaskToggle(subtask.id)}
+                    onChange={() => handleToggleSubtask(task, subtask.id)}
                   />
                   <span className={subtask.completed ? 'completed' : ''}>
                     {subtask.title}
@@ -315,6 +382,8 @@ const TaskCard = React.memo(function TaskCard({
           </ul>
         )}
       </div>
+
+      <TaskReminders taskId={task.id} />
     </div>
   );
 });
@@ -0,0 +1,346 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Button, LoadingSpinner, Markdown } from './UI';
+import { isNotEmpty } from '../utils/validation';
+import { getMentionQuery } from '../utils/mentions';
+import { fetchComments, createComment, updateComment, deleteComment } from '../utils/api';
+import { useTaskContext } from '../context/TaskContext';
+import { useAuth } from '../context/AuthContext';
+
+// Replies deeper than this are shown at the same indentation
+const MAX_INDENT = 3;
+
+/**
+ * Comment textarea with @mention suggestions
+ * Demonstrates: Controlled inputs, refs, derived state
+ */
+const CommentEditor = React.memo(function CommentEditor({
+  initialValue = '',
+  submitLabel,
+  onSubmit,
+  onCancel
+}) {
+  const { users } = useTaskContext();
+  const [value, setValue] = useState(initialValue);
+  const [caret, setCaret] = useState(initialValue.length);
+  const [isSaving, setIsSaving] = useState(false);
+  const textareaRef = useRef(null);
+
+  // Users matching the "@..." being typed at the caret
+  const mentionQuery = getMentionQuery(value.slice(0, caret));
+  const suggestions = mentionQuery === null
+    ? []
+    : users
+      .filter(user => user.name.toLowerCase().startsWith(mentionQuery.toLowerCase()))
+      .slice(0, 5);
+
+  const handleChange = useCallback((event) => {
+    setValue(event.target.value);
+    setCaret(event.target.selectionStart);
+  }, []);
+
+  const insertMention = useCallback((user) => {
+    const before = value.slice(0, caret - mentionQuery.length);
+    const after = value.slice(caret);
+    const nextCaret = before.length + user.name.length + 1;
+
+    setValue(`${before}${user.name} ${after}`);
+    setCaret(nextCaret);
+    requestAnimationFrame(() => {
+      textareaRef.current?.focus();
+      textareaRef.current?.setSelectionRange(nextCaret, nextCaret);
+    });
+  }, [value, caret, mentionQuery]);
+
+  const handleSubmit = useCallback(async (event) => {
+    event.preventDefault();
+    if (!isNotEmpty(value)) return;
+
+    setIsSaving(true);
+    const saved = await onSubmit(value.trim());
+    setIsSaving(false);
+
+    if (saved) {
+      setValue('');
+      setCaret(0);
+    }
+  }, [value, onSubmit]);
+
+  // Ctrl/Cmd + Enter posts the comment
+  const handleKeyDown = useCallback((event) => {
+    if ((event.ctrlKey || event.metaKey) && event.key === 'Enter') {
+      handleSubmit(event);
+    }
+  }, [handleSubmit]);
+
+  return (
+    <form className="comment-editor" onSubmit={handleSubmit}>
+      <textarea
+        ref={textareaRef}
+        className="input"
+        value={value}
+        onChange={handleChange}
+        onSelect={(e) => setCaret(e.target.selectionStart)}
+        onKeyDown={handleKeyDown}
+        placeholder="Write a comment - Markdown and @mentions are supported"
+        rows={3}
+        aria-label="Comment"
+        autoFocus={Boolean(onCancel)}
+      />
+      {suggestions.length > 0 && (
+        <ul className="mention-suggestions" role="listbox" aria-label="Mention a user">
+          {suggestions.map(user => (
+            <li key={user.id}>
+              <button type="button" onClick={() => insertMention(user)}>
+                @{user.name}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="comment-editor-actions">
+        <Button type="submit" size="small" loading={isSaving} disabled={!isNotEmpty(value)}>
+          {submitLabel}
+        </Button>
+        {onCancel && (
+          <Button type="button" variant="secondary" size="small" onClick={onCancel}>
+            Cancel
+          </Button>
+        )}
+      </div>
+    </form>
+  );
+});
+
+/**
+ * A comment with its replies
+ * Demonstrates: Recursive components, conditional rendering
+ */
+const CommentThread = React.memo(function CommentThread({
+  comment,
+  repliesByParent,
+  depth,
+  mentionNames,
+  currentUserId,
+  onReply,
+  onEdit,
+  onDelete
+}) {
+  const [mode, setMode] = useState(null); // null, 'reply' or 'edit'
+  const replies = repliesByParent[comment.id] || [];
+
+  const handleReply = useCallback(async (body) => {
+    const saved = await onReply(body, comment.id);
+    if (saved) setMode(null);
+    return saved;
+  }, [onReply, comment.id]);
+
+  const handleEdit = useCallback(async (body) => {
+    const saved = await onEdit(comment.id, body);
+    if (saved) setMode(null);
+    return saved;
+  }, [onEdit, comment.id]);
+
+  const isAuthor = comment.userId === currentUserId;
+
+  return (
+    <li className={`comment ${depth < MAX_INDENT ? 'comment-indented' : ''}`}>
+      <div className="comment-header">
+        <strong>{comment.userName}</strong>
+        <time dateTime={comment.createdAt}>
+          {new Date(comment.createdAt).toLocaleString()}
+          {comment.updatedAt && ' (edited)'}
+        </time>
+      </div>
+
+      {mode === 'edit' ? (
+        <CommentEditor
+          initialValue={comment.body}
+          submitLabel="Save"
+          onSubmit={handleEdit}
+          onCancel={() => setMode(null)}
+        />
+      ) : (
+        <Markdown source={comment.body} mentionNames={mentionNames} className="comment-body" />
+      )}
+
+      {mode !== 'edit' && (
+        <div className="comment-actions">
+          <button type="button" onClick={() => setMode(mode === 'reply' ? null : 'reply')}>
+            Reply
+          </button>
+          {isAuthor && (
+            <>
+              <button type="button" onClick={() => setMode('edit')}>Edit</button>
+              <button type="button" onClick={() => onDelete(comment)}>Delete</button>
+            </>
+          )}
+        </div>
+      )}
+
+      {mode === 'reply' && (
+        <CommentEditor submitLabel="Reply" onSubmit={handleReply} onCancel={() => setMode(null)} />
+      )}
+
+      {replies.length > 0 && (
+        <ul className="comment-replies">
+          {replies.map(reply => (
+            <CommentThread
+              key={reply.id}
+              comment={reply}
+              repliesByParent={repliesByParent}
+              depth={depth + 1}
+              mentionNames={mentionNames}
+              currentUserId={currentUserId}
+              onReply={onReply}
+              onEdit={onEdit}
+              onDelete={onDelete}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+});
+
+/**
+ * Threaded comments of a task, shown in the edit modal
+ * Demonstrates: useEffect data fetching, live updates through context, useMemo
+ */
+const TaskComments = React.memo(function TaskComments({ taskId }) {
+  const { users, subscribeToServerEvents } = useTaskContext();
+  const { user } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Replace a comment by id, or add it when it is new
+  const upsertComment = useCallback((comment) => {
+    setComments(prevComments => (
+      prevComments.some(c => c.id === comment.id)
+        ? prevComments.map(c => c.id === comment.id ? comment : c)
+        : [...prevComments, comment]
+    ));
+  }, []);
+
+  useEffect(() => {
+    let isCurrent = true;
+
+    fetchComments(taskId)
+      .then(fetchedComments => isCurrent && setComments(fetchedComments))
+      .catch(err => isCurrent && setError(err.message))
+      .finally(() => isCurrent && setIsLoading(false));
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [taskId]);
+
+  // Comments added, edited or deleted by others while the modal is open
+  useEffect(() => (
+    subscribeToServerEvents(({ type, data }) => {
+      if (data.taskId !== taskId) return;
+
+      if (type === 'comment:created' || type === 'comment:updated') {
+        upsertComment(data);
+      } else if (type === 'comment:deleted') {
+        setComments(prevComments => prevComments.filter(c => !data.ids.includes(c.id)));
+      }
+    })
+  ), [taskId, subscribeToServerEvents, upsertComment]);
+
+  const mentionNames = useMemo(() => users.map(u => u.name), [users]);
+
+  // Top-level comments are those without a parent (or whose parent is gone)
+  const { topLevel, repliesByParent } = useMemo(() => {
+    const ids = new Set(comments.map(c => c.id));
+    const byParent = {};
+    const roots = [];
+
+    comments.forEach(comment => {
+      if (comment.parentId && ids.has(comment.parentId)) {
+        (byParent[comment.parentId] ||= []).push(comment);
+      } else {
+        roots.push(comment);
+      }
+    });
+
+    return { topLevel: roots, repliesByParent: byParent };
+  }, [comments]);
+
+  const handleCreate = useCallback(async (body, parentId = null) => {
+    try {
+      upsertComment(await createComment(taskId, { body, parentId }));
+      setError(null);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  }, [taskId, upsertComment]);
+
+  const handleEdit = useCallback(async (commentId, body) => {
+    try {
+      upsertComment(await updateComment(taskId, commentId, { body }));
+      setError(null);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  }, [taskId, upsertComment]);
+
+  const handleDelete = useCallback(async (comment) => {
+    const hasReplies = Boolean(repliesByParent[comment.id]);
+    const message = hasReplies
+      ? 'Delete this comment and all replies to it?'
+      : 'Delete this comment?';
+    if (!window.confirm(message)) return;
+
+    try {
+      await deleteComment(taskId, comment.id);
+
+      // The server removes the replies along with the comment
+      const removedIds = [comment.id];
+      for (let i = 0; i < removedIds.length; i++) {
+        (repliesByParent[removedIds[i]] || []).forEach(reply => removedIds.push(reply.id));
+      }
+      setComments(prevComments => prevComments.filter(c => !removedIds.includes(c.id)));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [taskId, repliesByParent]);
+
+  if (isLoading) {
+    return <LoadingSpinner size="small" />;
+  }
+
+  return (
+    <section className="task-comments">
+      <h4>Comments ({comments.length})</h4>
+      {error && <span className="error-message">{error}</span>}
+
+      {topLevel.length > 0 && (
+        <ul className="comment-list">
+          {topLevel.map(comment => (
+            <CommentThread
+              key={comment.id}
+              comment={comment}
+              repliesByParent={repliesByParent}
+              depth={0}
+              mentionNames={mentionNames}
+              currentUserId={user.id}
+              onReply={handleCreate}
+              onEdit={handleEdit}
+              onDelete={handleDelete}
+            />
+          ))}
+        </ul>
+      )}
+
+      <CommentEditor submitLabel="Comment" onSubmit={handleCreate} />
+    </section>
+  );
+});
+
+export default TaskComments;
@@ -0,0 +1,131 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import Button from './UI/Button';
+import { describeRecurrence } from '../utils/recurrence';
+import { getConflictFields, resolveConflictFields } from '../utils/taskConflicts';
+import { useTaskContext } from '../context/TaskContext';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  priority: 'Priority',
+  startDate: 'Start Date',
+  dueDate: 'Due Date',
+  assignee: 'Assignee',
+  tags: 'Tags',
+  recurrence: 'Repeat',
+  blockedBy: 'Blocked By'
+};
+
+const CHANGED_BY_LABELS = {
+  me: 'Only you changed this',
+  them: 'Only they changed this',
+  both: 'You both changed this'
+};
+
+/**
+ * Shown in the edit modal when someone else saved the task while it was being
+ * edited. Lists the fields either side changed with both values; where both
+ * changed the same field the user picks which one to keep.
+ * Demonstrates: Context consumption, derived state, controlled radio groups
+ */
+const TaskConflictDialog = React.memo(function TaskConflictDialog() {
+  const {
+    tasks,
+    taskConflict,
+    formErrors,
+    isSubmitting,
+    handleResolveConflict,
+    handleDiscardConflict
+  } = useTaskContext();
+  // Field -> whether to keep the user's value; conflicts default to theirs
+  const [keepMine, setKeepMine] = useState({});
+
+  const { base, changes, serverTask } = taskConflict;
+  const conflictFields = useMemo(
+    () => getConflictFields(base, changes, serverTask),
+    [base, changes, serverTask]
+  );
+
+  const formatValue = useCallback((field, value) => {
+    if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+      return 'none';
+    }
+    if (field === 'recurrence') return describeRecurrence(value);
+    if (field === 'blockedBy') {
+      return value.map(id => tasks.find(task => task.id === id)?.title || 'another task').join(', ');
+    }
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+  }, [tasks]);
+
+  const handleSave = useCallback(() => {
+    handleResolveConflict(resolveConflictFields(conflictFields, keepMine));
+  }, [conflictFields, keepMine, handleResolveConflict]);
+
+  const renderValue = (row, mine) => {
+    const value = formatValue(row.field, mine ? row.mine : row.theirs);
+
+    if (row.changedBy !== 'both') {
+      const isKept = (row.changedBy === 'me') === mine;
+      return <span className={`conflict-value ${isKept ? 'kept' : ''}`}>{value}</span>;
+    }
+
+    return (
+      <label className={`conflict-value ${Boolean(keepMine[row.field]) === mine ? 'kept' : ''}`}>
+        <input
+          type="radio"
+          name={`conflict-${row.field}`}
+          checked={Boolean(keepMine[row.field]) === mine}
+          onChange={() => setKeepMine(prev => ({ ...prev, [row.field]: mine }))}
+        />
+        {value}
+      </label>
+    );
+  };
+
+  return (
+    <div className="task-conflict" role="alert">
+      <p className="conflict-intro">
+        Someone else saved <strong>{serverTask.title}</strong> while you were editing it.
+        Compare the changes and choose which value of each field to keep.
+      </p>
+
+      <table className="conflict-table">
+        <thead>
+          <tr>
+            <th scope="col">Field</th>
+            <th scope="col">Yours</th>
+            <th scope="col">Theirs</th>
+          </tr>
+        </thead>
+        <tbody>
+          {conflictFields.map(row => (
+            <tr key={row.field} className={`conflict-${row.changedBy}`}>
+              <th scope="row">
+                {FIELD_LABELS[row.field]}
+                <span className="conflict-changed-by">{CHANGED_BY_LABELS[row.changedBy]}</span>
+                {formErrors[row.field] && <span className="error-message">{formErrors[row.field]}</span>}
+              </th>
+              <td>{renderValue(row, true)}</td>
+              <td>{renderValue(row, false)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {conflictFields.length === 0 && (
+        <p className="conflict-intro">Your changes match theirs - there is nothing left to save.</p>
+      )}
+
+      <div className="form-actions">
+        <Button onClick={handleSave} loading={isSubmitting}>
+          Save
+        </Button>
+        <Button variant="secondary" onClick={handleDiscardConflict} disabled={isSubmitting}>
+          Discard my changes
+        </Button>
+      </div>
+    </div>
+  );
+});
+
+export default TaskConflictDialog;
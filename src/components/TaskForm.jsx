@@ -1,7 +1,12 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useMemo } from 'react';
 import { Input, Select, Textarea, Button } from './UI';
+import TaskAttachments from './TaskAttachments';
+import TaskRecurrenceInput from './TaskRecurrenceInput';
 import useInput from '../hooks/useInput';
-import { isNotEmpty, isValidPriority } from '../utils/validation';
+import { isNotEmpty, isValidPriority, isValidDateRange } from '../utils/validation';
+import { isValidRecurrence } from '../utils/recurrence';
+import { createsDependencyCycle } from '../utils/dependencies';
+import { TASK_FORM_FIELDS } from '../utils/taskConflicts';
 import { useTaskContext } from '../context/TaskContext';
 
 /**
@@ -15,6 +20,9 @@ const TaskForm = React.memo(function TaskForm({
   // Use the task context
   const {
     isSubmitting: isLoading,
+    formErrors,
+    tasks,
+    users,
     handleCreateTask,
     handleUpdateTask
   } = useTaskContext();
@@ -45,11 +53,18 @@ const TaskForm = React.memo(function TaskForm({
     reset: resetPriority
   } = useInput(initialData.priority || 'medium', (value) => isValidPriority(value));
 
+  const {
+    value: startDate,
+    handleChange: handleStartDateChange,
+    reset: resetStartDate
+  } = useInput(initialData.startDate || '');
+
   const {
     value: dueDate,
     handleChange: handleDueDateChange,
     reset: resetDueDate
   } = useInput(initialData.dueDate || '');
+  const datesHaveError = !isValidDateRange(startDate, dueDate);
 
   const {
     value: assignee,
@@ -59,6 +74,26 @@ const TaskForm = React.memo(function TaskForm({
 
   const [tags, setTags] = useState(initialData.tags || []);
   const [tagInput, setTagInput] = useState('');
+  const [recurrence, setRecurrence] = useState(initialData.recurrence || null);
+  const recurrenceHasError = !isValidRecurrence(recurrence);
+  const [blockedBy, setBlockedBy] = useState(initialData.blockedBy || []);
+  // Files dropped on a new task, uploaded once it is created
+  const [pendingFiles, setPendingFiles] = useState([]);
+
+  // Tasks of the board that can block this one without creating a cycle
+  const blockerOptions = useMemo(() => {
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+    return tasks.filter(task => (
+      task.id !== initialData.id &&
+      !blockedBy.includes(task.id) &&
+      !(initialData.id && createsDependencyCycle(initialData.id, [task.id], id => tasksById.get(id)))
+    ));
+  }, [tasks, blockedBy, initialData.id]);
+
+  // Server errors about fields without an input are listed above the form
+  const otherErrors = Object.entries(formErrors)
+    .filter(([field]) => !TASK_FORM_FIELDS.includes(field))
+    .map(([, message]) => message);
 
   // Memoized handlers to prevent unnecessary re-renders
   const handleAddTag = useCallback(() => {
@@ -83,17 +118,21 @@ const TaskForm = React.memo(function TaskForm({
     resetTitle();
     resetDescription();
     resetPriority();
+    resetStartDate();
     resetDueDate();
     resetAssignee();
     setTags([]);
     setTagInput('');
-  }, [resetTitle, resetDescription, resetPriority, resetDueDate, resetAssignee]);
+    setRecurrence(null);
+    setBlockedBy([]);
+    setPendingFiles([]);
+  }, [resetTitle, resetDescription, resetPriority, resetStartDate, resetDueDate, resetAssignee]);
 
-  const handleSubmit = useCallback((event) => {
+  const handleSubmit = useCallback(async (event) => {
     event.preventDefault();
     
     // Final validation check
-    if (titleHasError || priorityHasError || !isNotEmpty(title)) {
+    if (titleHasError || priorityHasError || datesHaveError || recurrenceHasError || !isNotEmpty(title)) {
       return;
     }
 
@@ -101,24 +140,33 @@ const TaskForm = React.memo(function TaskForm({
       title,
       description,
       priority,
+      startDate: startDate || null,
       dueDate: dueDate || null,
       assignee,
-      tags
+      tags,
+      recurrence,
+      blockedBy
     };
 
-    onSubmit(formData);
+    const saved = await onSubmit(formData, pendingFiles);
     
     // Reset form after successful submission (if it's a create form)
-    if (!initialData.id) {
+    if (saved && !initialData.id) {
       resetForm();
     }
   }, [
-    title, description, priority, dueDate, assignee, tags,
-    titleHasError, priorityHasError, onSubmit, initialData.id, resetForm
+    title, description, priority, startDate, dueDate, assignee, tags, recurrence, blockedBy, pendingFiles,
+    titleHasError, priorityHasError, datesHaveError, recurrenceHasError, onSubmit, initialData.id, resetForm
   ]);
 
   return (
     <form onSubmit={handleSubmit} className="task-form">
+      {otherErrors.length > 0 && (
+        <div className="form-errors" role="alert">
+          {otherErrors.map(message => <p key={message}>{message}</p>)}
+        </div>
+      )}
+
       <Input
         label="Task Title *"
         id="title"
@@ -126,7 +174,7 @@ const TaskForm = React.memo(function TaskForm({
         value={title}
         onChange={handleTitleChange}
         onBlur={handleTitleBlur}
-        error={titleHasError ? 'Title is required' : null}
+        error={titleHasError ? 'Title is required' : formErrors.title}
         placeholder="Enter task title"
         required
       />
@@ -137,22 +185,33 @@ const TaskForm = React.memo(function TaskForm({
         value={description}
         onChange={handleDescriptionChange}
         placeholder="Enter task description"
+        error={formErrors.description}
         rows={4}
       />
 
+      <Select
+        label="Priority *"
+        id="priority"
+        value={priority}
+        onChange={handlePriorityChange}
+        onBlur={handlePriorityBlur}
+        error={priorityHasError ? 'Please select a valid priority' : formErrors.priority}
+        options={[
+          { value: 'low', label: 'Low' },
+          { value: 'medium', label: 'Medium' },
+          { value: 'high', label: 'High' }
+        ]}
+      />
+
       <div className="form-row">
-        <Select
-          label="Priority *"
-          id="priority"
-          value={priority}
-          onChange={handlePriorityChange}
-          onBlur={handlePriorityBlur}
-          error={priorityHasError ? 'Please select a valid priority' : null}
-          options={[
-            { value: 'low', label: 'Low' },
-            { value: 'medium', label: 'Medium' },
-            { value: 'high', label: 'High' }
-          ]}
+        <Input
+          label="Start Date"
+          id="startDate"
+          type="date"
+          value={startDate}
+          onChange={handleStartDateChange}
+          max={dueDate || undefined}
+          error={formErrors.startDate}
         />
 
         <Input
@@ -161,9 +220,18 @@ const TaskForm = React.memo(function TaskForm({
           type="date"
           value={dueDate}
           onChange={handleDueDateChange}
+          min={startDate || undefined}
+          error={datesHaveError ? 'Due date must be on or after the start date' : formErrors.dueDate}
         />
       </div>
 
+      <TaskRecurrenceInput
+        value={recurrence}
+        dueDate={dueDate}
+        onChange={setRecurrence}
+      />
+      {formErrors.recurrence && <span className="error-message">{formErrors.recurrence}</span>}
+
       <Input
         label="Assignee"
         id="assignee"
@@ -171,7 +239,15 @@ const TaskForm = React.memo(function TaskForm({
         value={assignee}
         onChange={handleAssigneeChange}
         placeholder="Enter assignee name"
+        list="assignee-options"
+        autoComplete="off"
+        error={formErrors.assignee}
       />
+      <datalist id="assignee-options">
+        {users.map(user => (
+          <option key={user.id} value={user.name} />
+        ))}
+      </datalist>
 
       <div className="input-group">
         <label className="input-label">Tags</label>
@@ -211,13 +287,60 @@ const TaskForm = React.memo(function TaskForm({
             ))}
           </div>
         )}
+        {formErrors.tags && <span className="error-message">{formErrors.tags}</span>}
       </div>
 
+      <div className="input-group">
+        <label className="input-label" htmlFor="blockedBy">Blocked By</label>
+        <select
+          id="blockedBy"
+          className={`input ${formErrors.blockedBy ? 'input-error' : ''}`}
+          value=""
+          onChange={(e) => setBlockedBy(prev => [...prev, e.target.value])}
+          disabled={blockerOptions.length === 0}
+        >
+          <option value="">
+            {blockerOptions.length > 0 ? 'Add a task that must be finished first' : 'No other tasks to pick'}
+          </option>
+          {blockerOptions.map(task => (
+            <option key={task.id} value={task.id}>{task.title}</option>
+          ))}
+        </select>
+
+        {blockedBy.length > 0 && (
+          <div className="tags-list">
+            {blockedBy.map(id => {
+              const title = tasks.find(task => task.id === id)?.title || 'Task on another board';
+              return (
+                <span key={id} className="tag">
+                  {title}
+                  <button
+                    type="button"
+                    className="tag-remove"
+                    onClick={() => setBlockedBy(prev => prev.filter(blockerId => blockerId !== id))}
+                    aria-label={`Remove blocker ${title}`}
+                  >
+                    ×
+                  </button>
+                </span>
+              );
+            })}
+          </div>
+        )}
+        {formErrors.blockedBy && <span className="error-message">{formErrors.blockedBy}</span>}
+      </div>
+
+      <TaskAttachments
+        taskId={initialData.id}
+        pendingFiles={pendingFiles}
+        onPendingFilesChange={setPendingFiles}
+      />
+
       <div className="form-actions">
         <Button
           type="submit"
           loading={isLoading}
-          disabled={titleHasError || priorityHasError || !isNotEmpty(title)}
+          disabled={titleHasError || priorityHasError || datesHaveError || recurrenceHasError || !isNotEmpty(title)}
         >
           {initialData.id ? 'Update Task' : 'Create Task'}
         </Button>
@@ -0,0 +1,142 @@
+import React, { useCallback } from 'react';
+import {
+  WEEKDAY_NAMES,
+  isValidRecurrence,
+  describeRecurrence,
+  getNextDueDate
+} from '../utils/recurrence';
+
+const UNITS = { daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)' };
+
+// Weekdays listed Monday first
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+// Starting rule when the repeat select changes
+function createRule(frequency, dueDate) {
+  if (frequency === 'none') return null;
+  if (frequency === 'rrule') return { frequency: 'rrule', rrule: '' };
+
+  const rule = { frequency, interval: 1 };
+  if (frequency === 'weekly') {
+    rule.byWeekday = [(dueDate ? new Date(`${dueDate}T00:00`) : new Date()).getDay()];
+  }
+  return rule;
+}
+
+/**
+ * Repeat settings of a task in the task form
+ * Controlled: `value` is the recurrence rule, or null when the task doesn't repeat
+ * Demonstrates: Controlled components, derived state, validation
+ */
+const TaskRecurrenceInput = React.memo(function TaskRecurrenceInput({ value, dueDate, onChange }) {
+  const frequency = value?.frequency || 'none';
+  const isValid = isValidRecurrence(value);
+  const nextDueDate = value && isValid ? getNextDueDate(value, dueDate) : null;
+
+  const handleFrequencyChange = useCallback((event) => {
+    onChange(createRule(event.target.value, dueDate));
+  }, [onChange, dueDate]);
+
+  const toggleWeekday = useCallback((day) => {
+    const current = value.byWeekday || [];
+    const byWeekday = current.includes(day)
+      ? current.filter(d => d !== day)
+      : [...current, day];
+    onChange({ ...value, byWeekday });
+  }, [value, onChange]);
+
+  return (
+    <div className="input-group task-recurrence">
+      <label className="input-label" htmlFor="recurrence">Repeat</label>
+      <div className="recurrence-row">
+        <select
+          id="recurrence"
+          className="input"
+          value={frequency}
+          onChange={handleFrequencyChange}
+        >
+          <option value="none">Does not repeat</option>
+          <option value="daily">Daily</option>
+          <option value="weekly">Weekly</option>
+          <option value="monthly">Monthly</option>
+          <option value="rrule">Custom (RRULE)</option>
+        </select>
+
+        {UNITS[frequency] && (
+          <label className="recurrence-interval">
+            every
+            <input
+              type="number"
+              className="input"
+              min="1"
+              value={value.interval || 1}
+              onChange={(e) => onChange({ ...value, interval: Math.max(1, Number(e.target.value) || 1) })}
+              aria-label="Repeat interval"
+            />
+            {UNITS[frequency]}
+          </label>
+        )}
+      </div>
+
+      {frequency === 'weekly' && (
+        <div className="weekday-picker" role="group" aria-label="Repeat on">
+          {WEEKDAY_ORDER.map(day => (
+            <button
+              key={day}
+              type="button"
+              className={`weekday-toggle ${value.byWeekday?.includes(day) ? 'active' : ''}`}
+              onClick={() => toggleWeekday(day)}
+              aria-pressed={Boolean(value.byWeekday?.includes(day))}
+            >
+              {WEEKDAY_NAMES[day]}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {frequency === 'monthly' && (
+        <select
+          className="input"
+          value={value.byMonthDay === -1 ? 'last' : value.byMonthDay ? 'day' : 'same'}
+          onChange={(e) => onChange(e.target.value === 'last'
+            ? { ...value, byMonthDay: -1 }
+            : { frequency: 'monthly', interval: value.interval })}
+          aria-label="Day of the month"
+        >
+          <option value="same">On the same day as the due date</option>
+          <option value="last">On the last day of the month</option>
+          {/* Later occurrences of a task keep the day of the first one */}
+          {value.byMonthDay > 0 && <option value="day">On day {value.byMonthDay}</option>}
+        </select>
+      )}
+
+      {frequency === 'rrule' && (
+        <input
+          type="text"
+          className={`input ${value.rrule && !isValid ? 'input-error' : ''}`}
+          value={value.rrule}
+          onChange={(e) => onChange({ ...value, rrule: e.target.value })}
+          placeholder="e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH"
+          aria-label="RRULE"
+        />
+      )}
+
+      {value && !isValid && (value.frequency !== 'rrule' || value.rrule) && (
+        <span className="error-message">
+          {frequency === 'weekly'
+            ? 'Pick at least one weekday'
+            : 'Supported: FREQ=DAILY|WEEKLY|MONTHLY with INTERVAL, BYDAY, BYMONTHDAY and UNTIL'}
+        </span>
+      )}
+
+      {value && isValid && (
+        <span className="recurrence-summary">
+          {describeRecurrence(value)}
+          {nextDueDate && ` - once completed, the next one is due ${new Date(`${nextDueDate}T00:00`).toLocaleDateString()}`}
+        </span>
+      )}
+    </div>
+  );
+});
+
+export default TaskRecurrenceInput;
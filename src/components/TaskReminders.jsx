@@ -0,0 +1,179 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import Button from './UI/Button';
+import { isNotEmpty, isFutureDate } from '../utils/validation';
+import { isValidRecurrence, describeRecurrence } from '../utils/recurrence';
+import { useTaskContext } from '../context/TaskContext';
+
+// Minutes a fired reminder is pushed back by
+const SNOOZE_MINUTES = 10;
+
+// Recurrence rule for the repeat select, null when the reminder doesn't repeat
+function buildRecurrence(repeat, cron) {
+  if (repeat === 'none') return null;
+  if (repeat === 'cron') return { frequency: 'cron', cron: cron.trim() };
+  return { frequency: repeat, interval: 1 };
+}
+
+/**
+ * Reminders panel shown on a task card
+ * Demonstrates: Forms handling, validation, derived data with useMemo
+ */
+const TaskReminders = React.memo(function TaskReminders({ taskId }) {
+  const {
+    reminders,
+    handleCreateReminder,
+    handleSnoozeReminder,
+    handleDeleteReminder
+  } = useTaskContext();
+  const [showForm, setShowForm] = useState(false);
+  const [message, setMessage] = useState('');
+  const [reminderTime, setReminderTime] = useState('');
+  const [repeat, setRepeat] = useState('none');
+  const [cron, setCron] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Reminders of this task, soonest first
+  const taskReminders = useMemo(() => (
+    reminders
+      .filter(reminder => reminder.taskId === taskId)
+      .sort((a, b) => new Date(a.reminderTime) - new Date(b.reminderTime))
+  ), [reminders, taskId]);
+
+  const recurrence = buildRecurrence(repeat, cron);
+  const timeHasError = reminderTime !== '' && !isFutureDate(reminderTime);
+  const cronHasError = repeat === 'cron' && cron !== '' && !isValidRecurrence(recurrence);
+  const canSubmit = isNotEmpty(message) && reminderTime !== '' && !timeHasError &&
+    (repeat !== 'cron' || (cron !== '' && !cronHasError));
+
+  const handleSubmit = useCallback(async (event) => {
+    event.preventDefault();
+    if (!canSubmit) return;
+
+    setIsSaving(true);
+    const created = await handleCreateReminder({
+      taskId,
+      message: message.trim(),
+      // datetime-local values are in local time, the server stores ISO strings
+      reminderTime: new Date(reminderTime).toISOString(),
+      recurrence
+    });
+    setIsSaving(false);
+
+    if (created) {
+      setMessage('');
+      setReminderTime('');
+      setRepeat('none');
+      setCron('');
+      setShowForm(false);
+    }
+  }, [canSubmit, handleCreateReminder, taskId, message, reminderTime, recurrence]);
+
+  return (
+    <div className="task-reminders">
+      <div className="subtasks-header">
+        <h4>Reminders</h4>
+        <Button
+          variant="secondary"
+          size="small"
+          onClick={() => setShowForm(!showForm)}
+        >
+          {showForm ? 'Cancel' : 'Add Reminder'}
+        </Button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="reminder-form">
+          <input
+            type="text"
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            placeholder="Reminder message"
+            className="input"
+            aria-label="Reminder message"
+            autoFocus
+          />
+          <input
+            type="datetime-local"
+            value={reminderTime}
+            onChange={(e) => setReminderTime(e.target.value)}
+            className={`input ${timeHasError ? 'input-error' : ''}`}
+            aria-label="Reminder time"
+          />
+          {timeHasError && (
+            <span className="error-message">Reminder time must be in the future</span>
+          )}
+          <select
+            value={repeat}
+            onChange={(e) => setRepeat(e.target.value)}
+            className="input"
+            aria-label="Repeat"
+          >
+            <option value="none">Does not repeat</option>
+            <option value="daily">Every day</option>
+            <option value="weekly">Every week</option>
+            <option value="cron">Custom (cron)</option>
+          </select>
+          {repeat === 'cron' && (
+            <input
+              type="text"
+              value={cron}
+              onChange={(e) => setCron(e.target.value)}
+              placeholder="e.g. 0 9 * * 1-5"
+              className={`input ${cronHasError ? 'input-error' : ''}`}
+              aria-label="Cron expression"
+            />
+          )}
+          {cronHasError && (
+            <span className="error-message">
+              Use five fields: minute hour day-of-month month day-of-week
+            </span>
+          )}
+          <Button type="submit" size="small" disabled={!canSubmit} loading={isSaving}>
+            Save
+          </Button>
+        </form>
+      )}
+
+      {taskReminders.length > 0 && (
+        <ul className="reminders-list">
+          {taskReminders.map(reminder => (
+            <li
+              key={reminder.id}
+              className={`reminder-item ${reminder.isActive ? '' : 'fired'}`}
+            >
+              <div className="reminder-details">
+                <span className="reminder-message">{reminder.message}</span>
+                <span className="reminder-time">
+                  {new Date(reminder.reminderTime).toLocaleString()}
+                  {!reminder.isActive && ` · ${reminder.status}`}
+                </span>
+                {reminder.recurrence && (
+                  <span className="reminder-time">{describeRecurrence(reminder.recurrence)}</span>
+                )}
+              </div>
+              {/* Repeating reminders stay scheduled after firing, so they can be snoozed too */}
+              {(reminder.status === 'fired' || (reminder.recurrence && reminder.lastFiredAt)) && (
+                <Button
+                  variant="secondary"
+                  size="small"
+                  onClick={() => handleSnoozeReminder(reminder.id, SNOOZE_MINUTES)}
+                >
+                  Snooze {SNOOZE_MINUTES}m
+                </Button>
+              )}
+              <button
+                className="subtask-delete"
+                onClick={() => handleDeleteReminder(reminder.id)}
+                aria-label="Delete reminder"
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+});
+
+export default TaskReminders;
@@ -0,0 +1,300 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import useLocalStorage from '../hooks/useLocalStorage';
+import { useTaskContext } from '../context/TaskContext';
+import { parseDateKey, toDateKey, todayKey, addDays, daysBetween, startOfWeek } from '../utils/dates';
+
+// Width of one day in pixels, and days of margin around the tasks, per zoom level
+const SCALES = {
+  day: { label: 'Day', dayWidth: 36, padding: 3 },
+  week: { label: 'Week', dayWidth: 14, padding: 7 },
+  month: { label: 'Month', dayWidth: 4, padding: 31 }
+};
+
+const shiftKey = (key, days) => toDateKey(addDays(parseDateKey(key), days));
+
+// First and last day of a task's bar - a task with one date gets a one-day bar
+function getTaskSpan(task) {
+  const start = (task.startDate || task.dueDate).slice(0, 10);
+  const end = (task.dueDate || task.startDate).slice(0, 10);
+  return { start, end };
+}
+
+// Span after moving one edge (or the whole bar) by `delta` days, never inverted
+function moveSpan({ start, end }, edge, delta) {
+  if (edge === 'start') {
+    const nextStart = shiftKey(start, delta);
+    return { start: nextStart < end ? nextStart : end, end };
+  }
+  if (edge === 'end') {
+    const nextEnd = shiftKey(end, delta);
+    return { start, end: nextEnd > start ? nextEnd : start };
+  }
+  return { start: shiftKey(start, delta), end: shiftKey(end, delta) };
+}
+
+// Date changes for a rescheduled task - a date the task didn't have is only
+// added when its own edge was dragged
+function getDateChanges(task, span, edge) {
+  const changes = {};
+  if ((task.startDate || edge === 'start') && span.start !== task.startDate?.slice(0, 10)) {
+    changes.startDate = span.start;
+  }
+  if ((task.dueDate || edge === 'end') && span.end !== task.dueDate?.slice(0, 10)) {
+    changes.dueDate = span.end;
+  }
+  return changes;
+}
+
+/**
+ * Gantt-style timeline drawing each task as a bar from its start to its due date
+ * Drag a bar's edges to change the start or due date, or the bar itself to
+ * move both; with the keyboard, focus an edge and use the arrow keys.
+ * Demonstrates: useEffect with cleanup, refs, useMemo for layout calculations
+ */
+const TimelineView = React.memo(function TimelineView() {
+  const {
+    tasks,
+    columns,
+    isDoneStatus,
+    handleMoveTask,
+    handleEditTask
+  } = useTaskContext();
+  const [scale, setScale] = useLocalStorage('timelineScale', 'day');
+  const [drag, setDrag] = useState(null);
+  const dragRef = useRef(null);
+
+  const { dayWidth, padding } = SCALES[scale] || SCALES.day;
+  const today = todayKey();
+
+  const scheduledTasks = useMemo(() => (
+    tasks
+      .filter(task => task.startDate || task.dueDate)
+      .map(task => ({ task, span: getTaskSpan(task) }))
+      .sort((a, b) => a.span.start.localeCompare(b.span.start) || a.span.end.localeCompare(b.span.end))
+  ), [tasks]);
+
+  const unscheduledCount = tasks.length - scheduledTasks.length;
+
+  // Visible range: all bars and today, with some margin, starting on a tick
+  const range = useMemo(() => {
+    const starts = [today, ...scheduledTasks.map(({ span }) => span.start)].sort();
+    const ends = [today, ...scheduledTasks.map(({ span }) => span.end)].sort();
+
+    let start = addDays(parseDateKey(starts[0]), -padding);
+    if (scale === 'week') start = startOfWeek(start);
+    if (scale === 'month') start = new Date(start.getFullYear(), start.getMonth(), 1);
+
+    const startKey = toDateKey(start);
+    return { start: startKey, days: daysBetween(startKey, ends[ends.length - 1]) + padding + 1 };
+  }, [scheduledTasks, today, padding, scale]);
+
+  // Header labels: every day, every Monday or every first of the month
+  const ticks = useMemo(() => {
+    const result = [];
+    for (let i = 0; i < range.days; i++) {
+      const day = addDays(parseDateKey(range.start), i);
+      if (scale === 'day') {
+        result.push({ offset: i, label: String(day.getDate()), isMajor: day.getDate() === 1 || i === 0, day });
+      } else if (scale === 'week' && day.getDay() === 1) {
+        result.push({ offset: i, label: day.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) });
+      } else if (scale === 'month' && day.getDate() === 1) {
+        result.push({ offset: i, label: day.toLocaleDateString(undefined, { month: 'short', year: 'numeric' }) });
+      }
+    }
+    return result;
+  }, [range, scale]);
+
+  const reschedule = useCallback((task, edge, delta) => {
+    const changes = getDateChanges(task, moveSpan(getTaskSpan(task), edge, delta), edge);
+    if (Object.keys(changes).length > 0) {
+      handleMoveTask(task.id, changes);
+    }
+  }, [handleMoveTask]);
+
+  // Keep the latest drag available to the window listeners
+  useEffect(() => {
+    dragRef.current = drag;
+  }, [drag]);
+
+  const isDragging = Boolean(drag);
+
+  // Follow the pointer on the window while dragging - cleanup removes listeners
+  useEffect(() => {
+    if (!isDragging) return;
+
+    function handlePointerMove(event) {
+      const current = dragRef.current;
+      const delta = Math.round((event.clientX - current.originX) / dayWidth);
+      if (delta !== current.delta) {
+        setDrag({ ...current, delta });
+      }
+    }
+
+    function handlePointerUp() {
+      const { task, edge, delta } = dragRef.current;
+      setDrag(null);
+      if (delta !== 0) reschedule(task, edge, delta);
+    }
+
+    // The browser took the pointer over (e.g. to scroll), so the drag doesn't count
+    function handlePointerCancel() {
+      setDrag(null);
+    }
+
+    function handleKeyDown(event) {
+      if (event.key === 'Escape') {
+        event.stopPropagation();
+        setDrag(null);
+      }
+    }
+
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+    window.addEventListener('pointercancel', handlePointerCancel);
+    window.addEventListener('keydown', handleKeyDown, true);
+
+    return () => {
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerUp);
+      window.removeEventListener('pointercancel', handlePointerCancel);
+      window.removeEventListener('keydown', handleKeyDown, true);
+    };
+  }, [isDragging, dayWidth, reschedule]);
+
+  const startDrag = useCallback((event, task, edge) => {
+    if (event.button !== 0) return;
+    event.preventDefault();
+    event.stopPropagation();
+    setDrag({ task, edge, originX: event.clientX, delta: 0 });
+  }, []);
+
+  const handleEdgeKeyDown = useCallback((event, task, edge) => {
+    if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+      event.preventDefault();
+      reschedule(task, edge, event.key === 'ArrowLeft' ? -1 : 1);
+    }
+  }, [reschedule]);
+
+  const trackWidth = range.days * dayWidth;
+  const columnColors = Object.fromEntries(columns.map(column => [column.id, column.color]));
+
+  return (
+    <div className="timeline-view">
+      <div className="table-toolbar">
+        <div className="view-switcher" role="group" aria-label="Timeline scale">
+          {Object.entries(SCALES).map(([id, option]) => (
+            <button
+              key={id}
+              type="button"
+              className={`view-switcher-option ${scale === id ? 'active' : ''}`}
+              onClick={() => setScale(id)}
+              aria-pressed={scale === id}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <span className="table-hint">Drag the ends of a bar to change its dates, or the bar to move it</span>
+      </div>
+
+      <div className={`timeline ${drag ? 'dragging' : ''}`}>
+        <div className="timeline-labels">
+          <div className="timeline-header-spacer" />
+          {scheduledTasks.map(({ task }) => (
+            <button
+              key={task.id}
+              type="button"
+              className="timeline-label"
+              onClick={() => handleEditTask(task)}
+              title={task.title}
+            >
+              {task.title}
+            </button>
+          ))}
+        </div>
+
+        <div className="timeline-scroll">
+          <div className="timeline-track" style={{ width: trackWidth }}>
+            <div className="timeline-header">
+              {ticks.map(tick => (
+                <span
+                  key={tick.offset}
+                  className={`timeline-tick ${tick.isMajor ? 'major' : ''}`}
+                  style={{ left: tick.offset * dayWidth, width: scale === 'day' ? dayWidth : undefined }}
+                >
+                  {tick.isMajor && (
+                    <span className="timeline-month">
+                      {tick.day.toLocaleDateString(undefined, { month: 'short', year: 'numeric' })}
+                    </span>
+                  )}
+                  {tick.label}
+                </span>
+              ))}
+            </div>
+
+            <div
+              className="timeline-today"
+              style={{ left: (daysBetween(range.start, today) + 0.5) * dayWidth }}
+              title="Today"
+            />
+
+            {scheduledTasks.map(({ task, span }) => {
+              const isActive = drag?.task.id === task.id;
+              const shown = isActive ? moveSpan(span, drag.edge, drag.delta) : span;
+              const isDone = isDoneStatus(task.status);
+              const isOverdue = !isDone && task.dueDate && task.dueDate.slice(0, 10) < today;
+
+              return (
+                <div key={task.id} className="timeline-row">
+                  <div
+                    className={`timeline-bar ${isOverdue ? 'overdue' : ''} ${isDone ? 'done' : ''} ${isActive ? 'active' : ''}`}
+                    style={{
+                      left: daysBetween(range.start, shown.start) * dayWidth,
+                      width: (daysBetween(shown.start, shown.end) + 1) * dayWidth,
+                      backgroundColor: columnColors[task.status]
+                    }}
+                    onPointerDown={(e) => startDrag(e, task, 'move')}
+                    title={`${task.title}: ${parseDateKey(shown.start).toLocaleDateString()} – ${parseDateKey(shown.end).toLocaleDateString()}`}
+                  >
+                    <span
+                      className="timeline-handle start"
+                      role="button"
+                      tabIndex={0}
+                      aria-label={`Start of "${task.title}", ${shown.start}. Use the arrow keys to change it`}
+                      onPointerDown={(e) => startDrag(e, task, 'start')}
+                      onKeyDown={(e) => handleEdgeKeyDown(e, task, 'start')}
+                    />
+                    <span className="timeline-bar-title">{task.title}</span>
+                    <span
+                      className="timeline-handle end"
+                      role="button"
+                      tabIndex={0}
+                      aria-label={`Due date of "${task.title}", ${shown.end}. Use the arrow keys to change it`}
+                      onPointerDown={(e) => startDrag(e, task, 'end')}
+                      onKeyDown={(e) => handleEdgeKeyDown(e, task, 'end')}
+                    />
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+
+      {scheduledTasks.length === 0 && (
+        <div className="empty-state">
+          <h3>Nothing scheduled</h3>
+          <p>Give tasks a start or due date to see them on the timeline</p>
+        </div>
+      )}
+
+      {unscheduledCount > 0 && scheduledTasks.length > 0 && (
+        <p className="calendar-unscheduled">
+          {unscheduledCount} {unscheduledCount === 1 ? 'task has' : 'tasks have'} no dates and {unscheduledCount === 1 ? 'is' : 'are'} not shown
+        </p>
+      )}
+    </div>
+  );
+});
+
+export default TimelineView;
@@ -0,0 +1,71 @@
+import React, { useState, useRef, useCallback } from 'react';
+
+/**
+ * Reusable FileDropzone component - drop files on it or click to browse
+ * Demonstrates: Component composition, refs, drag and drop events
+ */
+const FileDropzone = React.memo(function FileDropzone({
+  onFiles,
+  accept,
+  disabled = false,
+  children,
+  className = ''
+}) {
+  const [isDragOver, setIsDragOver] = useState(false);
+  const inputRef = useRef(null);
+
+  const handleFiles = useCallback((fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length > 0 && !disabled) {
+      onFiles(files);
+    }
+  }, [onFiles, disabled]);
+
+  const handleDragOver = useCallback((event) => {
+    event.preventDefault();
+    setIsDragOver(true);
+  }, []);
+
+  const handleDrop = useCallback((event) => {
+    event.preventDefault();
+    setIsDragOver(false);
+    handleFiles(event.dataTransfer.files);
+  }, [handleFiles]);
+
+  const handleInputChange = useCallback((event) => {
+    handleFiles(event.target.files);
+    // Allow picking the same file again
+    event.target.value = '';
+  }, [handleFiles]);
+
+  return (
+    <div
+      className={`file-dropzone ${isDragOver ? 'drag-over' : ''} ${disabled ? 'disabled' : ''} ${className}`}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsDragOver(false)}
+      onDrop={handleDrop}
+      onClick={() => !disabled && inputRef.current?.click()}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          if (!disabled) inputRef.current?.click();
+        }
+      }}
+      role="button"
+      tabIndex={disabled ? -1 : 0}
+      aria-disabled={disabled}
+    >
+      <input
+        ref={inputRef}
+        type="file"
+        multiple
+        accept={accept}
+        onChange={handleInputChange}
+        hidden
+      />
+      {children}
+    </div>
+  );
+});
+
+export default FileDropzone;
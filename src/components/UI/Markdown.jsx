@@ -0,0 +1,65 @@
+import React, { useMemo } from 'react';
+import { parseMarkdown } from '../../utils/markdown';
+
+function renderInline(nodes) {
+  return nodes.map((node, index) => {
+    switch (node.type) {
+      case 'strong':
+        return <strong key={index}>{renderInline(node.children)}</strong>;
+      case 'em':
+        return <em key={index}>{renderInline(node.children)}</em>;
+      case 'code':
+        return <code key={index}>{node.text}</code>;
+      case 'link':
+        return (
+          <a key={index} href={node.href} target="_blank" rel="noopener noreferrer">
+            {renderInline(node.children)}
+          </a>
+        );
+      case 'mention':
+        return <span key={index} className="mention">@{node.name}</span>;
+      case 'br':
+        return <br key={index} />;
+      default:
+        return node.text;
+    }
+  });
+}
+
+/**
+ * Reusable Markdown component - renders the comment Markdown subset safely
+ * Demonstrates: Component composition, useMemo for derived data
+ */
+const Markdown = React.memo(function Markdown({ source, mentionNames = [], className = '' }) {
+  const blocks = useMemo(
+    () => parseMarkdown(source, mentionNames),
+    [source, mentionNames]
+  );
+
+  return (
+    <div className={`markdown ${className}`}>
+      {blocks.map((block, index) => {
+        switch (block.type) {
+          case 'codeBlock':
+            return <pre key={index}><code>{block.text}</code></pre>;
+          case 'list': {
+            const List = block.ordered ? 'ol' : 'ul';
+            return (
+              <List key={index}>
+                {block.items.map((item, itemIndex) => (
+                  <li key={itemIndex}>{renderInline(item)}</li>
+                ))}
+              </List>
+            );
+          }
+          case 'quote':
+            return <blockquote key={index}>{renderInline(block.children)}</blockquote>;
+          default:
+            return <p key={index}>{renderInline(block.children)}</p>;
+        }
+      })}
+    </div>
+  );
+});
+
+export default Markdown;
@@ -0,0 +1,44 @@
+import React from 'react';
+
+/**
+ * Toast notification, optionally with an action button ({ label, onClick })
+ * that dismisses the toast when clicked
+ * Demonstrates: Simple reusable component
+ */
+const Toast = React.memo(function Toast({
+  id,
+  title,
+  message,
+  variant = 'info',
+  action,
+  onDismiss
+}) {
+  return (
+    <div className={`toast toast-${variant}`} role="status">
+      <div className="toast-body">
+        {title && <strong className="toast-title">{title}</strong>}
+        {message && <p className="toast-message">{message}</p>}
+      </div>
+      {action && (
+        <button
+          className="toast-action"
+          onClick={() => {
+            onDismiss(id);
+            action.onClick();
+          }}
+        >
+          {action.label}
+        </button>
+      )}
+      <button
+        className="toast-close"
+        onClick={() => onDismiss(id)}
+        aria-label="Dismiss notification"
+      >
+        ×
+      </button>
+    </div>
+  );
+});
+
+export default Toast;
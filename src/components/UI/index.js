@@ -6,6 +6,9 @@ import Checkbox from './Checkbox';
 import Radio from './Radio';
 import LoadingSpinner from './LoadingSpinner';
 import Modal from './Modal';
+import Toast from './Toast';
+import Markdown from './Markdown';
+import FileDropzone from './FileDropzone';
 
 export {
   Button,
@@ -15,5 +18,8 @@ export {
   Checkbox,
   Radio,
   LoadingSpinner,
-  Modal
+  Modal,
+  Toast,
+  Markdown,
+  FileDropzone
 };
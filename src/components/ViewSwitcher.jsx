@@ -0,0 +1,36 @@
+import React from 'react';
+import { useTaskContext } from '../context/TaskContext';
+
+const VIEWS = [
+  { id: 'kanban', label: 'Board' },
+  { id: 'calendar', label: 'Calendar' },
+  { id: 'table', label: 'Table' },
+  { id: 'timeline', label: 'Timeline' },
+  { id: 'archive', label: 'Archive' }
+];
+
+/**
+ * View switcher shown in the header - the choice is kept in localStorage
+ * Demonstrates: Context consumption, accessible toggle buttons
+ */
+const ViewSwitcher = React.memo(function ViewSwitcher() {
+  const { viewMode, setViewMode } = useTaskContext();
+
+  return (
+    <div className="view-switcher" role="group" aria-label="View">
+      {VIEWS.map(view => (
+        <button
+          key={view.id}
+          type="button"
+          className={`view-switcher-option ${viewMode === view.id ? 'active' : ''}`}
+          onClick={() => setViewMode(view.id)}
+          aria-pressed={viewMode === view.id}
+        >
+          {view.label}
+        </button>
+      ))}
+    </div>
+  );
+});
+
+export default ViewSwitcher;
@@ -0,0 +1,75 @@
+import React, { createContext, useState, useEffect, useCallback, useContext } from 'react';
+import {
+  fetchCurrentUser,
+  loginUser,
+  registerUser,
+  logoutUser,
+  setUnauthorizedHandler
+} from '../utils/api';
+
+// Create the context
+const AuthContext = createContext();
+
+// Custom hook to use the auth context
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
+
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [isCheckingSession, setIsCheckingSession] = useState(true);
+
+  // Any 401 from the API means the session is gone - back to the login screen
+  useEffect(() => {
+    setUnauthorizedHandler(() => setUser(null));
+    return () => setUnauthorizedHandler(null);
+  }, []);
+
+  // Restore an existing session on load
+  useEffect(() => {
+    fetchCurrentUser()
+      .then(setUser)
+      .catch(() => setUser(null))
+      .finally(() => setIsCheckingSession(false));
+  }, []);
+
+  const login = useCallback(async (credentials) => {
+    const signedInUser = await loginUser(credentials);
+    setUser(signedInUser);
+    return signedInUser;
+  }, []);
+
+  const register = useCallback(async (userData) => {
+    const newUser = await registerUser(userData);
+    setUser(newUser);
+    return newUser;
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await logoutUser();
+    } finally {
+      setUser(null);
+    }
+  }, []);
+
+  const contextValue = {
+    user,
+    isCheckingSession,
+    login,
+    register,
+    logout
+  };
+
+  return (
+    <AuthContext.Provider value={contextValue}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export default AuthContext;
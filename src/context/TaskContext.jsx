@@ -1,6 +1,168 @@
-import React, { createContext, useState, useEffect, useCallback, useMemo, useContext } from 'react';
+import React, { createContext, useState, useEffect, useCallback, useMemo, useContext, useRef } from 'react';
 import useLocalStorage from '../hooks/useLocalStorage';
-import { fetchTasks, createTask, updateTask } from '../utils/api';
+import useReminderEvents from '../hooks/useReminderEvents';
+import useServerEvents from '../hooks/useServerEvents';
+import useUndoHistory from '../hooks/useUndoHistory';
+import { useToast } from './ToastContext';
+import { useAuth } from './AuthContext';
+import {
+  fetchBoards,
+  createBoard,
+  updateBoard,
+  deleteBoard,
+  fetchTasks,
+  fetchTask,
+  createTask,
+  updateTask,
+  deleteTask,
+  restoreTask,
+  updateSubtask,
+  bulkTaskAction,
+  reorderTask,
+  fetchColumns,
+  createColumn,
+  updateColumn,
+  deleteColumn,
+  fetchReminders,
+  fetchUsers,
+  fetchStats,
+  fetchViews,
+  createView,
+  updateView,
+  deleteView,
+  uploadAttachments,
+  deleteAttachment,
+  createReminder,
+  snoozeReminder,
+  deleteReminder
+} from '../utils/api';
+import { rankBetween } from '../utils/ranking';
+import { getOpenBlockers } from '../utils/dependencies';
+import { tryParseSearchQuery } from '../utils/searchQuery';
+import { matchesTaskFilters } from '../utils/taskQuery';
+import { getChangedFields, hasFieldValues } from '../utils/taskConflicts';
+import {
+  DEFAULT_FILTERS,
+  normalizeFilters,
+  filtersToSearchParams,
+  filtersFromSearchParams
+} from '../utils/viewFilters';
+
+// Tasks fetched per board column at a time
+const TASK_PAGE_SIZE = 25;
+
+// Delay before refreshing the statistics after live changes, so a burst of
+// changes causes a single request
+const STATS_REFRESH_DELAY = 500;
+
+// localStorage key of each board filter
+const FILTER_STORAGE_KEYS = {
+  search: 'taskSearch',
+  status: 'statusFilter',
+  priority: 'priorityFilter',
+  sortBy: 'taskSortBy',
+  sortOrder: 'taskSortOrder'
+};
+
+// Board filters of a shared link, falling back to the ones remembered from the last visit
+function readInitialFilters() {
+  const stored = {};
+  Object.entries(FILTER_STORAGE_KEYS).forEach(([key, storageKey]) => {
+    try {
+      const item = window.localStorage.getItem(storageKey);
+      if (item) stored[key] = JSON.parse(item);
+    } catch (error) {
+      console.error(`Error reading localStorage key "${storageKey}":`, error);
+    }
+  });
+
+  return normalizeFilters({
+    ...stored,
+    ...filtersFromSearchParams(new URLSearchParams(window.location.search))
+  });
+}
+
+// Remember the board filters and show them in the URL, so the board can be linked
+function storeFilters(filters) {
+  Object.entries(FILTER_STORAGE_KEYS).forEach(([key, storageKey]) => {
+    try {
+      window.localStorage.setItem(storageKey, JSON.stringify(filters[key]));
+    } catch (error) {
+      console.error(`Error setting localStorage key "${storageKey}":`, error);
+    }
+  });
+
+  const query = filtersToSearchParams(filters).toString();
+  const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+  window.history.replaceState(window.history.state, '', url);
+}
+
+// Query for one page of a board column's tasks
+function getTaskPageParams(boardId, status, query, cursor) {
+  return {
+    boardId,
+    status,
+    search: query.search.trim(),
+    priority: query.priority === 'all' ? '' : query.priority,
+    sort: query.sortBy,
+    order: query.sortOrder,
+    limit: TASK_PAGE_SIZE,
+    cursor
+  };
+}
+
+// The current values of some fields of a task, to restore them later
+function pickFields(task, fields) {
+  return Object.fromEntries(fields.map(field => [field, task[field] ?? null]));
+}
+
+// Task fields a bulk update changes, by the key in its changes
+const BULK_CHANGE_FIELDS = {
+  status: ['status', 'rank'],
+  priority: ['priority'],
+  assignee: ['assignee'],
+  addTags: ['tags'],
+  removeTags: ['tags'],
+  archived: ['archived']
+};
+
+// Whether a key press goes to a field that handles its own undo
+function isTextEntry(element) {
+  return element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName);
+}
+
+// Runs a status change; when the server refuses because of open blockers, asks
+// whether to move the task anyway. Resolves to null when the user declines.
+async function withBlockerOverride(request) {
+  try {
+    return await request({});
+  } catch (error) {
+    if (error.data?.code !== 'TASK_BLOCKED') throw error;
+
+    const titles = error.data.blockers.map(blocker => `- ${blocker.title}`).join('\n');
+    if (!window.confirm(`This task is blocked by:\n${titles}\n\nMove it anyway?`)) {
+      return null;
+    }
+    return request({ ignoreBlockers: true });
+  }
+}
+
+// Runs a bulk action; when the server refuses only because some of the tasks
+// are blocked, asks whether to move them anyway. Resolves to null when the
+// user declines.
+async function withBulkBlockerOverride(request) {
+  try {
+    return await request({});
+  } catch (error) {
+    const failed = error.data?.results?.filter(result => !result.ok) || [];
+    if (failed.length === 0 || failed.some(result => result.code !== 'TASK_BLOCKED')) throw error;
+
+    if (!window.confirm(`${failed.length} of the selected tasks are blocked by open tasks.\n\nMove them anyway?`)) {
+      return null;
+    }
+    return request({ ignoreBlockers: true });
+  }
+}
 
 // Create the context
 const TaskContext = createContext();
@@ -16,117 +178,569 @@ export const useTaskContext = () => {
 
 export const TaskProvider = ({ children }) => {
   // State management
+  const [boards, setBoards] = useState([]);
   const [tasks, setTasks] = useState([]);
+  const [columns, setColumns] = useState([]);
+  const [reminders, setReminders] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [views, setViews] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  // Field errors of the task form's last submission, as reported by the server
+  const [formErrors, setFormErrors] = useState({});
+  // Edit refused because someone else saved the task first:
+  // { base, changes, serverTask }, see saveTaskEdit
+  const [taskConflict, setTaskConflict] = useState(null);
+  // Paging state per column of the board: { nextCursor, total, fetched, isLoading },
+  // null while every task of the board is loaded
+  const [columnPages, setColumnPages] = useState(null);
+  const [boardStats, setBoardStats] = useState(null);
 
   // Local storage for user preferences
   const [viewMode, setViewMode] = useLocalStorage('viewMode', 'kanban');
+  const [currentBoardId, setCurrentBoardId] = useLocalStorage('currentBoardId', null);
   const [lastRefresh, setLastRefresh] = useLocalStorage('lastRefresh', null);
 
-  // Auto-refresh timer state
-  const [autoRefresh, setAutoRefresh] = useState(false);
+  // Board filters and sorting
+  const [filters, setFilters] = useState(readInitialFilters);
+  const { search: searchTerm, status: statusFilter, priority: priorityFilter, sortBy, sortOrder } = filters;
+  const [debouncedSearch, setDebouncedSearch] = useState(searchTerm);
+
+  const { showToast } = useToast();
+  const { user } = useAuth();
+
+  // Undo/redo of the user's own task changes, kept per board
+  const {
+    record: recordUndo,
+    undo,
+    redo,
+    clear: clearHistory,
+    undoLabel,
+    redoLabel
+  } = useUndoHistory();
+
+  // Components holding their own server data (like comments) listen to live events here
+  const serverEventListenersRef = useRef(new Set());
+
+  const subscribeToServerEvents = useCallback((listener) => {
+    serverEventListenersRef.current.add(listener);
+    return () => serverEventListenersRef.current.delete(listener);
+  }, []);
+
+  // Only the most recent load may update state, e.g. after quickly switching boards
+  const latestLoadRef = useRef(0);
+  // Query the loaded tasks were fetched with
+  const loadedQueryRef = useRef(null);
+  const statsTimerRef = useRef(null);
 
   // Fetch tasks on component mount and when dependencies change
   useEffect(() => {
     loadTasks();
+  }, [currentBoardId]);
+
+  useEffect(() => {
+    storeFilters(filters);
+  }, [filters]);
+
+  const updateFilters = useCallback((changes) => {
+    setFilters(prevFilters => ({ ...prevFilters, ...changes }));
+  }, []);
+
+  const clearFilters = useCallback(() => {
+    setFilters(DEFAULT_FILTERS);
   }, []);
 
-  // Auto-refresh effect - demonstrates useEffect with cleanup
+  // Debounced search - the server is only asked again once typing pauses
   useEffect(() => {
-    if (!autoRefresh) return;
+    const timer = setTimeout(() => {
+      setDebouncedSearch(searchTerm);
+    }, 300);
 
-    const interval = setInterval(() => {
-      loadTasks();
-    }, 30000); // Refresh every 30 seconds
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
 
-    return () => {
-      clearInterval(interval);
+  // The search box takes queries like `tag:react is:overdue`; an invalid query
+  // is reported and doesn't filter anything until it is fixed
+  const { query: searchQuery, error: searchError } = useMemo(() => (
+    tryParseSearchQuery(searchTerm)
+  ), [searchTerm]);
+
+  // The board fetches its columns a page at a time, filtered and sorted by the
+  // server; the other views need every task of the board
+  const pageQuery = useMemo(() => {
+    if (viewMode !== 'kanban') return null;
+
+    const search = tryParseSearchQuery(debouncedSearch).error ? '' : debouncedSearch;
+    return { search, status: statusFilter, priority: priorityFilter, sortBy, sortOrder };
+  }, [viewMode, debouncedSearch, statusFilter, priorityFilter, sortBy, sortOrder]);
+
+  // All tasks of a board, or the first page of each of its (shown) columns
+  const fetchBoardTasks = useCallback(async (boardId, boardColumns) => {
+    if (!pageQuery) {
+      return { tasks: await fetchTasks({ boardId }), pages: null };
+    }
+
+    const shownColumns = boardColumns.filter(column => (
+      pageQuery.status === 'all' || column.id === pageQuery.status
+    ));
+    const results = await Promise.all(shownColumns.map(column => (
+      fetchTasks(getTaskPageParams(boardId, column.id, pageQuery))
+    )));
+
+    return {
+      tasks: results.flatMap(page => page.tasks),
+      pages: Object.fromEntries(shownColumns.map((column, index) => [column.id, {
+        nextCursor: results[index].nextCursor,
+        total: results[index].total,
+        fetched: results[index].tasks.length,
+        isLoading: false
+      }]))
     };
-  }, [autoRefresh]);
+  }, [pageQuery]);
 
-  // Memoized task statistics
-  const taskStats = useMemo(() => {
-    const total = tasks.length;
-    const completed = tasks.filter(t => t.status === 'completed').length;
-    const inProgress = tasks.filter(t => t.status === 'in-progress').length;
-    const overdue = tasks.filter(t => {
-      if (!t.dueDate || t.status === 'completed') return false;
-      return new Date(t.dueDate) < new Date();
-    }).length;
+  // Statuses of the workflow columns flagged as "done"
+  const doneStatuses = useMemo(() => (
+    columns.filter(column => column.isDone).map(column => column.id)
+  ), [columns]);
+
+  const isDoneStatus = useCallback((status) => (
+    doneStatuses.includes(status)
+  ), [doneStatuses]);
+
+  const tasksById = useMemo(() => new Map(tasks.map(task => [task.id, task])), [tasks]);
+
+  // Loaded tasks that block a task and aren't done yet
+  const getTaskBlockers = useCallback((task) => (
+    getOpenBlockers(task, id => tasksById.get(id), doneStatuses)
+  ), [tasksById, doneStatuses]);
+
+  // Whether a loaded task matches the board's search and filters - the same
+  // check the server applies when fetching pages
+  const matchesFilters = useCallback((task) => (
+    matchesTaskFilters(task, { query: searchQuery, status: statusFilter, priority: priorityFilter }, {
+      columns,
+      doneStatuses,
+      findTask: id => tasksById.get(id),
+      currentUserName: user.name
+    })
+  ), [searchQuery, statusFilter, priorityFilter, columns, doneStatuses, tasksById, user.name]);
 
+  // Memoized task statistics of the whole board - counted by the server, as the
+  // board may only have loaded some of its tasks
+  const taskStats = useMemo(() => {
+    const { total = 0, completed = 0, overdue = 0 } = boardStats || {};
+    const open = total - completed;
     const completionRate = total > 0 ? Math.round((completed / total) * 100) : 0;
 
-    return { total, completed, inProgress, overdue, completionRate };
-  }, [tasks]);
+    return { total, completed, open, overdue, completionRate };
+  }, [boardStats]);
+
+  const refreshStats = useCallback(() => {
+    clearTimeout(statsTimerRef.current);
+    statsTimerRef.current = setTimeout(async () => {
+      try {
+        setBoardStats(await fetchStats(currentBoardId));
+      } catch {
+        // Keep showing the previous numbers until the next change or reload
+      }
+    }, STATS_REFRESH_DELAY);
+  }, [currentBoardId]);
+
+  useEffect(() => () => clearTimeout(statsTimerRef.current), []);
 
-  // Load tasks function with error handling
+  // Load tasks of the current board with error handling
   const loadTasks = useCallback(async () => {
+    const loadId = ++latestLoadRef.current;
     setIsLoading(true);
     setError(null);
 
     try {
-      const fetchedTasks = await fetchTasks();
-      setTasks(fetchedTasks);
+      const [fetchedBoards, fetchedColumns] = await Promise.all([fetchBoards(), fetchColumns()]);
+      // Fall back to the first board when the remembered one is gone
+      const boardId = fetchedBoards.some(board => board.id === currentBoardId)
+        ? currentBoardId
+        : fetchedBoards[0]?.id;
+
+      const [boardTasks, fetchedStats, fetchedReminders, fetchedUsers, fetchedViews] = await Promise.all([
+        fetchBoardTasks(boardId, fetchedColumns),
+        fetchStats(boardId),
+        fetchReminders(),
+        fetchUsers(),
+        fetchViews()
+      ]);
+      if (loadId !== latestLoadRef.current) return;
+
+      if (boardId !== currentBoardId) {
+        setCurrentBoardId(boardId);
+      }
+      loadedQueryRef.current = pageQuery;
+      setBoards(fetchedBoards);
+      setTasks(boardTasks.tasks);
+      setColumnPages(boardTasks.pages);
+      setBoardStats(fetchedStats);
+      setColumns(fetchedColumns);
+      setReminders(fetchedReminders);
+      setUsers(fetchedUsers);
+      setViews(fetchedViews);
       setLastRefresh(new Date().toISOString());
     } catch (error) {
       setError({
         message: error.message || 'Failed to load tasks'
       });
     } finally {
-      setIsLoading(false);
+      if (loadId === latestLoadRef.current) {
+        setIsLoading(false);
+      }
     }
-  }, [setLastRefresh]);
+  }, [currentBoardId, pageQuery, fetchBoardTasks, setCurrentBoardId, setLastRefresh]);
 
-  // Optimistic task creation
-  const handleCreateTask = useCallback(async (taskData) => {
-    setIsSubmitting(true);
+  // Refetch just the tasks when the board's filters or sorting change, or when
+  // switching between the board and the other views
+  useEffect(() => {
+    if (loadedQueryRef.current === pageQuery || columns.length === 0) return;
+
+    const loadId = ++latestLoadRef.current;
+    loadedQueryRef.current = pageQuery;
+
+    fetchBoardTasks(currentBoardId, columns)
+      .then(boardTasks => {
+        if (loadId !== latestLoadRef.current) return;
+        setTasks(boardTasks.tasks);
+        setColumnPages(boardTasks.pages);
+      })
+      .catch(error => {
+        setError({
+          message: error.message || 'Failed to load tasks'
+        });
+      })
+      .finally(() => {
+        // This may have replaced a full reload that was still running
+        if (loadId === latestLoadRef.current) {
+          setIsLoading(false);
+        }
+      });
+  }, [pageQuery, columns, currentBoardId, fetchBoardTasks]);
+
+  // Fetch the next page of a board column
+  const loadMoreTasks = useCallback(async (status) => {
+    const page = columnPages?.[status];
+    if (!pageQuery || !page?.nextCursor || page.isLoading) return;
+
+    const loadId = latestLoadRef.current;
+    const setPage = (changes) => setColumnPages(prevPages => (
+      prevPages && { ...prevPages, [status]: { ...prevPages[status], ...changes } }
+    ));
+    setPage({ isLoading: true });
 
     try {
-      const newTask = await createTask(taskData);
-      setTasks(prevTasks => [newTask, ...prevTasks]);
-      setShowCreateModal(false);
+      const result = await fetchTasks(getTaskPageParams(currentBoardId, status, pageQuery, page.nextCursor));
+      if (loadId !== latestLoadRef.current) return;
+
+      // Live updates may have added some of them already
+      setTasks(prevTasks => {
+        const loadedIds = new Set(prevTasks.map(task => task.id));
+        return [...prevTasks, ...result.tasks.filter(task => !loadedIds.has(task.id))];
+      });
+      setPage({
+        nextCursor: result.nextCursor,
+        total: result.total,
+        fetched: page.fetched + result.tasks.length,
+        isLoading: false
+      });
+    } catch (error) {
+      setPage({ isLoading: false });
+      setError({
+        message: error.message || 'Failed to load more tasks'
+      });
+    }
+  }, [columnPages, pageQuery, currentBoardId]);
+
+  // Board management
+  const handleSwitchBoard = useCallback((boardId) => {
+    if (boardId === currentBoardId) return;
+    setTasks([]);
+    setCurrentBoardId(boardId);
+  }, [currentBoardId, setCurrentBoardId]);
+
+  const handleCreateBoard = useCallback(async (name) => {
+    try {
+      const newBoard = await createBoard({ name });
+      setBoards(prevBoards => [...prevBoards, newBoard]);
+      handleSwitchBoard(newBoard.id);
+    } catch (error) {
+      setError({
+        message: error.message || 'Failed to create board'
+      });
+    }
+  }, [handleSwitchBoard]);
+
+  const handleRenameBoard = useCallback(async (boardId, name) => {
+    try {
+      const updatedBoard = await updateBoard(boardId, { name });
+      setBoards(prevBoards =>
+        prevBoards.map(board => board.id === boardId ? updatedBoard : board)
+      );
     } catch (error) {
       setError({
-        message: error.message || 'Failed to create task'
+        message: error.message || 'Failed to rename board'
       });
+    }
+  }, []);
+
+  // The server deletes the board's tasks too; the current board falls back to the first one
+  const handleDeleteBoard = useCallback(async (boardId) => {
+    try {
+      await deleteBoard(boardId);
+      const remainingBoards = boards.filter(board => board.id !== boardId);
+      setBoards(remainingBoards);
+      if (boardId === currentBoardId) {
+        handleSwitchBoard(remainingBoards[0]?.id);
+      }
+    } catch (error) {
+      setError({
+        message: error.message || 'Failed to delete board'
+      });
+    }
+  }, [boards, currentBoardId, handleSwitchBoard]);
+
+  // Saved views - named board filters, optionally shared with teammates
+  const upsertView = useCallback((view) => {
+    setViews(prevViews => (
+      prevViews.some(v => v.id === view.id)
+        ? prevViews.map(v => v.id === view.id ? view : v)
+        : [...prevViews, view]
+    ));
+  }, []);
+
+  const handleApplyView = useCallback((view) => {
+    setFilters(normalizeFilters(view.filters));
+  }, []);
+
+  // Saves the board's current filters under a new name
+  const handleCreateView = useCallback(async ({ name, shared }) => {
+    try {
+      upsertView(await createView({ name, shared, filters }));
+    } catch (error) {
+      setError({
+        message: error.message || 'Failed to save view'
+      });
+    }
+  }, [filters, upsertView]);
+
+  const handleUpdateView = useCallback(async (viewId, changes) => {
+    try {
+      upsertView(await updateView(viewId, changes));
+    } catch (error) {
+      setError({
+        message: error.message || 'Failed to update view'
+      });
+    }
+  }, [upsertView]);
+
+  const handleDeleteView = useCallback(async (viewId) => {
+    try {
+      await deleteView(viewId);
+      setViews(prevViews => prevViews.filter(view => view.id !== viewId));
+    } catch (error) {
+      setError({
+        message: error.message || 'Failed to delete view'
+      });
+    }
+  }, []);
+
+  // Failed task form submission: field errors are shown next to their inputs,
+  // anything else in the error banner
+  const handleTaskFormError = useCallback((error, fallbackMessage) => {
+    if (error.data?.code === 'VALIDATION_FAILED') {
+      setFormErrors(error.data.fields);
+    } else {
+      setError({
+        message: error.message || fallbackMessage
+      });
+    }
+  }, []);
+
+  // Handle task deletion - the server removes the task's reminders as well
+  const handleTaskDelete = useCallback((taskId) => {
+    setTasks(prevTasks => prevTasks.filter(task => task.id !== taskId));
+    setReminders(prevReminders => prevReminders.filter(r => r.taskId !== taskId));
+  }, []);
+
+  // Puts a task the server returned on the board, or takes it off when it
+  // belongs to another board or was archived
+  const showServerTask = useCallback((task) => {
+    setTasks(prevTasks => {
+      if (task.boardId !== currentBoardId || task.archived) {
+        return prevTasks.filter(t => t.id !== task.id);
+      }
+      return prevTasks.some(t => t.id === task.id)
+        ? prevTasks.map(t => t.id === task.id ? task : t)
+        : [task, ...prevTasks];
+    });
+  }, [currentBoardId]);
+
+  // Deleted tasks stay on the server, so undoing a delete restores them
+  const removeTask = useCallback(async (taskId) => {
+    await deleteTask(taskId);
+    handleTaskDelete(taskId);
+  }, [handleTaskDelete]);
+
+  const restoreRemovedTask = useCallback(async (taskId) => {
+    showServerTask(await restoreTask(taskId));
+  }, [showServerTask]);
+
+  // Records a change of some fields of one or more tasks as a single step -
+  // each of `changes` is { taskId, before, after } with the fields' old and
+  // new values. Undo and redo only go through while every task still has the
+  // values they start from, so changes made by others since are never overwritten.
+  const recordTaskChanges = useCallback((label, changes) => {
+    const apply = async (expectedKey, valuesKey) => {
+      const currentTasks = await Promise.all(changes.map(change => fetchTask(change.taskId)));
+      const changedTask = currentTasks.find((task, index) => !hasFieldValues(task, changes[index][expectedKey]));
+      if (changedTask) {
+        throw new Error(`"${changedTask.title}" was changed by someone else since`);
+      }
+
+      const updatedTasks = await Promise.all(changes.map((change, index) => (
+        updateTask(change.taskId, change[valuesKey], { version: currentTasks[index].version, ignoreBlockers: true })
+      )));
+      updatedTasks.forEach(showServerTask);
+    };
+
+    return recordUndo({
+      label,
+      undo: () => apply('after', 'before'),
+      redo: () => apply('before', 'after')
+    });
+  }, [recordUndo, showServerTask]);
+
+  const recordTaskChange = useCallback((label, taskId, before, after) => (
+    recordTaskChanges(label, [{ taskId, before, after }])
+  ), [recordTaskChanges]);
+
+  // Label of a change that may move a task to another column
+  const describeTaskChange = useCallback((task, status) => {
+    const column = status !== task.status && columns.find(c => c.id === status);
+    return column ? `Move "${task.title}" to ${column.name}` : `Edit "${task.title}"`;
+  }, [columns]);
+
+  // Undo or redo the latest change - or with `expected`, only that change
+  const runHistoryStep = useCallback(async (step, expected) => {
+    try {
+      const action = await (step === 'undo' ? undo(expected) : redo(expected));
+      if (action) {
+        showToast({ title: step === 'undo' ? 'Undone' : 'Redone', message: action.label });
+      }
+    } catch (error) {
+      showToast({ title: `Couldn't ${step}`, message: error.message, variant: 'error' });
+    }
+  }, [undo, redo, showToast]);
+
+  const handleUndo = useCallback((expected) => runHistoryStep('undo', expected), [runHistoryStep]);
+  const handleRedo = useCallback(() => runHistoryStep('redo'), [runHistoryStep]);
+
+  // Changes can't be undone on another board
+  useEffect(() => {
+    clearHistory();
+  }, [currentBoardId, clearHistory]);
+
+  // Task creation - files dropped on the form are uploaded once the task exists.
+  // Resolves to whether the task was created.
+  const handleCreateTask = useCallback(async (taskData, files = []) => {
+    setIsSubmitting(true);
+    setFormErrors({});
+
+    try {
+      const newTask = await createTask({ ...taskData, boardId: currentBoardId });
+      if (files.length > 0) {
+        newTask.attachments = [...newTask.attachments, ...await uploadAttachments(newTask.id, files)];
+      }
+      // The task:created event may have added it already
+      setTasks(prevTasks => [newTask, ...prevTasks.filter(task => task.id !== newTask.id)]);
+      setShowCreateModal(false);
+      recordUndo({
+        label: `Create "${newTask.title}"`,
+        undo: () => removeTask(newTask.id),
+        redo: () => restoreRemovedTask(newTask.id)
+      });
+      return true;
+    } catch (error) {
+      handleTaskFormError(error, 'Failed to create task');
+      return false;
     } finally {
       setIsSubmitting(false);
     }
-  }, []);
+  }, [currentBoardId, handleTaskFormError, recordUndo, removeTask, restoreRemovedTask]);
 
-  // Optimistic task update
-  const handleUpdateTask = useCallback(async (taskData) => {
-    if (!editingTask) return;
+  // Optimistic update of the fields changed in the edit modal, made against
+  // `base` - the task as the user saw it. If someone else saved the task since,
+  // their copy is kept and both sides go to taskConflict for the user to
+  // compare. Resolves to whether the task was saved.
+  const saveTaskEdit = useCallback(async (base, changes) => {
+    const closeEditModal = () => {
+      setShowEditModal(false);
+      setEditingTask(null);
+      setTaskConflict(null);
+    };
+
+    if (Object.keys(changes).length === 0) {
+      closeEditModal();
+      return true;
+    }
 
     setIsSubmitting(true);
+    setFormErrors({});
     const previousTasks = [...tasks];
 
     try {
       // Optimistically update UI
-      const updatedTasks = tasks.map(task =>
-        task.id === editingTask.id ? { ...task, ...taskData } : task
-      );
-      setTasks(updatedTasks);
+      setTasks(tasks.map(task => task.id === base.id ? { ...task, ...changes } : task));
 
-      // Make API call
-      await updateTask(editingTask.id, taskData);
-      setShowEditModal(false);
-      setEditingTask(null);
+      const updatedTask = await updateTask(base.id, changes, { version: base.version });
+      setTasks(prevTasks => prevTasks.map(task => task.id === updatedTask.id ? updatedTask : task));
+      closeEditModal();
+
+      const fields = Object.keys(changes);
+      recordTaskChange(`Edit "${updatedTask.title}"`, base.id, pickFields(base, fields), pickFields(updatedTask, fields));
+      return true;
     } catch (error) {
-      // Revert on error
-      setTasks(previousTasks);
-      setError({
-        message: error.message || 'Failed to update task'
-      });
+      if (error.data?.code === 'VERSION_CONFLICT') {
+        const serverTask = error.data.task;
+        setTasks(previousTasks.map(task => task.id === serverTask.id ? serverTask : task));
+        setTaskConflict({ base, changes, serverTask });
+      } else {
+        // Revert on error
+        setTasks(previousTasks);
+        handleTaskFormError(error, 'Failed to update task');
+      }
+      return false;
     } finally {
       setIsSubmitting(false);
     }
-  }, [editingTask, tasks]);
+  }, [tasks, handleTaskFormError, recordTaskChange]);
+
+  const handleUpdateTask = useCallback(async (taskData) => {
+    if (!editingTask) return false;
+    return saveTaskEdit(editingTask, getChangedFields(editingTask, taskData));
+  }, [editingTask, saveTaskEdit]);
+
+  // Save the changes the user settled on in the conflict dialog, this time on
+  // top of the server's copy
+  const handleResolveConflict = useCallback((changes) => {
+    if (!taskConflict) return;
+    saveTaskEdit(taskConflict.serverTask, changes);
+  }, [taskConflict, saveTaskEdit]);
+
+  // Drop the user's changes and keep the server's copy
+  const handleDiscardConflict = useCallback(() => {
+    setTaskConflict(null);
+    setShowEditModal(false);
+    setEditingTask(null);
+  }, []);
 
   // Handle task updates from TaskCard (optimistic updates)
   const handleTaskUpdate = useCallback((updatedTask) => {
@@ -137,14 +751,520 @@ export const TaskProvider = ({ children }) => {
     );
   }, []);
 
-  // Handle task deletion
-  const handleTaskDelete = useCallback((taskId) => {
-    setTasks(prevTasks => prevTasks.filter(task => task.id !== taskId));
+  // Optimistic change from the board, calendar, timeline (drag and drop) or table (inline edits)
+  // with rollback on failure
+  const handleMoveTask = useCallback(async (taskId, changes) => {
+    const previousTask = tasks.find(task => task.id === taskId);
+    if (!previousTask) return;
+
+    handleTaskUpdate({ ...previousTask, ...changes });
+
+    try {
+      const movedTask = await withBlockerOverride(options => updateTask(taskId, changes, options));
+      handleTaskUpdate(movedTask || previousTask);
+
+      if (movedTask) {
+        const fields = Object.keys(changes);
+        recordTaskChange(
+          describeTaskChange(previousTask, movedTask.status),
+          taskId,
+          pickFields(previousTask, fields),
+          pickFields(movedTask, fields)
+        );
+      }
+    } catch (error) {
+      // Revert on error
+      handleTaskUpdate(previousTask);
+      setError({
+        message: error.message || 'Failed to move task'
+      });
+    }
+  }, [tasks, handleTaskUpdate, recordTaskChange, describeTaskChange]);
+
+  // Change (action 'update') or delete many tasks at once - the server applies
+  // it to all of them or none. Resolves to whether it was applied.
+  const handleBulkAction = useCallback(async (ids, action, changes) => {
+    try {
+      const response = await withBulkBlockerOverride(options => (
+        bulkTaskAction({ ids, action, changes }, options)
+      ));
+      if (!response) return false;
+
+      const count = `${ids.length} ${ids.length === 1 ? 'task' : 'tasks'}`;
+
+      if (action === 'delete') {
+        setTasks(prevTasks => prevTasks.filter(task => !ids.includes(task.id)));
+        setReminders(prevReminders => prevReminders.filter(r => !ids.includes(r.taskId)));
+
+        const undoAction = recordUndo({
+          label: `Delete ${count}`,
+          undo: async () => {
+            for (const id of ids) {
+              await restoreRemovedTask(id);
+            }
+          },
+          redo: async () => {
+            await bulkTaskAction({ ids, action: 'delete' });
+            setTasks(prevTasks => prevTasks.filter(task => !ids.includes(task.id)));
+            setReminders(prevReminders => prevReminders.filter(r => !ids.includes(r.taskId)));
+          }
+        });
+        showToast({
+          title: 'Tasks deleted',
+          message: `${count} deleted`,
+          action: { label: 'Undo', onClick: () => handleUndo(undoAction) }
+        });
+      } else {
+        const updatedById = new Map(response.results.map(result => [result.id, result.task]));
+        setTasks(prevTasks => prevTasks
+          .map(task => updatedById.get(task.id) || task)
+          .filter(task => !task.archived));
+
+        // One undo step puts back each task's own previous values
+        const fields = [...new Set(Object.keys(changes).flatMap(key => BULK_CHANGE_FIELDS[key]))];
+        const taskChanges = tasks
+          .filter(task => updatedById.has(task.id))
+          .map(task => ({
+            taskId: task.id,
+            before: pickFields(task, fields),
+            after: pickFields(updatedById.get(task.id), fields)
+          }));
+        const column = changes.status && columns.find(c => c.id === changes.status);
+        const label = column
+          ? `Move ${count} to ${column.name}`
+          : `${changes.archived ? 'Archive' : 'Change'} ${count}`;
+
+        const undoAction = recordTaskChanges(label, taskChanges);
+        showToast({
+          title: changes.archived ? 'Tasks archived' : 'Tasks updated',
+          message: `${count} changed`,
+          action: { label: 'Undo', onClick: () => handleUndo(undoAction) }
+        });
+      }
+      return true;
+    } catch (error) {
+      setError({
+        message: error.message || 'Failed to change the selected tasks'
+      });
+      return false;
+    }
+  }, [tasks, columns, showToast, recordUndo, recordTaskChanges, restoreRemovedTask, handleUndo]);
+
+  // Optimistic manual reorder between two neighbours of a column
+  const handleReorderTask = useCallback(async (taskId, status, before, after) => {
+    const previousTask = tasks.find(task => task.id === taskId);
+    if (!previousTask) return;
+
+    handleTaskUpdate({
+      ...previousTask,
+      status,
+      rank: rankBetween(before?.rank, after?.rank)
+    });
+
+    try {
+      const reorderedTask = await withBlockerOverride(options => reorderTask(taskId, {
+        status,
+        beforeId: before?.id,
+        afterId: after?.id
+      }, options));
+      handleTaskUpdate(reorderedTask || previousTask);
+
+      if (reorderedTask) {
+        const label = reorderedTask.status === previousTask.status
+          ? `Reorder "${previousTask.title}"`
+          : describeTaskChange(previousTask, reorderedTask.status);
+        recordTaskChange(
+          label,
+          taskId,
+          pickFields(previousTask, ['status', 'rank']),
+          pickFields(reorderedTask, ['status', 'rank'])
+        );
+      }
+    } catch (error) {
+      // Revert on error
+      handleTaskUpdate(previousTask);
+      setError({
+        message: error.message || 'Failed to reorder task'
+      });
+    }
+  }, [tasks, handleTaskUpdate, recordTaskChange, describeTaskChange]);
+
+  // Optimistic subtask toggle
+  const handleToggleSubtask = useCallback(async (task, subtaskId) => {
+    const subtask = task.subtasks.find(st => st.id === subtaskId);
+    if (!subtask) return;
+
+    const setCompleted = (completed) => {
+      setTasks(prevTasks => prevTasks.map(t => t.id === task.id
+        ? { ...t, subtasks: t.subtasks.map(st => st.id === subtaskId ? { ...st, completed } : st) }
+        : t
+      ));
+    };
+    // Undo and redo leave the subtask alone when someone else already toggled it
+    const applyCompleted = async (completed) => {
+      const current = (await fetchTask(task.id)).subtasks.find(st => st.id === subtaskId);
+      if (!current || current.completed === completed) {
+        throw new Error(`"${subtask.title}" was changed by someone else since`);
+      }
+      await updateSubtask(task.id, subtaskId, { completed });
+      setCompleted(completed);
+    };
+
+    setCompleted(!subtask.completed);
+
+    try {
+      await updateSubtask(task.id, subtaskId, { completed: !subtask.completed });
+      recordUndo({
+        label: `${subtask.completed ? 'Uncheck' : 'Check'} "${subtask.title}"`,
+        undo: () => applyCompleted(subtask.completed),
+        redo: () => applyCompleted(!subtask.completed)
+      });
+    } catch (error) {
+      // Revert on error
+      setCompleted(subtask.completed);
+      setError({
+        message: error.message || 'Failed to update subtask'
+      });
+    }
+  }, [recordUndo]);
+
+  // Archives a task, or with `archived` false brings it back to the board.
+  // Resolves to whether it was changed.
+  const handleArchiveTask = useCallback(async (task, archived = true) => {
+    try {
+      showServerTask(await updateTask(task.id, { archived }));
+    } catch (error) {
+      setError({
+        message: error.message || (archived ? 'Failed to archive task' : 'Failed to unarchive task')
+      });
+      return false;
+    }
+
+    const action = recordTaskChange(
+      `${archived ? 'Archive' : 'Unarchive'} "${task.title}"`,
+      task.id,
+      { archived: !archived },
+      { archived }
+    );
+    showToast({
+      title: archived ? 'Task archived' : 'Task moved back to the board',
+      message: task.title,
+      action: { label: 'Undo', onClick: () => handleUndo(action) }
+    });
+    return true;
+  }, [showServerTask, recordTaskChange, showToast, handleUndo]);
+
+  // Brings a task back from the trash. Resolves to whether it was restored.
+  const handleRestoreTask = useCallback(async (taskId) => {
+    try {
+      await restoreRemovedTask(taskId);
+      return true;
+    } catch (error) {
+      setError({
+        message: error.message || 'Failed to restore task'
+      });
+      return false;
+    }
+  }, [restoreRemovedTask]);
+
+  // Task deletion doesn't ask first - the toast offers to undo it instead.
+  // Resolves to whether the task was deleted.
+  const handleDeleteTask = useCallback(async (task) => {
+    try {
+      await removeTask(task.id);
+    } catch (error) {
+      setError({
+        message: error.message || 'Failed to delete task'
+      });
+      return false;
+    }
+
+    const action = recordUndo({
+      label: `Delete "${task.title}"`,
+      undo: () => restoreRemovedTask(task.id),
+      redo: () => removeTask(task.id)
+    });
+    showToast({
+      title: 'Task deleted',
+      message: task.title,
+      action: { label: 'Undo', onClick: () => handleUndo(action) }
+    });
+    return true;
+  }, [recordUndo, removeTask, restoreRemovedTask, showToast, handleUndo]);
+
+  // Attachment management
+  const handleUploadAttachments = useCallback(async (taskId, files) => {
+    try {
+      const newAttachments = await uploadAttachments(taskId, files);
+      setTasks(prevTasks => prevTasks.map(task => {
+        if (task.id !== taskId) return task;
+        // The task:updated event may have delivered them already
+        const existing = task.attachments.filter(a => !newAttachments.some(n => n.id === a.id));
+        return { ...task, attachments: [...existing, ...newAttachments] };
+      }));
+      return true;
+    } catch (error) {
+      setError({
+        message: error.message || 'Failed to upload attachments'
+      });
+      return false;
+    }
   }, []);
 
+  const handleDeleteAttachment = useCallback(async (taskId, attachmentId) => {
+    const previousTask = tasks.find(task => task.id === taskId);
+    if (!previousTask) return;
+
+    handleTaskUpdate({
+      ...previousTask,
+      attachments: previousTask.attachments.filter(a => a.id !== attachmentId)
+    });
+
+    try {
+      await deleteAttachment(taskId, attachmentId);
+    } catch (error) {
+      // Revert on error
+      handleTaskUpdate(previousTask);
+      setError({
+        message: error.message || 'Failed to delete attachment'
+      });
+    }
+  }, [tasks, handleTaskUpdate]);
+
+  // Workflow column management
+  const handleCreateColumn = useCallback(async (columnData) => {
+    try {
+      const newColumn = await createColumn(columnData);
+      setColumns(prevColumns => [...prevColumns, newColumn]);
+    } catch (error) {
+      setError({
+        message: error.message || 'Failed to create column'
+      });
+    }
+  }, []);
+
+  const handleUpdateColumn = useCallback(async (columnId, changes) => {
+    try {
+      const updatedColumn = await updateColumn(columnId, changes);
+      setColumns(prevColumns =>
+        prevColumns
+          .map(column => column.id === columnId ? updatedColumn : column)
+          .sort((a, b) => a.order - b.order)
+      );
+    } catch (error) {
+      setError({
+        message: error.message || 'Failed to update column'
+      });
+    }
+  }, []);
+
+  // Tasks of a deleted column are moved to `moveTo` on the server, so reload them
+  const handleDeleteColumn = useCallback(async (columnId, moveTo) => {
+    try {
+      await deleteColumn(columnId, moveTo);
+      setColumns(prevColumns => prevColumns.filter(column => column.id !== columnId));
+      if (moveTo) {
+        await loadTasks();
+      }
+    } catch (error) {
+      setError({
+        message: error.message || 'Failed to delete column'
+      });
+    }
+  }, [loadTasks]);
+
+  // Reminder management
+  const handleCreateReminder = useCallback(async (reminderData) => {
+    // Ask for browser notifications while we still have a user gesture
+    if ('Notification' in window && Notification.permission === 'default') {
+      Notification.requestPermission();
+    }
+
+    try {
+      const newReminder = await createReminder(reminderData);
+      setReminders(prevReminders => [...prevReminders, newReminder]);
+      return true;
+    } catch (error) {
+      setError({
+        message: error.message || 'Failed to create reminder'
+      });
+      return false;
+    }
+  }, []);
+
+  const handleDeleteReminder = useCallback(async (reminderId) => {
+    const previousReminders = reminders;
+    setReminders(prevReminders => prevReminders.filter(r => r.id !== reminderId));
+
+    try {
+      await deleteReminder(reminderId);
+    } catch (error) {
+      // Revert on error
+      setReminders(previousReminders);
+      setError({
+        message: error.message || 'Failed to delete reminder'
+      });
+    }
+  }, [reminders]);
+
+  const handleSnoozeReminder = useCallback(async (reminderId, minutes) => {
+    try {
+      const snoozedReminder = await snoozeReminder(reminderId, minutes);
+      setReminders(prevReminders =>
+        prevReminders.map(r => r.id === reminderId ? snoozedReminder : r)
+      );
+    } catch (error) {
+      setError({
+        message: error.message || 'Failed to snooze reminder'
+      });
+    }
+  }, []);
+
+  // Ids of the fired reminder events shown so far
+  const shownReminderEventIdsRef = useRef(new Set());
+
+  // Show reminders fired by the server as toasts and browser notifications
+  const handleReminderEvents = useCallback((firedEvents) => {
+    // Polling resumes where it stopped, so it may bring events that already arrived live
+    const events = firedEvents.filter(event => !shownReminderEventIdsRef.current.has(event.id));
+    events.forEach(event => shownReminderEventIdsRef.current.add(event.id));
+    if (events.length === 0) return;
+
+    const firedReminders = Object.fromEntries(
+      events.map(event => [event.reminderId, event.reminder])
+    );
+    setReminders(prevReminders =>
+      prevReminders.map(r => firedReminders[r.id] || r)
+    );
+
+    events.forEach(event => {
+      const task = tasks.find(t => t.id === event.taskId);
+      const title = task ? `Reminder: ${task.title}` : 'Reminder';
+
+      showToast({ title, message: event.message, variant: 'reminder' });
+
+      if ('Notification' in window && Notification.permission === 'granted') {
+        new Notification(title, { body: event.message, tag: event.id });
+      }
+    });
+  }, [tasks, showToast]);
+
+  // Apply live changes from other clients (and echoes of our own) incrementally
+  const handleServerEvent = useCallback(({ type, data }) => {
+    // Replace an item by id, or add it when it is new
+    const upsert = (items, item, prepend = false) => (
+      items.some(i => i.id === item.id)
+        ? items.map(i => i.id === item.id ? item : i)
+        : prepend ? [item, ...items] : [...items, item]
+    );
+    const updateSubtasks = (taskId, update) => {
+      setTasks(prevTasks => prevTasks.map(task =>
+        task.id === taskId ? { ...task, subtasks: update(task.subtasks) } : task
+      ));
+    };
+
+    switch (type) {
+      case 'board:created':
+      case 'board:updated':
+        setBoards(prevBoards => upsert(prevBoards, data));
+        break;
+      case 'board:deleted':
+        setBoards(prevBoards => prevBoards.filter(board => board.id !== data.id));
+        // Someone else deleted the board we are looking at
+        if (data.id === currentBoardId) {
+          loadTasks();
+        }
+        break;
+      case 'task:created':
+      case 'task:updated':
+        // Tasks of other boards are not shown, including ones moved away from
+        // this board, and neither are archived ones
+        setTasks(prevTasks => data.boardId === currentBoardId && !data.archived
+          ? upsert(prevTasks, data, true)
+          : prevTasks.filter(task => task.id !== data.id)
+        );
+        refreshStats();
+        break;
+      case 'task:deleted':
+        setTasks(prevTasks => prevTasks.filter(task => task.id !== data.id));
+        setReminders(prevReminders => prevReminders.filter(r => r.taskId !== data.id));
+        refreshStats();
+        break;
+      case 'subtask:created':
+      case 'subtask:updated':
+        updateSubtasks(data.taskId, subtasks => upsert(subtasks, data.subtask));
+        break;
+      case 'subtask:deleted':
+        updateSubtasks(data.taskId, subtasks => subtasks.filter(st => st.id !== data.subtaskId));
+        break;
+      case 'reminder:created':
+      case 'reminder:updated':
+        setReminders(prevReminders => upsert(prevReminders, data));
+        break;
+      case 'reminder:deleted':
+        setReminders(prevReminders => prevReminders.filter(r => r.id !== data.id));
+        break;
+      case 'reminder:fired':
+        handleReminderEvents([data]);
+        break;
+      case 'column:created':
+      case 'column:updated':
+        setColumns(prevColumns =>
+          upsert(prevColumns, data).sort((a, b) => a.order - b.order)
+        );
+        break;
+      case 'column:deleted':
+        setColumns(prevColumns => prevColumns.filter(column => column.id !== data.id));
+        break;
+      case 'view:created':
+      case 'view:updated':
+        setViews(prevViews => upsert(prevViews, data));
+        break;
+      case 'view:deleted':
+        setViews(prevViews => prevViews.filter(view => view.id !== data.id));
+        break;
+      case 'comment:created':
+        if (data.mentions.includes(user.id) && data.userId !== user.id) {
+          const task = tasks.find(t => t.id === data.taskId);
+          showToast({
+            title: `${data.userName} mentioned you${task ? ` on "${task.title}"` : ''}`,
+            message: data.body
+          });
+        }
+        break;
+      case 'resync':
+        // Changes were missed while disconnected
+        loadTasks();
+        break;
+      default:
+        break;
+    }
+
+    serverEventListenersRef.current.forEach(listener => listener({ type, data }));
+  }, [currentBoardId, tasks, user.id, showToast, handleReminderEvents, loadTasks, refreshStats]);
+
+  const isLive = useServerEvents(handleServerEvent);
+
+  // Polling fallback while live updates are unavailable - demonstrates useEffect with cleanup
+  useEffect(() => {
+    if (isLive) return;
+
+    const interval = setInterval(() => {
+      loadTasks();
+    }, 30000); // Refresh every 30 seconds
+
+    return () => {
+      clearInterval(interval);
+    };
+  }, [isLive, loadTasks]);
+
+  useReminderEvents(handleReminderEvents, { enabled: !isLive });
+
   // Handle edit task
   const handleEditTask = useCallback((task) => {
     setEditingTask(task);
+    setFormErrors({});
+    setTaskConflict(null);
     setShowEditModal(true);
   }, []);
 
@@ -156,9 +1276,11 @@ export const TaskProvider = ({ children }) => {
   const handleCloseEditModal = useCallback(() => {
     setShowEditModal(false);
     setEditingTask(null);
+    setTaskConflict(null);
   }, []);
 
   const handleOpenCreateModal = useCallback(() => {
+    setFormErrors({});
     setShowCreateModal(true);
   }, []);
 
@@ -168,6 +1290,7 @@ export const TaskProvider = ({ children }) => {
       // Ctrl/Cmd + N to create new task
       if ((event.ctrlKey || event.metaKey) && event.key === 'n') {
         event.preventDefault();
+        setFormErrors({});
         setShowCreateModal(true);
       }
       
@@ -176,6 +1299,18 @@ export const TaskProvider = ({ children }) => {
         if (showCreateModal) setShowCreateModal(false);
         if (showEditModal) setShowEditModal(false);
       }
+
+      // Ctrl/Cmd + Z to undo, Ctrl/Cmd + Shift + Z or Ctrl/Cmd + Y to redo -
+      // text fields keep them for their own typing
+      const key = event.key.toLowerCase();
+      if ((event.ctrlKey || event.metaKey) && (key === 'z' || key === 'y') && !isTextEntry(event.target)) {
+        event.preventDefault();
+        if (key === 'z' && !event.shiftKey) {
+          handleUndo();
+        } else {
+          handleRedo();
+        }
+      }
     }
 
     document.addEventListener('keydown', handleKeyDown);
@@ -183,52 +1318,92 @@ export const TaskProvider = ({ children }) => {
     return () => {
       document.removeEventListener('keydown', handleKeyDown);
     };
-  }, [showCreateModal, showEditModal]);
+  }, [showCreateModal, showEditModal, handleUndo, handleRedo]);
 
   // Document title effect
   useEffect(() => {
-    const pendingTasks = tasks.filter(t => t.status !== 'completed').length;
-    document.title = pendingTasks > 0 
-      ? `Task Manager (${pendingTasks} pending)` 
+    document.title = taskStats.open > 0 
+      ? `Task Manager (${taskStats.open} pending)` 
       : 'Task Manager';
-  }, [tasks]);
+  }, [taskStats.open]);
 
   // Notification effect for overdue tasks
   useEffect(() => {
-    const overdueTasks = tasks.filter(t => {
-      if (!t.dueDate || t.status === 'completed') return false;
-      return new Date(t.dueDate) < new Date();
-    });
-
-    if (overdueTasks.length > 0) {
+    if (taskStats.overdue > 0) {
       // In a real app, you might show browser notifications here
-      console.log(`You have ${overdueTasks.length} overdue tasks!`);
+      console.log(`You have ${taskStats.overdue} overdue tasks!`);
     }
-  }, [tasks]);
+  }, [taskStats.overdue]);
 
     // Create the context value object with all the state and functions
   const contextValue = {
     // State
+    boards,
+    currentBoardId,
     tasks,
+    columns,
+    reminders,
+    users,
+    views,
     isLoading,
     error,
     showCreateModal,
     showEditModal,
     editingTask,
     isSubmitting,
+    formErrors,
+    taskConflict,
     viewMode,
     setViewMode,
     lastRefresh,
-    autoRefresh,
+    isLive,
     taskStats,
+    filters,
+    searchError,
+    columnPages,
+    undoLabel,
+    redoLabel,
     
     // Functions
+    isDoneStatus,
+    getTaskBlockers,
+    matchesFilters,
     setError,
-    setAutoRefresh,
     loadTasks,
+    loadMoreTasks,
+    updateFilters,
+    clearFilters,
+    subscribeToServerEvents,
+    handleSwitchBoard,
+    handleCreateBoard,
+    handleRenameBoard,
+    handleDeleteBoard,
+    handleApplyView,
+    handleCreateView,
+    handleUpdateView,
+    handleDeleteView,
     handleCreateTask,
     handleUpdateTask,
+    handleBulkAction,
+    handleResolveConflict,
+    handleDiscardConflict,
     handleTaskUpdate,
+    handleMoveTask,
+    handleReorderTask,
+    handleToggleSubtask,
+    handleArchiveTask,
+    handleDeleteTask,
+    handleRestoreTask,
+    handleUndo,
+    handleRedo,
+    handleUploadAttachments,
+    handleDeleteAttachment,
+    handleCreateColumn,
+    handleUpdateColumn,
+    handleDeleteColumn,
+    handleCreateReminder,
+    handleSnoozeReminder,
+    handleDeleteReminder,
     handleTaskDelete,
     handleEditTask,
     handleCloseCreateModal,
@@ -0,0 +1,60 @@
+import React, { createContext, useState, useCallback, useContext, useRef } from 'react';
+import Toast from '../components/UI/Toast';
+
+// Create the context
+const ToastContext = createContext();
+
+// How long a toast stays on screen unless dismissed
+const TOAST_DURATION = 8000;
+
+// Custom hook to use the toast context
+export const useToast = () => {
+  const context = useContext(ToastContext);
+  if (!context) {
+    throw new Error('useToast must be used within a ToastProvider');
+  }
+  return context;
+};
+
+export const ToastProvider = ({ children }) => {
+  const [toasts, setToasts] = useState([]);
+  const nextId = useRef(0);
+
+  const dismissToast = useCallback((id) => {
+    setToasts(prevToasts => prevToasts.filter(toast => toast.id !== id));
+  }, []);
+
+  // Show a toast and schedule its removal. `action` ({ label, onClick }) adds a button.
+  const showToast = useCallback(({ title, message, variant = 'info', action, duration = TOAST_DURATION }) => {
+    const id = ++nextId.current;
+    setToasts(prevToasts => [...prevToasts, { id, title, message, variant, action }]);
+
+    if (duration) {
+      setTimeout(() => dismissToast(id), duration);
+    }
+
+    return id;
+  }, [dismissToast]);
+
+  const contextValue = {
+    showToast,
+    dismissToast
+  };
+
+  return (
+    <ToastContext.Provider value={contextValue}>
+      {children}
+      <div className="toast-container" aria-live="polite">
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            {...toast}
+            onDismiss={dismissToast}
+          />
+        ))}
+      </div>
+    </ToastContext.Provider>
+  );
+};
+
+export default ToastContext;
@@ -0,0 +1,218 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+/**
+ * Custom hook for dragging cards between board columns
+ * Works with any pointer (mouse, touch, pen) through Pointer Events and with
+ * the keyboard: Space/Enter lifts a card, arrow keys move it, Space/Enter
+ * drops it and Escape cancels. The calendar view uses the same hook with one
+ * "column" per day, keyed by date instead of status.
+ * Demonstrates: Custom hooks, useEffect with cleanup, event handling
+ *
+ * @param {Array<{ status: string, title: string, tasks: Array }>} columns - Board columns in display order
+ * @param {Function} onDrop - Called with (taskId, status, index) where index is
+ *   the target slot among the column's other tasks
+ * @param {Object} options
+ * @param {boolean} options.canReorder - Whether cards can be moved within a column
+ */
+function useDragAndDrop(columns, onDrop, { canReorder = true } = {}) {
+  const [dragState, setDragState] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const pointerStart = useRef(null);
+  const dragStateRef = useRef(null);
+
+  // Keep the latest drag state available to the window listeners
+  useEffect(() => {
+    dragStateRef.current = dragState;
+  }, [dragState]);
+
+  const getColumn = useCallback((status) => (
+    columns.find(column => column.status === status)
+  ), [columns]);
+
+  // Number of slots in a column once the dragged task is taken out of it
+  const getSlotCount = useCallback((status, taskId) => (
+    getColumn(status)?.tasks.filter(task => task.id !== taskId).length ?? 0
+  ), [getColumn]);
+
+  const finishDrag = useCallback((state) => {
+    setDragState(null);
+    pointerStart.current = null;
+
+    if (!state) return;
+
+    const isSameColumn = state.status === state.fromStatus;
+    if (isSameColumn && (!canReorder || state.index === state.fromIndex)) {
+      setAnnouncement('Task returned to its original position');
+      return;
+    }
+
+    onDrop(state.taskId, state.status, state.index);
+    setAnnouncement(`Task dropped in ${getColumn(state.status)?.title}`);
+  }, [canReorder, onDrop, getColumn]);
+
+  const cancelDrag = useCallback(() => {
+    setDragState(null);
+    pointerStart.current = null;
+    setAnnouncement('Move cancelled');
+  }, []);
+
+  // Work out which column and slot is under the pointer
+  const getDropTarget = useCallback((clientX, clientY, taskId) => {
+    const element = document.elementFromPoint(clientX, clientY);
+    const columnElement = element?.closest('[data-drop-status]');
+    if (!columnElement) return null;
+
+    const cards = [...columnElement.querySelectorAll('[data-task-id]')]
+      .filter(card => card.dataset.taskId !== taskId);
+    const slot = cards.findIndex(card => {
+      const rect = card.getBoundingClientRect();
+      return clientY < rect.top + rect.height / 2;
+    });
+
+    return {
+      status: columnElement.dataset.dropStatus,
+      index: slot === -1 ? cards.length : slot
+    };
+  }, []);
+
+  const isPointerDrag = dragState?.mode === 'pointer';
+
+  // Track the pointer on the window while dragging - cleanup removes listeners
+  useEffect(() => {
+    if (!isPointerDrag) return;
+
+    function handlePointerMove(event) {
+      const start = pointerStart.current;
+      const current = dragStateRef.current;
+      if (!start || !current) return;
+
+      const target = getDropTarget(event.clientX, event.clientY, current.taskId);
+      setDragState({
+        ...current,
+        ...(target || {}),
+        offset: { x: event.clientX - start.x, y: event.clientY - start.y }
+      });
+    }
+
+    function handlePointerUp() {
+      finishDrag(dragStateRef.current);
+    }
+
+    function handleKeyDown(event) {
+      if (event.key === 'Escape') {
+        event.stopPropagation();
+        cancelDrag();
+      }
+    }
+
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+    window.addEventListener('pointercancel', cancelDrag);
+    window.addEventListener('keydown', handleKeyDown, true);
+
+    return () => {
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerUp);
+      window.removeEventListener('pointercancel', cancelDrag);
+      window.removeEventListener('keydown', handleKeyDown, true);
+    };
+  }, [isPointerDrag, getDropTarget, finishDrag, cancelDrag]);
+
+  const getHandleProps = useCallback((task, status, index) => {
+    const isLifted = dragState?.taskId === task.id;
+
+    function handlePointerDown(event) {
+      if (event.button !== 0 || dragState) return;
+      event.preventDefault();
+
+      pointerStart.current = { x: event.clientX, y: event.clientY };
+      setDragState({
+        taskId: task.id,
+        fromStatus: status,
+        fromIndex: index,
+        status,
+        index,
+        mode: 'pointer',
+        offset: { x: 0, y: 0 }
+      });
+    }
+
+    function handleKeyDown(event) {
+      if (!isLifted) {
+        if (event.key === ' ' || event.key === 'Enter') {
+          event.preventDefault();
+          setDragState({
+            taskId: task.id,
+            fromStatus: status,
+            fromIndex: index,
+            status,
+            index,
+            mode: 'keyboard',
+            offset: { x: 0, y: 0 }
+          });
+          setAnnouncement(`Picked up "${task.title}". Use the arrow keys to move it, Space to drop, Escape to cancel.`);
+        }
+        return;
+      }
+
+      const columnIndex = columns.findIndex(column => column.status === dragState.status);
+
+      switch (event.key) {
+        case 'ArrowLeft':
+        case 'ArrowRight': {
+          event.preventDefault();
+          const step = event.key === 'ArrowLeft' ? -1 : 1;
+          const nextColumn = columns[columnIndex + step];
+          if (!nextColumn) return;
+
+          setDragState(prev => ({
+            ...prev,
+            status: nextColumn.status,
+            index: Math.min(prev.index, getSlotCount(nextColumn.status, prev.taskId))
+          }));
+          setAnnouncement(`Moved to ${nextColumn.title}`);
+          break;
+        }
+        case 'ArrowUp':
+        case 'ArrowDown': {
+          event.preventDefault();
+          if (!canReorder) return;
+
+          const step = event.key === 'ArrowUp' ? -1 : 1;
+          const slotCount = getSlotCount(dragState.status, dragState.taskId);
+          const nextIndex = Math.max(0, Math.min(slotCount, dragState.index + step));
+
+          setDragState(prev => ({ ...prev, index: nextIndex }));
+          setAnnouncement(`Position ${nextIndex + 1} of ${slotCount + 1}`);
+          break;
+        }
+        case ' ':
+        case 'Enter':
+          event.preventDefault();
+          finishDrag(dragState);
+          break;
+        case 'Escape':
+          event.preventDefault();
+          event.stopPropagation();
+          cancelDrag();
+          break;
+        default:
+          break;
+      }
+    }
+
+    return {
+      role: 'button',
+      tabIndex: 0,
+      'aria-label': `Move task "${task.title}"`,
+      'aria-pressed': isLifted,
+      onPointerDown: handlePointerDown,
+      onKeyDown: handleKeyDown,
+      onBlur: isLifted && dragState.mode === 'keyboard' ? cancelDrag : undefined
+    };
+  }, [dragState, columns, canReorder, getSlotCount, finishDrag, cancelDrag]);
+
+  return { dragState, announcement, getHandleProps };
+}
+
+export default useDragAndDrop;
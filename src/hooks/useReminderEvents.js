@@ -0,0 +1,67 @@
+import { useEffect, useRef } from 'react';
+import { fetchReminderEvents } from '../utils/api';
+
+// How often the server is asked for newly fired reminders
+const POLL_INTERVAL = 10000;
+
+/**
+ * Custom hook that picks up reminders fired by the server's scheduler
+ * The first request only establishes a cursor, so reminders that fired before
+ * the app was opened are not replayed. The cursor is kept while polling is
+ * paused, so reminders that fire in the meantime are picked up when it resumes.
+ * Demonstrates: Custom hooks, polling with useEffect cleanup, refs
+ *
+ * @param {Function} onEvents - Called with the newly fired reminder events
+ * @param {Object} options
+ * @param {boolean} options.enabled - Poll only while true, e.g. when live updates are down
+ */
+function useReminderEvents(onEvents, { enabled = true } = {}) {
+  const onEventsRef = useRef(onEvents);
+  // Server time the next poll continues from
+  const sinceRef = useRef(null);
+
+  // Always call the latest callback without restarting the polling
+  useEffect(() => {
+    onEventsRef.current = onEvents;
+  }, [onEvents]);
+
+  // Establish the cursor right away, even when polling starts out paused
+  useEffect(() => {
+    fetchReminderEvents(null)
+      .then(({ serverTime }) => {
+        sinceRef.current ??= serverTime;
+      })
+      .catch(error => console.error('Failed to fetch reminder events:', error));
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let isCancelled = false;
+
+    async function poll() {
+      try {
+        const since = sinceRef.current;
+        const { events, serverTime } = await fetchReminderEvents(since);
+        if (isCancelled) return;
+
+        if (since && events.length > 0) {
+          onEventsRef.current(events);
+        }
+        sinceRef.current = serverTime;
+      } catch (error) {
+        console.error('Failed to fetch reminder events:', error);
+      }
+    }
+
+    poll();
+    const interval = setInterval(poll, POLL_INTERVAL);
+
+    return () => {
+      isCancelled = true;
+      clearInterval(interval);
+    };
+  }, [enabled]);
+}
+
+export default useReminderEvents;
@@ -0,0 +1,55 @@
+import { useState, useEffect, useRef } from 'react';
+import { createEventStream } from '../utils/api';
+
+/**
+ * Custom hook subscribing to the server's live update stream
+ * EventSource reconnects on its own after a dropped connection; since changes
+ * made in the meantime were missed, a { type: 'resync' } event is passed to
+ * onEvent whenever the stream comes back.
+ * Demonstrates: Custom hooks, useEffect with cleanup, refs
+ *
+ * @param {Function} onEvent - Called with every { type, data } message
+ * @returns {boolean} Whether the stream is currently connected
+ */
+function useServerEvents(onEvent) {
+  const [isConnected, setIsConnected] = useState(false);
+  const onEventRef = useRef(onEvent);
+
+  // Always call the latest callback without reconnecting
+  useEffect(() => {
+    onEventRef.current = onEvent;
+  }, [onEvent]);
+
+  useEffect(() => {
+    const source = createEventStream();
+    let hasConnected = false;
+
+    source.onopen = () => {
+      setIsConnected(true);
+      if (hasConnected) {
+        onEventRef.current({ type: 'resync' });
+      }
+      hasConnected = true;
+    };
+
+    source.onerror = () => {
+      setIsConnected(false);
+    };
+
+    source.onmessage = (message) => {
+      try {
+        onEventRef.current(JSON.parse(message.data));
+      } catch (error) {
+        console.error('Failed to handle server event:', error);
+      }
+    };
+
+    return () => {
+      source.close();
+    };
+  }, []);
+
+  return isConnected;
+}
+
+export default useServerEvents;
@@ -0,0 +1,75 @@
+import { useState, useCallback, useRef } from 'react';
+
+// Most actions kept in the history
+const HISTORY_LIMIT = 50;
+
+/**
+ * Custom hook for an undo/redo history of reversible actions
+ * Actions are recorded as { label, undo, redo } with async undo and redo
+ * functions. Recording a new action clears the redo history, and an action
+ * whose undo or redo fails is dropped - its effect can't be reversed anymore.
+ * Demonstrates: Custom hooks, useRef for mutable state, useCallback
+ */
+function useUndoHistory(limit = HISTORY_LIMIT) {
+  const pastRef = useRef([]);
+  const futureRef = useRef([]);
+  const isBusyRef = useRef(false);
+  // Labels of the actions undo and redo would run next, for rendering
+  const [labels, setLabels] = useState({ undo: null, redo: null });
+
+  const syncLabels = useCallback(() => {
+    setLabels({
+      undo: pastRef.current[pastRef.current.length - 1]?.label ?? null,
+      redo: futureRef.current[futureRef.current.length - 1]?.label ?? null
+    });
+  }, []);
+
+  // Returns the recorded action, which can be passed to undo()
+  const record = useCallback((action) => {
+    pastRef.current = [...pastRef.current, action].slice(-limit);
+    futureRef.current = [];
+    syncLabels();
+    return action;
+  }, [limit, syncLabels]);
+
+  // Runs `step` of the latest action of one stack and moves it to the other.
+  // With `expected`, only runs when that action is the latest one.
+  const travel = useCallback(async (fromRef, toRef, step, expected) => {
+    const action = fromRef.current[fromRef.current.length - 1];
+    if (!action || isBusyRef.current) return null;
+    if (expected && action !== expected) {
+      throw new Error(`Other changes were made since - ${step} them first`);
+    }
+
+    isBusyRef.current = true;
+    fromRef.current = fromRef.current.slice(0, -1);
+    try {
+      await action[step]();
+      toRef.current = [...toRef.current, action];
+      return action;
+    } finally {
+      isBusyRef.current = false;
+      syncLabels();
+    }
+  }, [syncLabels]);
+
+  const undo = useCallback((expected) => travel(pastRef, futureRef, 'undo', expected), [travel]);
+  const redo = useCallback((expected) => travel(futureRef, pastRef, 'redo', expected), [travel]);
+
+  const clear = useCallback(() => {
+    pastRef.current = [];
+    futureRef.current = [];
+    syncLabels();
+  }, [syncLabels]);
+
+  return {
+    record,
+    undo,
+    redo,
+    clear,
+    undoLabel: labels.undo,
+    redoLabel: labels.redo
+  };
+}
+
+export default useUndoHistory;
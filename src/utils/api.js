@@ -5,24 +5,45 @@
 
 const API_BASE_URL = 'http://localhost:3001/api';
 
+// Called whenever the server answers 401, i.e. the session is missing or expired
+let unauthorizedHandler = null;
+
+export function setUnauthorizedHandler(handler) {
+  unauthorizedHandler = handler;
+}
+
 // Generic API request function
 async function apiRequest(endpoint, options = {}) {
   const url = `${API_BASE_URL}${endpoint}`;
   
+  // Bodies are JSON, except form data - the browser sets multipart/form-data
+  // with its boundary for those
+  const isFormData = options.body instanceof FormData;
+
   const config = {
+    // Send the session cookie along with every request
+    credentials: 'include',
+    ...options,
     headers: {
-      'Content-Type': 'application/json',
+      ...(isFormData ? {} : { 'Content-Type': 'application/json' }),
       ...options.headers,
     },
-    ...options,
   };
 
   try {
     const response = await fetch(url, config);
     
+    if (response.status === 401 && unauthorizedHandler) {
+      unauthorizedHandler();
+    }
+
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+      const error = new Error(errorData.error || `HTTP error! status: ${response.status}`);
+      // Keep the status and body so callers can react to specific errors
+      error.status = response.status;
+      error.data = errorData;
+      throw error;
     }
 
     // Handle 204 No Content responses
@@ -37,7 +58,90 @@ async function apiRequest(endpoint, options = {}) {
   }
 }
 
+// Auth API functions
+export async function registerUser(userData) {
+  return apiRequest('/auth/register', {
+    method: 'POST',
+    body: JSON.stringify(userData),
+  });
+}
+
+export async function loginUser(credentials) {
+  return apiRequest('/auth/login', {
+    method: 'POST',
+    body: JSON.stringify(credentials),
+  });
+}
+
+export async function logoutUser() {
+  return apiRequest('/auth/logout', {
+    method: 'POST',
+  });
+}
+
+export async function fetchCurrentUser() {
+  return apiRequest('/me');
+}
+
+export async function fetchUsers() {
+  return apiRequest('/users');
+}
+
+// Board API functions
+export async function fetchBoards() {
+  return apiRequest('/boards');
+}
+
+export async function createBoard(boardData) {
+  return apiRequest('/boards', {
+    method: 'POST',
+    body: JSON.stringify(boardData),
+  });
+}
+
+export async function updateBoard(id, boardData) {
+  return apiRequest(`/boards/${id}`, {
+    method: 'PUT',
+    body: JSON.stringify(boardData),
+  });
+}
+
+// Deletes the board's tasks as well
+export async function deleteBoard(id) {
+  return apiRequest(`/boards/${id}`, {
+    method: 'DELETE',
+  });
+}
+
+// Saved view API functions - the user's own views and the ones teammates shared
+export async function fetchViews() {
+  return apiRequest('/views');
+}
+
+export async function createView(viewData) {
+  return apiRequest('/views', {
+    method: 'POST',
+    body: JSON.stringify(viewData),
+  });
+}
+
+export async function updateView(id, viewData) {
+  return apiRequest(`/views/${id}`, {
+    method: 'PUT',
+    body: JSON.stringify(viewData),
+  });
+}
+
+export async function deleteView(id) {
+  return apiRequest(`/views/${id}`, {
+    method: 'DELETE',
+  });
+}
+
 // Task API functions
+// Resolves to all matching tasks, or with a `limit` to one page of them:
+// { tasks, total, nextCursor } - pass `cursor: nextCursor` for the next page.
+// Archived tasks are left out, unless `archived: true` asks for only them.
 export async function fetchTasks(filters = {}) {
   const queryParams = new URLSearchParams();
   
@@ -62,19 +166,102 @@ export async function createTask(taskData) {
   });
 }
 
-export async function updateTask(id, taskData) {
-  return apiRequest(`/tasks/${id}`, {
-    method: 'PUT',
-    body: JSON.stringify(taskData),
+// Changes only the given fields. ignoreBlockers moves a task forward even while
+// tasks blocking it are open; with a version, the update fails with a
+// VERSION_CONFLICT (409) if the task was saved by someone else since.
+export async function updateTask(id, changes, { ignoreBlockers = false, version } = {}) {
+  const query = ignoreBlockers ? '?ignoreBlockers=true' : '';
+  return apiRequest(`/tasks/${id}${query}`, {
+    method: 'PATCH',
+    headers: version === undefined ? {} : { 'If-Match': `"${version}"` },
+    body: JSON.stringify(changes),
+  });
+}
+
+// Changes or deletes many tasks at once, all or none:
+// { ids, action: 'update', changes: { status, priority, assignee, addTags, removeTags, archived } }
+// or { ids, action: 'delete' }. Resolves to { results: [{ id, ok, task }] }; when
+// any task can't be changed the error has code BULK_FAILED and per-task results.
+export async function bulkTaskAction({ ids, action, changes }, { ignoreBlockers = false } = {}) {
+  const query = ignoreBlockers ? '?ignoreBlockers=true' : '';
+  return apiRequest(`/tasks/bulk${query}`, {
+    method: 'POST',
+    body: JSON.stringify({ ids, action, changes }),
+  });
+}
+
+export async function reorderTask(id, { status, beforeId, afterId }, { ignoreBlockers = false } = {}) {
+  const query = ignoreBlockers ? '?ignoreBlockers=true' : '';
+  return apiRequest(`/tasks/${id}/reorder${query}`, {
+    method: 'POST',
+    body: JSON.stringify({ status, beforeId, afterId }),
   });
 }
 
+// Change history of a task, oldest first
+export async function fetchTaskActivity(id) {
+  return apiRequest(`/tasks/${id}/activity`);
+}
+
+// Deleted tasks are kept on the server and can be restored
 export async function deleteTask(id) {
   return apiRequest(`/tasks/${id}`, {
     method: 'DELETE',
   });
 }
 
+export async function restoreTask(id) {
+  return apiRequest(`/tasks/${id}/restore`, {
+    method: 'POST',
+  });
+}
+
+// Trash API functions
+// Deleted tasks of a board, most recently deleted first: { tasks, retentionDays }
+export async function fetchTrash(boardId) {
+  return apiRequest(`/trash?boardId=${encodeURIComponent(boardId)}`);
+}
+
+// Deletes a task from the trash for good
+export async function purgeTask(id) {
+  return apiRequest(`/trash/${id}`, {
+    method: 'DELETE',
+  });
+}
+
+export async function emptyTrash(boardId) {
+  return apiRequest(`/trash?boardId=${encodeURIComponent(boardId)}`, {
+    method: 'DELETE',
+  });
+}
+
+// Workflow column API functions
+export async function fetchColumns() {
+  return apiRequest('/columns');
+}
+
+export async function createColumn(columnData) {
+  return apiRequest('/columns', {
+    method: 'POST',
+    body: JSON.stringify(columnData),
+  });
+}
+
+export async function updateColumn(id, columnData) {
+  return apiRequest(`/columns/${id}`, {
+    method: 'PUT',
+    body: JSON.stringify(columnData),
+  });
+}
+
+// Tasks left in the column are moved to the `moveTo` column
+export async function deleteColumn(id, moveTo) {
+  const query = moveTo ? `?moveTo=${encodeURIComponent(moveTo)}` : '';
+  return apiRequest(`/columns/${id}${query}`, {
+    method: 'DELETE',
+  });
+}
+
 // Subtask API functions
 export async function createSubtask(taskId, subtaskData) {
   return apiRequest(`/tasks/${taskId}/subtasks`, {
@@ -96,9 +283,57 @@ export async function deleteSubtask(taskId, subtaskId) {
   });
 }
 
+// Attachment API functions
+export async function uploadAttachments(taskId, files) {
+  const formData = new FormData();
+  files.forEach(file => formData.append('files', file));
+
+  return apiRequest(`/tasks/${taskId}/attachments`, {
+    method: 'POST',
+    body: formData,
+  });
+}
+
+// URL to download an attachment, or to show an image attachment inline
+export function getAttachmentUrl(taskId, attachmentId, { inline = false } = {}) {
+  return `${API_BASE_URL}/tasks/${taskId}/attachments/${attachmentId}${inline ? '?inline=true' : ''}`;
+}
+
+export async function deleteAttachment(taskId, attachmentId) {
+  return apiRequest(`/tasks/${taskId}/attachments/${attachmentId}`, {
+    method: 'DELETE',
+  });
+}
+
+// Comment API functions
+export async function fetchComments(taskId) {
+  return apiRequest(`/tasks/${taskId}/comments`);
+}
+
+export async function createComment(taskId, commentData) {
+  return apiRequest(`/tasks/${taskId}/comments`, {
+    method: 'POST',
+    body: JSON.stringify(commentData),
+  });
+}
+
+export async function updateComment(taskId, commentId, commentData) {
+  return apiRequest(`/tasks/${taskId}/comments/${commentId}`, {
+    method: 'PUT',
+    body: JSON.stringify(commentData),
+  });
+}
+
+// Deletes the replies to the comment as well
+export async function deleteComment(taskId, commentId) {
+  return apiRequest(`/tasks/${taskId}/comments/${commentId}`, {
+    method: 'DELETE',
+  });
+}
+
 // Reminder API functions
-export async function fetchReminders() {
-  return apiRequest('/reminders');
+export async function fetchReminders(taskId) {
+  return apiRequest(`/reminders${taskId ? `?taskId=${encodeURIComponent(taskId)}` : ''}`);
 }
 
 export async function createReminder(reminderData) {
@@ -108,13 +343,34 @@ export async function createReminder(reminderData) {
   });
 }
 
+export async function updateReminder(id, reminderData) {
+  return apiRequest(`/reminders/${id}`, {
+    method: 'PUT',
+    body: JSON.stringify(reminderData),
+  });
+}
+
+export async function snoozeReminder(id, snoozeMinutes) {
+  return updateReminder(id, { snoozeMinutes });
+}
+
+// Reminders fired by the server after `since` (the serverTime of the previous call)
+export async function fetchReminderEvents(since) {
+  return apiRequest(`/reminders/events${since ? `?since=${encodeURIComponent(since)}` : ''}`);
+}
+
 export async function deleteReminder(id) {
   return apiRequest(`/reminders/${id}`, {
     method: 'DELETE',
   });
 }
 
-// Statistics API function
-export async function fetchStats() {
-  return apiRequest('/stats');
+// Live updates - Server-Sent Events stream of { type, data } messages
+export function createEventStream() {
+  return new EventSource(`${API_BASE_URL}/events`, { withCredentials: true });
+}
+
+// Statistics API function - totals for one board (or all of them) plus a per-board breakdown
+export async function fetchStats(boardId) {
+  return apiRequest(`/stats${boardId ? `?boardId=${encodeURIComponent(boardId)}` : ''}`);
 }
@@ -0,0 +1,41 @@
+/**
+ * Date utility functions
+ * Due dates are plain "YYYY-MM-DD" strings (date keys) read in local time, so
+ * a task due on the 20th stays on the 20th whatever the time zone.
+ * Shared by the React app and the Express server.
+ */
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local midnight of a "YYYY-MM-DD" key (extra time parts are ignored)
+export function parseDateKey(key) {
+  const [year, month, day] = key.slice(0, 10).split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+export function toDateKey(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function todayKey() {
+  return toDateKey(new Date());
+}
+
+// Copy of `date` moved by whole days, keeping the time of day
+export function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+// Monday of the week of `date`, at midnight
+export function startOfWeek(date) {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  return addDays(start, -((start.getDay() + 6) % 7));
+}
+
+// Whole days from one date key to another, negative when `to` comes first
+export function daysBetween(fromKey, toKey) {
+  return Math.round((parseDateKey(toKey) - parseDateKey(fromKey)) / DAY_MS);
+}
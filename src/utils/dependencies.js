@@ -0,0 +1,32 @@
+/**
+ * Task dependency utility functions
+ * A task lists the ids of the tasks blocking it in `blockedBy`. A blocker
+ * stays open until it reaches a "done" column. Tasks are looked up through
+ * `findTask(id)`, so the same code works on the server store and on the
+ * tasks loaded in the app.
+ * Shared by the React app and the Express server.
+ */
+
+// Blockers of a task that are not done yet; unknown ids are skipped
+export function getOpenBlockers(task, findTask, doneStatuses) {
+  return (task.blockedBy || [])
+    .map(id => findTask(id))
+    .filter(blocker => blocker && !doneStatuses.includes(blocker.status));
+}
+
+// Whether `taskId` being blocked by `blockedBy` would make a task wait on itself
+export function createsDependencyCycle(taskId, blockedBy, findTask) {
+  const visited = new Set();
+  const pending = [...blockedBy];
+
+  while (pending.length > 0) {
+    const id = pending.pop();
+    if (id === taskId) return true;
+    if (visited.has(id)) continue;
+
+    visited.add(id);
+    pending.push(...(findTask(id)?.blockedBy || []));
+  }
+
+  return false;
+}
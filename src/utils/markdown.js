@@ -0,0 +1,139 @@
+/**
+ * Markdown utility functions
+ * Parses the Markdown subset used in comments into a tree of plain objects,
+ * which the Markdown component renders as React elements - no HTML strings
+ * are ever produced, so comments can't inject markup.
+ *
+ * Blocks: paragraphs, fenced code blocks, "-"/"*" and "1." lists, "> " quotes
+ * Inline: **bold**, *italic* or _italic_, `code`, [links](https://...), @mentions
+ */
+import { buildMentionPattern } from './mentions';
+
+const INLINE_PATTERN = /`([^`]+)`|\*\*(.+?)\*\*|\*([^*\s](?:[^*]*[^*\s])?)\*|\b_([^_\s](?:[^_]*[^_\s])?)_\b|\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g;
+
+const BULLET_PATTERN = /^\s*[-*]\s+(.*)$/;
+const NUMBERED_PATTERN = /^\s*\d+[.)]\s+(.*)$/;
+const QUOTE_PATTERN = /^>\s?(.*)$/;
+const FENCE_PATTERN = /^```/;
+
+// Split text nodes further into text and mention nodes
+function splitMentions(text, mentionPattern) {
+  if (!mentionPattern) return [{ type: 'text', text }];
+
+  const nodes = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(mentionPattern)) {
+    const start = match.index + match[1].length;
+    if (start > lastIndex) {
+      nodes.push({ type: 'text', text: text.slice(lastIndex, start) });
+    }
+    nodes.push({ type: 'mention', name: match[2] });
+    lastIndex = start + match[2].length + 1;
+  }
+  if (lastIndex < text.length) {
+    nodes.push({ type: 'text', text: text.slice(lastIndex) });
+  }
+  return nodes;
+}
+
+function parseInline(text, mentionPattern) {
+  const nodes = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    if (match.index > lastIndex) {
+      nodes.push(...splitMentions(text.slice(lastIndex, match.index), mentionPattern));
+    }
+
+    const [, code, strong, em, underscoreEm, linkText, href] = match;
+    if (code !== undefined) {
+      nodes.push({ type: 'code', text: code });
+    } else if (strong !== undefined) {
+      nodes.push({ type: 'strong', children: parseInline(strong, mentionPattern) });
+    } else if (em !== undefined || underscoreEm !== undefined) {
+      nodes.push({ type: 'em', children: parseInline(em ?? underscoreEm, mentionPattern) });
+    } else {
+      nodes.push({ type: 'link', href, children: parseInline(linkText, mentionPattern) });
+    }
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    nodes.push(...splitMentions(text.slice(lastIndex), mentionPattern));
+  }
+  return nodes;
+}
+
+// Lines of a paragraph keep their line breaks
+function parseLines(lines, mentionPattern) {
+  return lines.flatMap((line, index) => [
+    ...(index > 0 ? [{ type: 'br' }] : []),
+    ...parseInline(line, mentionPattern)
+  ]);
+}
+
+/**
+ * Parse Markdown into [{ type, children | items | text }] blocks
+ * @param {string} source - Markdown text
+ * @param {string[]} mentionNames - Names that can be @mentioned
+ */
+export function parseMarkdown(source, mentionNames = []) {
+  const mentionPattern = buildMentionPattern(mentionNames);
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let index = 0;
+
+  // Consecutive lines matching a pattern, with the pattern's first group
+  const collect = (pattern) => {
+    const collected = [];
+    while (index < lines.length && pattern.test(lines[index])) {
+      collected.push(lines[index].match(pattern)[1]);
+      index++;
+    }
+    return collected;
+  };
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (line.trim() === '') {
+      index++;
+    } else if (FENCE_PATTERN.test(line)) {
+      const code = [];
+      index++;
+      while (index < lines.length && !FENCE_PATTERN.test(lines[index])) {
+        code.push(lines[index]);
+        index++;
+      }
+      index++; // closing fence
+      blocks.push({ type: 'codeBlock', text: code.join('\n') });
+    } else if (BULLET_PATTERN.test(line)) {
+      blocks.push({
+        type: 'list',
+        ordered: false,
+        items: collect(BULLET_PATTERN).map(item => parseInline(item, mentionPattern))
+      });
+    } else if (NUMBERED_PATTERN.test(line)) {
+      blocks.push({
+        type: 'list',
+        ordered: true,
+        items: collect(NUMBERED_PATTERN).map(item => parseInline(item, mentionPattern))
+      });
+    } else if (QUOTE_PATTERN.test(line)) {
+      blocks.push({ type: 'quote', children: parseLines(collect(QUOTE_PATTERN), mentionPattern) });
+    } else {
+      const paragraph = [];
+      while (
+        index < lines.length &&
+        lines[index].trim() !== '' &&
+        ![FENCE_PATTERN, BULLET_PATTERN, NUMBERED_PATTERN, QUOTE_PATTERN].some(p => p.test(lines[index]))
+      ) {
+        paragraph.push(lines[index]);
+        index++;
+      }
+      blocks.push({ type: 'paragraph', children: parseLines(paragraph, mentionPattern) });
+    }
+  }
+
+  return blocks;
+}
@@ -0,0 +1,39 @@
+/**
+ * @mention utility functions
+ * A mention is "@" followed by the name of a user, e.g. "@Jane Smith". Names
+ * are matched case-insensitively, longest first, so "@Jane Smith" is not read
+ * as "@Jane". An "@" inside a word (like in an email address) is ignored.
+ * Shared by the React app and the Express server.
+ */
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Global regex matching mentions of any of the names, null when there are none
+// Group 1 is the character before the "@", group 2 the mentioned name
+export function buildMentionPattern(names) {
+  const uniqueNames = [...new Set(names.filter(name => name && name.trim()))]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+
+  if (uniqueNames.length === 0) return null;
+  return new RegExp(`(^|[^\\w@])@(${uniqueNames.join('|')})(?!\\w)`, 'gi');
+}
+
+// Names mentioned in the text, spelled as in `names`
+export function findMentions(text, names) {
+  const pattern = buildMentionPattern(names);
+  if (!pattern) return [];
+
+  const mentioned = new Set();
+  for (const match of text.matchAll(pattern)) {
+    const name = names.find(n => n.toLowerCase() === match[2].toLowerCase());
+    if (name) mentioned.add(name);
+  }
+  return [...mentioned];
+}
+
+// The partial mention being typed at the end of `textBeforeCaret`, e.g. "Ja" for "Hi @Ja"
+export function getMentionQuery(textBeforeCaret) {
+  const match = textBeforeCaret.match(/(?:^|[^\w@])@([\w.-]*(?: [\w.-]*)?)$/);
+  return match ? match[1] : null;
+}
@@ -0,0 +1,55 @@
+/**
+ * Ranking utility functions for manual ordering
+ * Ranks are strings that sort lexicographically, so a task can always be
+ * placed between two neighbours without renumbering the rest of the list.
+ * Shared by the React app and the Express server.
+ */
+
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+// Midpoint of two digit strings, where an empty lower bound means zero and a
+// null upper bound means one. Results never end in the zero digit, which
+// guarantees there is always room for another midpoint.
+function midpoint(lower, upper) {
+  if (upper !== null) {
+    let prefixLength = 0;
+    while ((lower[prefixLength] || DIGITS[0]) === upper[prefixLength]) {
+      prefixLength++;
+    }
+    if (prefixLength > 0) {
+      return upper.slice(0, prefixLength) +
+        midpoint(lower.slice(prefixLength), upper.slice(prefixLength));
+    }
+  }
+
+  const lowerDigit = lower ? DIGITS.indexOf(lower[0]) : 0;
+  const upperDigit = upper !== null ? DIGITS.indexOf(upper[0]) : DIGITS.length;
+
+  if (upperDigit - lowerDigit > 1) {
+    return DIGITS[Math.round((lowerDigit + upperDigit) / 2)];
+  }
+
+  // Adjacent digits - keep the lower digit and look one place further
+  if (upper !== null && upper.length > 1) {
+    return upper.slice(0, 1);
+  }
+  return DIGITS[lowerDigit] + midpoint(lower.slice(1), null);
+}
+
+export function compareRanks(a = '', b = '') {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+// Rank that sorts after `before` and before `after`; either bound may be empty
+export function rankBetween(before, after) {
+  const lower = before || '';
+  const upper = after || null;
+
+  if (upper !== null && compareRanks(lower, upper) >= 0) {
+    throw new Error(`Cannot rank between "${lower}" and "${upper}"`);
+  }
+
+  return midpoint(lower, upper);
+}
@@ -0,0 +1,357 @@
+/**
+ * Recurrence utility functions
+ * A rule looks like one of
+ *   { frequency: 'daily', interval: 1 }
+ *   { frequency: 'weekly', interval: 1, byWeekday: [1, 3] }  (0 = Sunday, optional)
+ *   { frequency: 'monthly', interval: 1, byMonthDay: 1 }     (-1 = last day, optional)
+ *   { frequency: 'rrule', rrule: 'FREQ=WEEKLY;BYDAY=MO,WE' }
+ *   { frequency: 'cron', cron: '0 9 * * 1-5' }                (reminders only)
+ * Cron expressions use the usual five fields (minute hour day-of-month month
+ * day-of-week) with *, lists, ranges and steps, evaluated in local time.
+ * RRULEs support FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY, BYMONTHDAY
+ * and UNTIL. Monthly rules fall back to the last day in shorter months; see
+ * anchorRecurrence for keeping the day after that.
+ * Shared by the React app and the Express server.
+ */
+
+import { DAY_MS, parseDateKey, toDateKey, startOfWeek } from './dates.js';
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'rrule', 'cron'];
+
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RRULE_FREQUENCIES = { DAILY: 'daily', WEEKLY: 'weekly', MONTHLY: 'monthly' };
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+function parseCronField(value, { name, min, max }) {
+  const allowed = new Set();
+
+  value.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let start = min;
+    let end = max;
+
+    if (range !== '*') {
+      const [startText, endText = startText] = range.split('-');
+      start = Number(startText);
+      end = Number(endText);
+    }
+
+    const isValid = [start, end, step].every(Number.isInteger) &&
+      start >= min && end <= max && start <= end && step > 0;
+    if (!isValid) {
+      throw new Error(`Invalid ${name} field "${value}" in cron expression`);
+    }
+
+    for (let n = start; n <= end; n += step) {
+      // Both 0 and 7 mean Sunday
+      allowed.add(name === 'day of week' && n === 7 ? 0 : n);
+    }
+  });
+
+  return allowed;
+}
+
+// Parse a five-field cron expression, throws on invalid input
+export function parseCron(expression) {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error('Cron expressions need five fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] =
+    fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // When both day fields are restricted, matching either one is enough
+    isDayOfMonthRestricted: fields[2] !== '*',
+    isDayOfWeekRestricted: fields[4] !== '*'
+  };
+}
+
+function cronDayMatches(cron, date) {
+  const dayOfMonth = cron.daysOfMonth.has(date.getDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getDay());
+
+  if (cron.isDayOfMonthRestricted && cron.isDayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+// First minute strictly after `after` that matches the cron expression
+export function getNextCronOccurrence(expression, after) {
+  const cron = parseCron(expression);
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // Skip whole months, days and hours that cannot match; bounded to a few years
+  for (let i = 0; i < 100000; i++) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+// Parse an RRULE subset into a daily, weekly or monthly rule, throws on invalid input
+export function parseRRule(text) {
+  const rule = { interval: 1 };
+  const parts = String(text).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+  parts.forEach(part => {
+    const [key, value = ''] = part.toUpperCase().split('=');
+
+    if (key === 'FREQ') {
+      if (!RRULE_FREQUENCIES[value]) throw new Error(`Unsupported FREQ "${value}"`);
+      rule.frequency = RRULE_FREQUENCIES[value];
+    } else if (key === 'INTERVAL') {
+      rule.interval = Number(value);
+    } else if (key === 'BYDAY') {
+      rule.byWeekday = value.split(',').map(day => {
+        const index = RRULE_WEEKDAYS.indexOf(day);
+        if (index === -1) throw new Error(`Unsupported BYDAY value "${day}"`);
+        return index;
+      });
+    } else if (key === 'BYMONTHDAY') {
+      rule.byMonthDay = Number(value);
+    } else if (key === 'UNTIL') {
+      const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+      if (!match) throw new Error(`Invalid UNTIL "${value}"`);
+      const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+      const isUtc = value.endsWith('Z');
+      rule.until = (isUtc
+        ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds))
+        : new Date(year, month - 1, day, hours, minutes, seconds)
+      ).toISOString();
+    } else {
+      throw new Error(`Unsupported RRULE part "${key}"`);
+    }
+  });
+
+  if (!rule.frequency) throw new Error('RRULE needs a FREQ');
+  if (rule.byWeekday && rule.frequency !== 'weekly') throw new Error('BYDAY is only supported with FREQ=WEEKLY');
+  if (rule.byMonthDay !== undefined && rule.frequency !== 'monthly') {
+    throw new Error('BYMONTHDAY is only supported with FREQ=MONTHLY');
+  }
+  if (!isValidSimpleRule(rule)) throw new Error('Invalid INTERVAL, BYDAY or BYMONTHDAY');
+
+  return rule;
+}
+
+function isValidSimpleRule(rule) {
+  const hasValidInterval = rule.interval === undefined || (Number.isInteger(rule.interval) && rule.interval > 0);
+  const hasValidWeekdays = rule.byWeekday === undefined || (
+    Array.isArray(rule.byWeekday) && rule.byWeekday.length > 0 &&
+    rule.byWeekday.every(day => Number.isInteger(day) && day >= 0 && day <= 6)
+  );
+  const hasValidMonthDay = rule.byMonthDay === undefined || rule.byMonthDay === -1 || (
+    Number.isInteger(rule.byMonthDay) && rule.byMonthDay >= 1 && rule.byMonthDay <= 31
+  );
+  return hasValidInterval && hasValidWeekdays && hasValidMonthDay;
+}
+
+export function isValidRecurrence(rule) {
+  if (rule === null || rule === undefined) return true;
+  if (typeof rule !== 'object' || !FREQUENCIES.includes(rule.frequency)) return false;
+
+  if (rule.frequency === 'cron' || rule.frequency === 'rrule') {
+    try {
+      if (rule.frequency === 'cron') parseCron(rule.cron);
+      else parseRRule(rule.rrule);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  return isValidSimpleRule(rule);
+}
+
+function daysInMonth(year, month) {
+  return new Date(year, month + 1, 0).getDate();
+}
+
+// Next matching weekday in every `interval`-th week, counted from the week of `previous`
+function getNextWeekdayOccurrence(rule, previous, after) {
+  const interval = rule.interval || 1;
+  const firstWeek = startOfWeek(previous);
+  const next = new Date(previous);
+
+  // Jump over whole missed cycles first, then check day by day
+  const missedCycles = Math.max(0, Math.floor((after - next) / (interval * 7 * DAY_MS)) - 1);
+  next.setDate(next.getDate() + missedCycles * interval * 7);
+
+  for (let i = 0; i < interval * 7 * 3; i++) {
+    next.setDate(next.getDate() + 1);
+    const weekIndex = Math.round((startOfWeek(next) - firstWeek) / (7 * DAY_MS));
+    if (next > after && weekIndex % interval === 0 && rule.byWeekday.includes(next.getDay())) {
+      return next;
+    }
+  }
+
+  return null;
+}
+
+// Same (or the chosen) day every `interval` months
+function getNextMonthlyOccurrence(rule, previous, after) {
+  const interval = rule.interval || 1;
+  const dayOfMonth = rule.byMonthDay ?? previous.getDate();
+
+  for (let step = 0; step < 1000; step++) {
+    // Candidates start in the month of `previous`, which only counts with a chosen day
+    const next = new Date(previous);
+    next.setDate(1);
+    next.setMonth(next.getMonth() + step * interval);
+
+    const lastDay = daysInMonth(next.getFullYear(), next.getMonth());
+    next.setDate(dayOfMonth === -1 ? lastDay : Math.min(dayOfMonth, lastDay));
+
+    if (next > after && next > previous) {
+      return next;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Rule to step from an occurrence on `previous` onwards
+ * Monthly rules without a chosen day repeat on the day of `previous`. Once an
+ * occurrence falls back to the end of a shorter month that day would be lost
+ * (Jan 31, Feb 28, Mar 28...), so the day of `previous` is written into the
+ * rule. Other rules are returned as they are.
+ */
+export function anchorRecurrence(rule, previous) {
+  const day = new Date(previous).getDate();
+
+  if (rule?.frequency === 'monthly' && rule.byMonthDay === undefined) {
+    return { ...rule, byMonthDay: day };
+  }
+
+  if (rule?.frequency === 'rrule') {
+    try {
+      const parsed = parseRRule(rule.rrule);
+      if (parsed.frequency === 'monthly' && parsed.byMonthDay === undefined) {
+        return { ...rule, rrule: `${rule.rrule.trim().replace(/;+$/, '')};BYMONTHDAY=${day}` };
+      }
+    } catch {
+      // Invalid rules are left for validation to report
+    }
+  }
+
+  return rule;
+}
+
+// Next occurrence after `after`, stepping from the previous occurrence so the
+// time of day is kept and missed occurrences are skipped. Returns null when
+// the rule has ended (RRULE UNTIL).
+export function getNextOccurrence(rule, previous, after = new Date()) {
+  if (rule.frequency === 'cron') {
+    return getNextCronOccurrence(rule.cron, after);
+  }
+
+  if (rule.frequency === 'rrule') {
+    const parsed = parseRRule(rule.rrule);
+    const next = getNextOccurrence(parsed, previous, after);
+    return next && parsed.until && next > new Date(parsed.until) ? null : next;
+  }
+
+  const start = new Date(previous);
+
+  if (rule.frequency === 'weekly' && rule.byWeekday) {
+    return getNextWeekdayOccurrence(rule, start, after);
+  }
+
+  if (rule.frequency === 'monthly') {
+    return getNextMonthlyOccurrence(rule, start, after);
+  }
+
+  const stepDays = (rule.interval || 1) * (rule.frequency === 'weekly' ? 7 : 1);
+  const next = start;
+  const missedSteps = Math.max(0, Math.floor((after - next) / (stepDays * DAY_MS)));
+
+  next.setDate(next.getDate() + missedSteps * stepDays);
+  while (next <= after) {
+    next.setDate(next.getDate() + stepDays);
+  }
+
+  return next;
+}
+
+/**
+ * Due date of the next occurrence of a recurring task, as "YYYY-MM-DD"
+ * Steps from the previous due date (or from today without one) and never
+ * lands in the past, so completing an overdue task doesn't create another
+ * overdue one. Returns null when the rule has ended.
+ */
+export function getNextDueDate(rule, dueDate, today = new Date()) {
+  const todayDate = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const previous = dueDate ? parseDateKey(dueDate) : todayDate;
+  const yesterday = new Date(todayDate);
+  yesterday.setDate(yesterday.getDate() - 1);
+
+  const after = previous > yesterday ? previous : yesterday;
+  const next = getNextOccurrence(rule, previous, after);
+  return next ? toDateKey(next) : null;
+}
+
+const ordinal = (n) => {
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+  return `${n}${suffixes[new Intl.PluralRules('en-US', { type: 'ordinal' }).select(n)]}`;
+};
+
+export function describeRecurrence(rule) {
+  if (!rule) return 'Does not repeat';
+  if (rule.frequency === 'cron') return `Cron: ${rule.cron}`;
+
+  if (rule.frequency === 'rrule') {
+    try {
+      const parsed = parseRRule(rule.rrule);
+      const until = parsed.until ? ` until ${new Date(parsed.until).toLocaleDateString()}` : '';
+      return `${describeRecurrence(parsed)}${until}`;
+    } catch {
+      return `RRULE: ${rule.rrule}`;
+    }
+  }
+
+  const interval = rule.interval || 1;
+  const unit = { daily: 'day', weekly: 'week', monthly: 'month' }[rule.frequency];
+  let description = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+  if (rule.frequency === 'weekly' && rule.byWeekday) {
+    const days = [...rule.byWeekday].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+    description += ` on ${days.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+  }
+  if (rule.frequency === 'monthly' && rule.byMonthDay !== undefined) {
+    description += rule.byMonthDay === -1 ? ' on the last day' : ` on the ${ordinal(rule.byMonthDay)}`;
+  }
+
+  return description;
+}
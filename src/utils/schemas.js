@@ -0,0 +1,183 @@
+/**
+ * Request schemas for tasks, subtasks and reminders
+ * A schema lists the fields a request may contain, each with a rule:
+ *   { type, required, nullable, check, message }
+ * where `check` is one of the validation.js helpers (or another predicate)
+ * and `message` is reported when the value is missing or invalid. Fields the
+ * server manages itself are listed as `readOnly` and can't be sent at all.
+ * validateSchema() returns an error message per invalid field, so forms can
+ * show each one next to its input.
+ * Shared by the React app and the Express server.
+ */
+import { isNotEmpty, isValidDate, isValidPriority } from './validation.js';
+import { isValidRecurrence } from './recurrence.js';
+
+// Longest snooze accepted by PUT /api/reminders/:id
+export const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+
+// Most tasks one bulk request may change
+export const MAX_BULK_TASKS = 500;
+
+const isStringList = (value) => value.every(item => typeof item === 'string');
+const isTagList = (value) => value.every(tag => typeof tag === 'string' && isNotEmpty(tag));
+// Due dates are whole days, which cron steps through by the minute
+const isValidTaskRecurrence = (rule) => rule.frequency !== 'cron' && isValidRecurrence(rule);
+
+const TASK_FIELDS = {
+  title: { type: 'string', required: true, check: isNotEmpty, message: 'Title is required' },
+  description: { type: 'string', message: 'Description must be text' },
+  status: { type: 'string', message: 'Invalid status' },
+  priority: { type: 'string', check: isValidPriority, message: 'Priority must be low, medium or high' },
+  boardId: { type: 'string', message: 'Invalid board' },
+  startDate: { type: 'string', nullable: true, check: isValidDate, message: 'Invalid start date' },
+  dueDate: { type: 'string', nullable: true, check: isValidDate, message: 'Invalid due date' },
+  tags: { type: 'array', check: isTagList, message: 'Tags must be a list of names' },
+  assignee: { type: 'string', message: 'Assignee must be a name' },
+  recurrence: {
+    type: 'object',
+    nullable: true,
+    check: isValidTaskRecurrence,
+    message: 'Invalid recurrence rule - tasks repeat daily, weekly, monthly or by an RRULE'
+  },
+  blockedBy: { type: 'array', check: isStringList, message: 'blockedBy must be a list of task ids' }
+};
+
+// Maintained by the server, or by the subtask, comment and attachment APIs
+const TASK_READ_ONLY = [
+  'id', 'version', 'createdAt', 'updatedAt', 'completedAt', 'archivedAt', 'createdBy', 'subtasks', 'attachments',
+  'commentCount', 'nextOccurrenceId'
+];
+
+export const taskCreateSchema = {
+  fields: TASK_FIELDS,
+  readOnly: [...TASK_READ_ONLY, 'rank']
+};
+
+const archivedField = { type: 'boolean', message: 'archived must be true or false' };
+
+// Updates may also place the task explicitly with a rank, or archive it
+export const taskUpdateSchema = {
+  fields: {
+    ...TASK_FIELDS,
+    rank: { type: 'string', message: 'Invalid rank' },
+    archived: archivedField
+  },
+  readOnly: TASK_READ_ONLY
+};
+
+// POST /api/tasks/bulk: { ids, action: 'update', changes } or { ids, action: 'delete' }
+export const bulkTaskSchema = {
+  fields: {
+    ids: {
+      type: 'array',
+      required: true,
+      check: ids => ids.length > 0 && ids.length <= MAX_BULK_TASKS && isStringList(ids),
+      message: `ids must list 1 to ${MAX_BULK_TASKS} task ids`
+    },
+    action: {
+      type: 'string',
+      required: true,
+      check: action => ['update', 'delete'].includes(action),
+      message: 'action must be update or delete'
+    },
+    changes: { type: 'object', message: 'changes must be an object' }
+  },
+  readOnly: []
+};
+
+// The changes of a bulk update; tags are added or removed rather than replaced
+export const bulkChangesSchema = {
+  fields: {
+    status: TASK_FIELDS.status,
+    priority: TASK_FIELDS.priority,
+    assignee: TASK_FIELDS.assignee,
+    addTags: { type: 'array', check: isTagList, message: 'addTags must be a list of names' },
+    removeTags: { type: 'array', check: isTagList, message: 'removeTags must be a list of names' },
+    archived: archivedField
+  },
+  readOnly: []
+};
+
+export const subtaskCreateSchema = {
+  fields: {
+    title: { type: 'string', required: true, check: isNotEmpty, message: 'Subtask title is required' }
+  },
+  readOnly: ['id', 'completed']
+};
+
+export const subtaskUpdateSchema = {
+  fields: {
+    ...subtaskCreateSchema.fields,
+    completed: { type: 'boolean', message: 'completed must be true or false' }
+  },
+  readOnly: ['id']
+};
+
+const REMINDER_FIELDS = {
+  message: { type: 'string', required: true, check: isNotEmpty, message: 'Message is required' },
+  reminderTime: { type: 'string', required: true, check: isValidDate, message: 'reminderTime must be a valid date' },
+  recurrence: { type: 'object', nullable: true, check: isValidRecurrence, message: 'Invalid recurrence rule' }
+};
+
+// Set as the reminder is scheduled, fires and is snoozed
+const REMINDER_READ_ONLY = ['id', 'status', 'snoozedFrom', 'lastFiredAt'];
+
+export const reminderCreateSchema = {
+  fields: {
+    taskId: { type: 'string', required: true, message: 'taskId is required' },
+    ...REMINDER_FIELDS
+  },
+  readOnly: [...REMINDER_READ_ONLY, 'isActive']
+};
+
+// A reminder stays on its task; { snoozeMinutes } pushes it back
+export const reminderUpdateSchema = {
+  fields: {
+    ...REMINDER_FIELDS,
+    isActive: { type: 'boolean', message: 'isActive must be true or false' },
+    snoozeMinutes: {
+      type: 'number',
+      check: minutes => Number.isFinite(minutes) && minutes > 0 && minutes <= MAX_SNOOZE_MINUTES,
+      message: `snoozeMinutes must be between 1 and ${MAX_SNOOZE_MINUTES}`
+    }
+  },
+  readOnly: [...REMINDER_READ_ONLY, 'taskId']
+};
+
+function hasType(value, type) {
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return typeof value === 'object' && !Array.isArray(value);
+  return typeof value === type;
+}
+
+// Error message per invalid field of `data`, empty when it is valid. With
+// `partial` (updates), required fields may be left out.
+export function validateSchema(schema, data, { partial = false } = {}) {
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    return { body: 'Request body must be a JSON object' };
+  }
+
+  const errors = {};
+
+  Object.keys(data).forEach(field => {
+    if (schema.readOnly.includes(field)) {
+      errors[field] = `${field} cannot be set`;
+    } else if (!schema.fields[field]) {
+      errors[field] = `Unknown field "${field}"`;
+    }
+  });
+
+  Object.entries(schema.fields).forEach(([field, rule]) => {
+    const value = data[field];
+
+    if (value === undefined) {
+      if (rule.required && !partial) errors[field] = rule.message;
+    } else if (value === null) {
+      if (!rule.nullable) errors[field] = rule.message;
+    } else if (!hasType(value, rule.type) || (rule.check && !rule.check(value))) {
+      errors[field] = rule.message;
+    }
+  });
+
+  return errors;
+}
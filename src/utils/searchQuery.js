@@ -0,0 +1,193 @@
+/**
+ * Task search query language
+ * A query is a list of clauses that all have to match, for example
+ *   tag:react assignee:"Jane Smith" priority:high due:<2025-02-01 is:overdue -is:done "exact phrase"
+ * Plain words and "quoted phrases" are looked up in the title, description and
+ * tags; `field:value` clauses filter on a field; a leading "-" excludes matches.
+ * Shared by the React app and the Express server.
+ */
+import { parseDateKey, toDateKey, todayKey } from './dates.js';
+import { getOpenBlockers } from './dependencies.js';
+
+const PRIORITIES = ['high', 'medium', 'low'];
+
+const DATE_FIELDS = { due: 'dueDate', start: 'startDate', created: 'createdAt' };
+
+const STATES = ['open', 'done', 'overdue', 'blocked', 'recurring', 'unassigned'];
+
+export const SEARCH_FIELDS = ['tag', 'assignee', 'priority', 'status', 'is', ...Object.keys(DATE_FIELDS)];
+
+// One clause: an optional "-", an optional field name and a quoted or plain value
+const CLAUSE_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"|(\S+))/iy;
+
+function parseDateValue(field, text) {
+  const [, operator = '=', value] = text.match(/^(<=|>=|<|>|=)?(.*)$/);
+
+  if (value === 'none' && operator === '=') {
+    return { operator, value: null };
+  }
+  if (value === 'today') {
+    return { operator, value };
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value) && toDateKey(parseDateKey(value)) === value) {
+    return { operator, value };
+  }
+  throw new Error(`Invalid date "${text}" for ${field}: - use YYYY-MM-DD, today or none`);
+}
+
+function parseClause(field, value) {
+  if (!field) {
+    return { field: 'text', value: value.toLowerCase() };
+  }
+  if (value === '') {
+    throw new Error(`${field}: needs a value`);
+  }
+
+  switch (field) {
+    case 'tag':
+    case 'assignee':
+    case 'status':
+      return { field, value: value.toLowerCase() };
+    case 'priority':
+      if (!PRIORITIES.includes(value.toLowerCase())) {
+        throw new Error(`Unknown priority "${value}" - use high, medium or low`);
+      }
+      return { field, value: value.toLowerCase() };
+    case 'is':
+      if (!STATES.includes(value.toLowerCase())) {
+        throw new Error(`Unknown is: value "${value}" - use ${STATES.join(', ')}`);
+      }
+      return { field, value: value.toLowerCase() };
+    default:
+      return { field, ...parseDateValue(field, value.toLowerCase()) };
+  }
+}
+
+// Parses a query into { clauses: [{ field, value, operator?, negated }] };
+// throws an Error describing the first problem for invalid queries
+export function parseSearchQuery(text = '') {
+  const clauses = [];
+  let position = 0;
+
+  while (position < text.length) {
+    if (/\s/.test(text[position])) {
+      position++;
+      continue;
+    }
+
+    CLAUSE_PATTERN.lastIndex = position;
+    const [match, minus, fieldName, quoted, plain] = CLAUSE_PATTERN.exec(text);
+    position += match.length;
+
+    const field = fieldName?.toLowerCase();
+    if (field && !SEARCH_FIELDS.includes(field)) {
+      throw new Error(`Unknown filter "${fieldName}:" - use ${SEARCH_FIELDS.map(name => `${name}:`).join(', ')}`);
+    }
+    if (plain?.includes('"')) {
+      throw new Error('Missing closing quote');
+    }
+    // A filter name followed by nothing or a space, like "tag: react"
+    const emptyField = plain?.match(/^([a-z]+):$/i)?.[1].toLowerCase();
+    if (!field && SEARCH_FIELDS.includes(emptyField)) {
+      throw new Error(`${emptyField}: needs a value`);
+    }
+    if (!field && !minus && plain === '-') {
+      throw new Error('Nothing to exclude after "-"');
+    }
+
+    clauses.push({ ...parseClause(field, quoted ?? plain), negated: minus === '-' });
+  }
+
+  return { clauses };
+}
+
+// Parses a query without throwing: { query, error }, where an invalid query
+// gives a null query and the error message
+export function tryParseSearchQuery(text) {
+  try {
+    return { query: parseSearchQuery(text), error: null };
+  } catch (error) {
+    return { query: null, error: error.message };
+  }
+}
+
+function compareDates(taskValue, { operator, value }, today) {
+  if (value === null) return !taskValue;
+  if (!taskValue) return false;
+
+  const target = value === 'today' ? today : value;
+  switch (operator) {
+    case '<': return taskValue < target;
+    case '<=': return taskValue <= target;
+    case '>': return taskValue > target;
+    case '>=': return taskValue >= target;
+    default: return taskValue === target;
+  }
+}
+
+// Date key of a task's date field; creation times are read in local time
+function getTaskDate(task, field) {
+  const value = task[DATE_FIELDS[field]];
+  if (!value) return null;
+  return field === 'created' ? toDateKey(new Date(value)) : value.slice(0, 10);
+}
+
+function matchesState(task, state, context) {
+  const isDone = context.doneStatuses.includes(task.status);
+
+  switch (state) {
+    case 'open': return !isDone;
+    case 'done': return isDone;
+    case 'overdue': return !isDone && Boolean(task.dueDate) && task.dueDate.slice(0, 10) < context.today;
+    case 'blocked': return getOpenBlockers(task, context.findTask, context.doneStatuses).length > 0;
+    case 'recurring': return Boolean(task.recurrence);
+    default: return !task.assignee; // unassigned
+  }
+}
+
+function matchesClause(task, clause, context) {
+  const { field, value } = clause;
+
+  switch (field) {
+    case 'text':
+      return task.title.toLowerCase().includes(value) ||
+        (task.description || '').toLowerCase().includes(value) ||
+        (task.tags || []).some(tag => tag.toLowerCase().includes(value));
+    case 'tag':
+      return (task.tags || []).some(tag => tag.toLowerCase() === value);
+    case 'assignee': {
+      const assignee = (task.assignee || '').toLowerCase();
+      if (value === 'none') return !assignee;
+      if (value === 'me') return Boolean(assignee) && assignee === context.currentUserName?.toLowerCase();
+      return assignee === value;
+    }
+    case 'priority':
+      return task.priority === value;
+    case 'status': {
+      // Either the column id or its name
+      const column = context.columns.find(c => c.id === task.status);
+      return task.status.toLowerCase() === value || column?.name.toLowerCase() === value;
+    }
+    case 'is':
+      return matchesState(task, value, context);
+    default:
+      return compareDates(getTaskDate(task, field), clause, context.today);
+  }
+}
+
+// Whether a task matches every clause of a parsed query. The context provides
+// what the clauses are checked against:
+// { columns, doneStatuses, findTask, currentUserName, today }
+export function matchesSearchQuery(task, query, context = {}) {
+  const fullContext = {
+    columns: [],
+    doneStatuses: [],
+    findTask: () => undefined,
+    today: todayKey(),
+    ...context
+  };
+
+  return query.clauses.every(clause => (
+    matchesClause(task, clause, fullContext) !== clause.negated
+  ));
+}
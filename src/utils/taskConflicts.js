@@ -0,0 +1,57 @@
+/**
+ * Edit conflicts on tasks
+ * The edit form only sends the fields the user changed, along with the task
+ * version it started from. When someone else saved the task in the meantime
+ * the server refuses, and the user's changes are compared with its copy field
+ * by field.
+ */
+
+// Fields the task form edits
+export const TASK_FORM_FIELDS = [
+  'title', 'description', 'priority', 'startDate', 'dueDate', 'assignee', 'tags', 'recurrence', 'blockedBy'
+];
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// The form fields of `values` that differ from `task`
+export function getChangedFields(task, values) {
+  return Object.fromEntries(TASK_FORM_FIELDS
+    .filter(field => field in values && !isEqual(task[field], values[field]))
+    .map(field => [field, values[field]]));
+}
+
+/**
+ * One row per form field changed by either side since `base`, the task as the
+ * user started editing it:
+ * [{ field, mine, theirs, changedBy: 'me' | 'them' | 'both' }]
+ * 'both' rows are real conflicts; fields both sides set to the same value are left out.
+ */
+export function getConflictFields(base, changes, serverTask) {
+  return TASK_FORM_FIELDS
+    .map(field => {
+      const changedByMe = field in changes;
+      const changedByThem = !isEqual(base[field], serverTask[field]);
+      const mine = changedByMe ? changes[field] : base[field];
+      const theirs = serverTask[field];
+
+      if ((!changedByMe && !changedByThem) || isEqual(mine, theirs)) {
+        return null;
+      }
+      const changedBy = changedByMe && changedByThem ? 'both' : (changedByMe ? 'me' : 'them');
+      return { field, mine, theirs, changedBy };
+    })
+    .filter(Boolean);
+}
+
+// Whether `task` still has the given field values ({ [field]: value })
+export function hasFieldValues(task, values) {
+  return Object.entries(values).every(([field, value]) => isEqual(task[field], value));
+}
+
+// Changes that apply the user's picks on top of the server's copy: fields only
+// the user changed are kept, conflicts follow `keepMine` ({ [field]: boolean })
+export function resolveConflictFields(conflictFields, keepMine) {
+  return Object.fromEntries(conflictFields
+    .filter(({ field, changedBy }) => changedBy === 'me' || (changedBy === 'both' && keepMine[field]))
+    .map(({ field, mine }) => [field, mine]));
+}
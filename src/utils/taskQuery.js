@@ -0,0 +1,67 @@
+/**
+ * Task filtering and sorting
+ * The board filters and sorts the tasks it has loaded with the same rules the
+ * server uses to page through them, so live changes land where a reload would
+ * put them.
+ * Shared by the React app and the Express server.
+ */
+import { matchesSearchQuery } from './searchQuery.js';
+
+export const SORT_FIELDS = ['createdAt', 'title', 'priority', 'dueDate', 'status', 'manual'];
+
+export const SORT_ORDERS = ['asc', 'desc'];
+
+const PRIORITY_ORDER = { high: 3, medium: 2, low: 1 };
+
+// Sorts tasks without a due date after all others in ascending order
+const NO_DUE_DATE = '9999-12-31';
+
+// Whether a task matches a parsed search query (see searchQuery.js) and the
+// status and priority filters; a missing query, 'all' or an empty value
+// matches everything. `context` is passed on to the search query.
+export function matchesTaskFilters(task, { query = null, status = 'all', priority = 'all' } = {}, context) {
+  const matchesSearch = !query || matchesSearchQuery(task, query, context);
+
+  const matchesStatus = !status || status === 'all' || task.status === status;
+  const matchesPriority = !priority || priority === 'all' || task.priority === priority;
+
+  return matchesSearch && matchesStatus && matchesPriority;
+}
+
+// Position of a task in a sorted list: the value of the sort field, then the id
+// to keep tasks with equal values in a stable order. `statusOrder` maps each
+// status to the position of its column.
+export function getTaskSortKey(task, sortBy, statusOrder = {}) {
+  switch (sortBy) {
+    case 'title':
+      return [task.title.toLowerCase(), task.id];
+    case 'priority':
+      return [PRIORITY_ORDER[task.priority] || 0, task.id];
+    case 'dueDate':
+      return [task.dueDate ? task.dueDate.slice(0, 10) : NO_DUE_DATE, task.id];
+    case 'status':
+      return [statusOrder[task.status] ?? Number.MAX_SAFE_INTEGER, task.id];
+    case 'manual':
+      return [task.rank || '', task.id];
+    default: // createdAt
+      return [task.createdAt || '', task.id];
+  }
+}
+
+export function compareSortKeys([aValue, aId], [bValue, bId], sortOrder = 'desc') {
+  let result = 0;
+  if (aValue !== bValue) {
+    result = aValue < bValue ? -1 : 1;
+  } else if (aId !== bId) {
+    result = aId < bId ? -1 : 1;
+  }
+  return sortOrder === 'asc' ? result : -result;
+}
+
+export function compareTasks(a, b, { sortBy = 'createdAt', sortOrder = 'desc', statusOrder } = {}) {
+  return compareSortKeys(
+    getTaskSortKey(a, sortBy, statusOrder),
+    getTaskSortKey(b, sortBy, statusOrder),
+    sortOrder
+  );
+}
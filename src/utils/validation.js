@@ -26,10 +26,42 @@ export function isFutureDate(value) {
   return new Date(value) > new Date();
 }
 
+// Start and due dates are optional, but a task can't start after it is due
+export function isValidDateRange(startDate, dueDate) {
+  if (!startDate || !dueDate) return true;
+  return startDate.slice(0, 10) <= dueDate.slice(0, 10);
+}
+
 export function isValidPriority(value) {
   return ['low', 'medium', 'high'].includes(value);
 }
 
-export function isValidStatus(value) {
-  return ['todo', 'in-progress', 'completed'].includes(value);
+// Statuses are the ids of the workflow columns
+export function isValidStatus(value, columns) {
+  return columns.some(column => column.id === value);
+}
+
+export function isValidColor(value) {
+  return /^#[0-9a-f]{6}$/i.test(value);
+}
+
+// Attachment limits, enforced by the server and checked in the browser before uploading
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024; // 10 MB
+
+// SVG and HTML are left out on purpose - they can carry scripts
+export const ATTACHMENT_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/markdown',
+  'text/csv',
+  'application/json',
+  'application/zip'
+];
+
+export function isAllowedAttachmentType(type) {
+  return ATTACHMENT_TYPES.includes(type);
 }
@@ -0,0 +1,65 @@
+/**
+ * Board filter state
+ * The board's search, filters and sort order, as saved in views and encoded
+ * in the page URL (?q=tag:react&priority=high&sort=dueDate&order=asc), so a
+ * filtered board can be linked. Values left at their default are omitted.
+ * Shared by the React app and the Express server.
+ */
+import { SORT_FIELDS, SORT_ORDERS } from './taskQuery.js';
+
+export const DEFAULT_FILTERS = {
+  search: '',
+  status: 'all',
+  priority: 'all',
+  sortBy: 'createdAt',
+  sortOrder: 'desc'
+};
+
+// URL parameter of each filter
+const URL_PARAMS = {
+  search: 'q',
+  status: 'status',
+  priority: 'priority',
+  sortBy: 'sort',
+  sortOrder: 'order'
+};
+
+const PRIORITY_FILTERS = ['all', 'high', 'medium', 'low'];
+
+// All filters, with defaults for missing ones and unknown keys left out
+export function normalizeFilters(filters = {}) {
+  return Object.fromEntries(Object.entries(DEFAULT_FILTERS).map(([key, defaultValue]) => (
+    [key, filters[key] ?? defaultValue]
+  )));
+}
+
+export function isSameFilters(a, b) {
+  const normalizedA = normalizeFilters(a);
+  const normalizedB = normalizeFilters(b);
+  return Object.keys(DEFAULT_FILTERS).every(key => normalizedA[key] === normalizedB[key]);
+}
+
+export function filtersToSearchParams(filters) {
+  const params = new URLSearchParams();
+  Object.entries(normalizeFilters(filters)).forEach(([key, value]) => {
+    if (value !== DEFAULT_FILTERS[key]) {
+      params.set(URL_PARAMS[key], value);
+    }
+  });
+  return params;
+}
+
+// Filters found in URL parameters; values that can't be right are skipped
+export function filtersFromSearchParams(params) {
+  const filters = {};
+  Object.entries(URL_PARAMS).forEach(([key, param]) => {
+    if (params.has(param)) {
+      filters[key] = params.get(param);
+    }
+  });
+
+  if (!PRIORITY_FILTERS.includes(filters.priority)) delete filters.priority;
+  if (!SORT_FIELDS.includes(filters.sortBy)) delete filters.sortBy;
+  if (!SORT_ORDERS.includes(filters.sortOrder)) delete filters.sortOrder;
+  return filters;
+}